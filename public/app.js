@@ -1,19 +1,17 @@
-const DESKTOP_CHANNELS = [
-  { key: 'esr_current', statusGroup: 'desktop', statusKey: 'esr_current', name: 'ESR (current)', hint: 'Current ESR', img: '/images/TB-Logo-ESR.png', platform: 'desktop' },
-  { key: 'esr_next', statusGroup: 'desktop', statusKey: 'esr_next', name: 'ESR (next)', hint: 'Next ESR', img: '/images/TB-Logo-ESR.png', platform: 'desktop' },
-  { key: 'release', statusGroup: 'desktop', statusKey: 'release', name: 'Release', hint: 'Stable release channel', img: '/images/TB-Logo-release.png', platform: 'desktop' },
-  { key: 'beta', statusGroup: 'desktop', statusKey: 'beta', name: 'Beta', hint: 'Beta testing channel', img: '/images/TB-Logo-beta.png', platform: 'desktop' },
-  { key: 'daily', statusGroup: 'desktop', statusKey: 'daily', name: 'Daily', hint: 'Cutting-edge nightly builds', img: '/images/TB-Logo-nightly.png', platform: 'desktop' },
-];
-
-const ANDROID_CHANNELS = [
-  { key: 'android_release', statusGroup: 'android', statusKey: 'release', name: 'Release', hint: 'Stable Android release channel', img: '/images/TB-Logo-release.png', platform: 'android' },
-  { key: 'android_beta', statusGroup: 'android', statusKey: 'beta', name: 'Beta', hint: 'Android beta testing channel', img: '/images/TB-Logo-beta.png', platform: 'android' },
-  { key: 'android_daily', statusGroup: 'android', statusKey: 'daily', name: 'Daily', hint: 'Android nightly builds', img: '/images/TB-Logo-nightly.png', platform: 'android' },
-];
-
 console.info('Thunderbird Train Tracker milestone tables build loaded (2025-10-07).');
 
+// Health of the calendar source from the latest status, used by the modal to
+// explain missing milestones.
+let calendarHealth = null;
+
+// Latest status applied to the page, and the polling fallback timer.
+let lastStatus = null;
+let pollTimer = null;
+// Timelines the schedule table was last loaded for.
+let scheduleTimelines = null;
+// Shown, pinned and ordered channels and the display mode; see prefs.js.
+let dashboardPrefs = null;
+
 /**
  * Fetches the current status data from the server API.
  *
@@ -27,321 +25,484 @@ async function fetchStatus() {
 }
 
 /**
- * Formats an ISO date string to a readable long format.
- *
- * @param {string} iso - ISO date string
- * @returns {string} Formatted date (e.g., "October 14, 2025") or "—" if invalid
- */
-function formatDate(iso) {
-  if (!iso) return '—';
-  const d = new Date(iso);
-  return d.toLocaleDateString('en-US', {
-    month: 'long',
-    day: 'numeric',
-    year: 'numeric'
-  });
-}
-
-/**
- * Formats an ISO date string to a short readable format.
+ * Describes how far away a countdown target is.
+ * All-day targets count as "today" for the whole calendar date; timed targets
+ * count as "today" once their time has passed on the same local day.
  *
- * @param {string} iso - ISO date string
- * @returns {string} Formatted date (e.g., "October 14, 2025") or "—" if invalid
+ * @param {string} iso - ISO date string of the target
+ * @param {boolean} allDay - True if the target is an all-day milestone
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { today: boolean, days: number, hours: number }
  */
-function formatDateShort(iso) {
-  if (!iso) return '—';
-  const d = new Date(iso);
-  return d.toLocaleDateString('en-US', {
-    month: 'long',
-    day: 'numeric',
-    year: 'numeric'
-  });
-}
-
-/**
- * Calculates the number of days until a target date.
- *
- * @param {string} iso - ISO date string
- * @returns {number|null} Number of days until the date, or null if past or invalid
- */
-function calculateDaysUntil(iso) {
-  if (!iso) return null;
+function describeCountdown(iso, allDay, now = new Date()) {
   const target = new Date(iso);
-  const now = new Date();
-  const diffTime = target - now;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  return diffDays > 0 ? diffDays : null;
+  const localToday = now.toLocaleDateString('en-CA');
+  const targetDay = allDay ? iso.slice(0, 10) : target.toLocaleDateString('en-CA');
+  const diffMs = target - now;
+  if (targetDay === localToday && (allDay || diffMs <= 0)) {
+    return { today: true, days: 0, hours: 0 };
+  }
+  const totalHours = Math.max(0, Math.floor(diffMs / (1000 * 60 * 60)));
+  return { today: false, days: Math.floor(totalHours / 24), hours: totalHours % 24 };
 }
 
 /**
- * Checks if a calendar event is Android-related based on its summary.
+ * Formats a file size in bytes.
  *
- * @param {Object} event - Calendar event object
- * @returns {boolean} True if the event is an Android milestone
+ * @param {number|null} bytes - Size in bytes
+ * @returns {string} e.g. "38 MB", or "—" if unknown
  */
-function isAndroidMilestone(event) {
-  if (!event) return false;
-  const summary = event.summary || '';
-  return /^(TfA|TFA)\b/i.test(summary) ||
-    /Thunderbird\s*(for\s+)?Android/i.test(summary) ||
-    /\bTbA\b/i.test(summary);
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
 }
 
 /**
- * Updates the countdown banner with the next major release information.
- * Uses hardcoded dates for known releases and falls back to calendar events.
+ * Updates the countdown banner with the upcoming milestones computed by the
+ * server for each channel (next release, beta build, merge day, ESR dot
+ * release). Shows one entry per channel, soonest first.
  *
  * @param {Object} status - Status object from the API
  */
 function updateCountdownBanner(status) {
   const banner = document.getElementById('countdown-banner');
-  if (!banner) return;
+  const list = document.getElementById('countdown-list');
+  if (!banner || !list) return;
 
-  const versionEl = document.getElementById('countdown-version');
-  const dateEl = document.getElementById('countdown-date');
-  const remainingEl = document.getElementById('countdown-remaining');
-  if (!versionEl || !dateEl || !remainingEl) {
-    banner.style.display = 'none';
+  const countdowns = (status?.countdowns || []).slice(0, 4);
+  list.innerHTML = '';
+  if (countdowns.length === 0) {
+    banner.hidden = true;
     return;
   }
 
-  const releaseData = status?.channels?.desktop?.release || {};
+  for (const countdown of countdowns) {
+    const item = document.createElement('li');
+    item.className = 'countdown-item';
+    item.dataset.platform = countdown.platform;
+    item.dataset.channel = countdown.channel;
+
+    const headline = document.createElement('div');
+    headline.className = 'countdown-headline';
+    const version = document.createElement('span');
+    version.className = 'countdown-version';
+    version.textContent = countdown.title;
+    const kind = document.createElement('span');
+    kind.className = 'countdown-kind';
+    kind.textContent = countdown.label;
+    headline.appendChild(version);
+    headline.appendChild(kind);
+
+    const date = document.createElement('div');
+    date.className = 'countdown-date';
+    date.textContent = formatDateShort(countdown.date, countdown.allDay);
+
+    const meta = document.createElement('div');
+    meta.className = 'countdown-meta';
+    const remaining = describeCountdown(countdown.date, countdown.allDay);
+    if (remaining.today) {
+      item.classList.add('is-today');
+      meta.innerHTML = countdown.kind === 'merge-day' ? '<span>Today</span>' : '<span>Released today</span>';
+    } else {
+      meta.innerHTML = `in <span>${remaining.days}</span> ${remaining.days === 1 ? 'day' : 'days'}, ` +
+        `<span>${remaining.hours}</span> ${remaining.hours === 1 ? 'hour' : 'hours'}`;
+    }
 
-  if (!releaseData.version) {
-    banner.style.display = 'none';
-    return;
+    item.appendChild(headline);
+    item.appendChild(date);
+    item.appendChild(meta);
+    list.appendChild(item);
   }
 
-  // Extract next major version from current release
-  const currentMajor = parseInt(releaseData.version.match(/(\d+)/)?.[1] || '0');
-  const nextMajor = currentMajor + 1;
-
-  // Hardcoded known release dates
-  const knownReleases = {
-    144: '2025-10-14T16:00:00Z'
-  };
-
-  let nextReleaseDate = null;
-  let useKnownDate = false;
-
-  // Check if we have a hardcoded date for the next major version
-  if (knownReleases[nextMajor]) {
-    nextReleaseDate = knownReleases[nextMajor];
-    useKnownDate = true;
-  } else {
-    // Find events for the next major version from calendar
-    const nextReleaseEvents = (status.events || []).filter(ev =>
-      ev.summary && new RegExp('\\b' + nextMajor + '\\b').test(ev.summary) &&
-      ev.summary.toLowerCase().includes('release')
-    );
-
-    if (nextReleaseEvents.length === 0) {
-      banner.style.display = 'none';
-      return;
-    }
+  banner.hidden = false;
+}
 
-    // Use the earliest release event
-    const nextRelease = nextReleaseEvents.sort((a, b) => (a.start || '').localeCompare(b.start || ''))[0];
-    nextReleaseDate = nextRelease.start;
+/**
+ * Builds the modal section listing a nightly's build time and downloadable
+ * artifacts (APKs per ABI, AAB, checksums).
+ *
+ * @param {Object} channelData - Channel data with builtAt, stale and artifacts
+ * @returns {HTMLElement} Section element
+ */
+function buildArtifactSection(channelData) {
+  const section = document.createElement('section');
+  section.className = 'build-artifacts';
+
+  const summary = document.createElement('p');
+  summary.className = 'build-summary';
+  const age = document.createElement('span');
+  age.dataset.builtAt = channelData.builtAt;
+  age.textContent = describeBuildAge(channelData.builtAt);
+  summary.append(`${formatDate(channelData.builtAt)} · `, age);
+  if (channelData.stale) {
+    const badge = document.createElement('span');
+    badge.className = 'channel-stale';
+    badge.textContent = `Stale: no new build for more than ${channelData.staleAfterDays} days`;
+    summary.append(' ', badge);
   }
+  section.appendChild(summary);
 
-  const daysUntil = calculateDaysUntil(nextReleaseDate);
+  const table = document.createElement('table');
+  table.className = 'artifact-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th scope="col">Download</th>
+        <th scope="col">Type</th>
+        <th scope="col">Size</th>
+      </tr>
+    </thead>
+  `;
+  const tbody = document.createElement('tbody');
+  for (const artifact of channelData.artifacts) {
+    const row = document.createElement('tr');
+    row.dataset.kind = artifact.kind;
+
+    const nameCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = artifact.url;
+    link.textContent = artifact.name;
+    nameCell.appendChild(link);
+
+    const typeCell = document.createElement('td');
+    typeCell.textContent = [artifact.kind.toUpperCase(), artifact.abi].filter(Boolean).join(' · ');
+
+    const sizeCell = document.createElement('td');
+    sizeCell.className = 'artifact-size';
+    sizeCell.textContent = formatSize(artifact.size);
+
+    row.appendChild(nameCell);
+    row.appendChild(typeCell);
+    row.appendChild(sizeCell);
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  section.appendChild(table);
+  return section;
+}
 
-  if (!daysUntil || daysUntil < 0) {
-    banner.style.display = 'none';
-    return;
+/**
+ * Builds the modal section describing a desktop build: build ID, source
+ * changeset, release date, locales and the en-US download of every platform,
+ * with platforms that have no build marked as unavailable.
+ *
+ * @param {Object} build - Build metadata from the status
+ * @returns {HTMLElement} Section element
+ */
+function buildDesktopBuildSection(build) {
+  const section = document.createElement('section');
+  section.className = 'build-artifacts';
+
+  const facts = document.createElement('dl');
+  facts.className = 'build-facts';
+  const addFact = (label, value) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    if (value instanceof Node) dd.appendChild(value);
+    else dd.textContent = value;
+    facts.appendChild(dt);
+    facts.appendChild(dd);
+  };
+  const buildId = document.createElement('code');
+  buildId.textContent = build.buildId || '—';
+  addFact('Build ID', buildId);
+  if (build.buildNumber) addFact('Candidate', `build${build.buildNumber}`);
+  if (build.changeset) {
+    const link = document.createElement('a');
+    link.href = build.repository ? `${build.repository}/rev/${build.changeset}` : '#';
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = build.changeset.slice(0, 12);
+    addFact('Changeset', link);
   }
+  addFact('Released', build.releaseDate ? formatDate(build.releaseDate, true) : 'Not yet');
+  addFact('Locales', build.locales ? String(build.locales) : '—');
+  section.appendChild(facts);
+
+  const table = document.createElement('table');
+  table.className = 'artifact-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th scope="col">Platform</th>
+        <th scope="col">Download (en-US)</th>
+        <th scope="col">Size</th>
+      </tr>
+    </thead>
+  `;
+  const tbody = document.createElement('tbody');
+  for (const platform of build.platforms) {
+    const row = document.createElement('tr');
+    if (!platform.available) row.className = 'is-unavailable';
+
+    const platformCell = document.createElement('td');
+    platformCell.textContent = platform.label;
+
+    const fileCell = document.createElement('td');
+    if (platform.available) {
+      const link = document.createElement('a');
+      link.href = platform.url;
+      link.textContent = platform.name;
+      fileCell.appendChild(link);
+    } else {
+      fileCell.textContent = 'Not available';
+    }
 
-  // Update banner content
-  versionEl.textContent = `Thunderbird ${nextMajor}.0`;
-  dateEl.textContent = formatDateShort(nextReleaseDate);
-  remainingEl.textContent = daysUntil;
+    const sizeCell = document.createElement('td');
+    sizeCell.className = 'artifact-size';
+    sizeCell.textContent = platform.available ? formatSize(platform.size) : '—';
 
-  banner.style.display = 'block';
+    row.appendChild(platformCell);
+    row.appendChild(fileCell);
+    row.appendChild(sizeCell);
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  section.appendChild(table);
+  return section;
 }
 
 /**
- * Filters calendar events for a specific channel (desktop or Android).
+ * Builds a tab bar with one panel per tab; the first tab is selected. A
+ * tab's optional load(panel) runs the first time it is shown.
  *
- * @param {Array} events - Array of calendar events
- * @param {Object} channelDef - Channel definition object
- * @returns {Array} Filtered events relevant to the channel
+ * @param {Array<Object>} tabs - Tabs with label, panel element and optional load
+ * @returns {DocumentFragment} Tab bar followed by the panels
  */
-function filterEventsForChannel(events, channelDef) {
-  const list = events || [];
-  if (channelDef.platform === 'android') {
-    const androidEvents = list.filter(ev => isAndroidMilestone(ev));
-    return androidEvents;
+function buildModalTabs(tabs) {
+  const fragment = document.createDocumentFragment();
+  const bar = document.createElement('div');
+  bar.className = 'modal-tabs';
+  bar.setAttribute('role', 'tablist');
+  const buttons = tabs.map((tab, i) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'modal-tab';
+    button.setAttribute('role', 'tab');
+    button.textContent = tab.label;
+    tab.panel.setAttribute('role', 'tabpanel');
+    button.addEventListener('click', () => select(i));
+    bar.appendChild(button);
+    return button;
+  });
+
+  function select(index) {
+    tabs.forEach((tab, i) => {
+      buttons[i].setAttribute('aria-selected', String(i === index));
+      tab.panel.hidden = i !== index;
+    });
+    const tab = tabs[index];
+    if (tab.load && !tab.loaded) {
+      tab.loaded = true;
+      tab.load(tab.panel);
+    }
   }
-  return list.filter(ev => !ev.summary || !/^TfA/i.test(ev.summary));
+
+  fragment.appendChild(bar);
+  for (const tab of tabs) fragment.appendChild(tab.panel);
+  select(0);
+  return fragment;
 }
 
 /**
- * Builds a channel card DOM element with icon, name, version, and action button.
+ * Loads the release notes of a channel's current version into a panel. The
+ * server fetches and sanitizes the notes, so they are inserted as HTML.
  *
+ * @param {HTMLElement} panel - Notes tab panel
  * @param {Object} channelDef - Channel definition object
- * @param {Object} channelData - Channel data with version and milestone
- * @param {Array} allEvents - All calendar events
- * @returns {HTMLElement} Article element representing the channel card
+ * @param {Object} channelData - Channel data with version and notesUrl
  */
-function buildCard(channelDef, channelData, allEvents) {
-  const article = document.createElement('article');
-  article.className = 'channel';
-  article.setAttribute('data-channel', channelDef.key);
-  article.dataset.platform = channelDef.platform;
-
-  const icon = document.createElement('div');
-  icon.className = 'channel-icon';
-  const imgUrl = channelDef.img;
-  if (imgUrl) {
-    const img = document.createElement('img');
-    img.src = imgUrl;
-    img.alt = channelDef.name;
-    icon.appendChild(img);
-  } else {
-    const fallback = document.createElement('span');
-    fallback.textContent = channelDef.name.slice(0, 1).toUpperCase();
-    icon.appendChild(fallback);
-  }
+async function loadReleaseNotes(panel, channelDef, channelData) {
+  const source = document.createElement('p');
+  source.className = 'notes-source';
+  const link = document.createElement('a');
+  link.href = channelData.notesUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = channelDef.platform === 'android' ? 'View release on GitHub' : 'View on thunderbird.net';
+  source.appendChild(link);
+
+  const content = document.createElement('div');
+  content.className = 'release-notes';
+  content.textContent = 'Loading release notes…';
+  panel.appendChild(source);
+  panel.appendChild(content);
 
-  const name = document.createElement('span');
-  name.className = 'channel-name';
-  name.textContent = channelDef.name;
-
-  const version = document.createElement('span');
-  version.className = 'channel-version';
-  if (channelData.version) {
-    version.textContent = channelData.version;
-  } else {
-    version.textContent = '—';
-    version.classList.add('is-empty');
+  try {
+    const res = await fetch(`/api/notes/${encodeURIComponent(channelDef.statusGroup)}/${encodeURIComponent(channelDef.statusKey)}`, { cache: 'no-store' });
+    const notes = await res.json();
+    if (!res.ok) throw new Error(notes.detail || notes.error || `HTTP ${res.status}`);
+    if (notes.version !== channelData.version) source.prepend(`Notes for ${notes.version}. `);
+    content.innerHTML = notes.html || '<p>The release notes are empty.</p>';
+  } catch (err) {
+    content.textContent = `Release notes could not be loaded (${err.message}).`;
+    content.classList.add('is-error');
   }
-
-  const action = document.createElement('button');
-  action.className = 'channel-action';
-  action.type = 'button';
-  action.textContent = 'Milestones';
-  action.addEventListener('click', () => openModal(channelDef, channelData, allEvents));
-
-  article.appendChild(icon);
-  article.appendChild(name);
-  article.appendChild(version);
-  article.appendChild(action);
-
-  return article;
 }
 
 /**
  * Opens the milestone modal dialog for a specific channel.
- * Filters and displays relevant calendar events in a table.
+ * Shows the server-classified timeline of the channel's major version, with
+ * the milestones of the exact current version highlighted, preceded by the
+ * build's details and downloads for channels that list them (desktop builds
+ * and the Android nightly). Channels with release notes get a second "Notes"
+ * tab that loads them on first use.
  *
  * @param {Object} channelDef - Channel definition object
  * @param {Object} channelData - Channel data with version information
- * @param {Array} allEvents - All calendar events to filter from
+ * @param {Array} timeline - Milestones for the channel's major version
  */
-function openModal(channelDef, channelData, allEvents) {
+function openModal(channelDef, channelData, timeline) {
   const modal = document.getElementById('modal');
   const body = document.getElementById('modal-body');
   const title = document.getElementById('modal-title');
   title.textContent = `${channelDef.name} — ${channelData.version || '—'}`;
-  // filter events by full version first, then by major-version token (e.g. '145' for 145.0a1)
-  const version = channelData.version || '';
-  let major = null;
-  let candidates = [];
-  const isEsrChannel = channelDef.key.startsWith('esr');
-
-  if (version) {
-    // Extract major version number
-    major = (version.match(/(\d+)/) || [])[1];
-
-    if (major) {
-      // Find ALL events that contain this major version number
-      // This will match "145", "145.0", "145.0.1", "Thunderbird 145", etc.
-      const majorRe = new RegExp('\\b' + major + '(?:\\.\\d+)*\\b');
-      candidates = allEvents.filter(ev => ev.summary && majorRe.test(ev.summary));
-    }
-  }
+  const milestones = timeline || [];
 
-  const filterEsrEvents = (eventsList) => {
-    if (!major) return [];
-    const patterns = [
-      new RegExp(`\\b${major}\\.0a1\\b`, 'i'),
-      new RegExp(`\\b${major}\\.0b\\d+\\b`, 'i'),
-      new RegExp(`\\b${major}(?:\\.\\d+){1,3}esr\\b`, 'i')
-    ];
-    return (eventsList || []).filter(ev => {
-      const summary = ev.summary || '';
-      return patterns.some(re => re.test(summary));
-    });
-  };
-
-  if (isEsrChannel) {
-    candidates = filterEsrEvents(candidates);
-    if (candidates.length === 0) {
-      candidates = filterEsrEvents(allEvents);
-    }
-  }
-
-  // fallback: events that mention Thunderbird if we still have none
-  if (candidates.length === 0 && channelDef.platform === 'android') {
-    const androidFallback = allEvents.filter(ev => isAndroidMilestone(ev));
-    if (androidFallback.length > 0) {
-      candidates = androidFallback;
-    }
-  }
-
-  if (candidates.length === 0 && !isEsrChannel) {
-    const thunderbirdFallback = allEvents.filter(ev => ev.summary && /thunderbird/i.test(ev.summary));
-    if (thunderbirdFallback.length > 0) {
-      candidates = thunderbirdFallback;
+  body.innerHTML = '';
+  const panel = document.createElement('div');
+
+  if (calendarHealth && calendarHealth.status !== 'ok') {
+    const notice = document.createElement('p');
+    notice.className = 'source-notice';
+    if (calendarHealth.status === 'error') {
+      notice.textContent = `Calendar is unavailable (${calendarHealth.error}).`;
+    } else {
+      notice.textContent = `Showing milestones as of ${formatDate(calendarHealth.lastSuccess)}; the calendar has not been refreshed since.`;
     }
+    panel.appendChild(notice);
   }
 
-  if (candidates.length === 0 && Array.isArray(allEvents)) {
-    candidates = allEvents.slice();
-  }
-
-  body.innerHTML = '';
+  if (channelData.builtAt && channelData.artifacts?.length) panel.appendChild(buildArtifactSection(channelData));
+  if (channelData.build?.platforms) panel.appendChild(buildDesktopBuildSection(channelData.build));
 
-  if (candidates.length === 0) {
+  if (milestones.length === 0) {
     const empty = document.createElement('div');
     empty.className = 'no-events';
     empty.innerHTML = '<p>No matching milestones found in the calendar.</p>';
-    body.appendChild(empty);
+    panel.appendChild(empty);
   } else {
-    const table = document.createElement('table');
-    table.className = 'milestone-table';
+    panel.appendChild(buildMilestoneTable(milestones, channelData.version));
+  }
+  if (channelData.notesUrl) {
+    body.appendChild(buildModalTabs([
+      { label: 'Milestones', panel },
+      { label: 'Notes', panel: document.createElement('div'), load: notes => loadReleaseNotes(notes, channelDef, channelData) },
+    ]));
+  } else {
+    body.appendChild(panel);
+  }
+  modal.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * Formats a schedule date; projected dates are marked as approximate.
+ *
+ * @param {Object|undefined} milestone - Schedule milestone
+ * @returns {HTMLElement} Table cell
+ */
+function buildScheduleCell(milestone) {
+  const cell = document.createElement('td');
+  if (!milestone) {
+    cell.textContent = '—';
+    return cell;
+  }
+  cell.textContent = `${milestone.projected ? '≈ ' : ''}${formatDate(milestone.date, milestone.allDay)}`;
+  if (milestone.version && milestone.kind === 'esr-release') {
+    const version = document.createElement('span');
+    version.className = 'schedule-version';
+    version.textContent = milestone.version;
+    cell.appendChild(version);
+  }
+  if (milestone.projected) {
+    cell.classList.add('is-projected');
+    cell.title = 'Projected from the release cadence';
+  }
+  return cell;
+}
 
-    const thead = document.createElement('thead');
-    thead.innerHTML = `
+/**
+ * Builds the schedule table of one platform: per major, when it becomes
+ * Nightly, Beta and Release, and the ESR dot releases shipped with it.
+ *
+ * @param {string} title - Platform heading
+ * @param {Object} platform - { cadence, trains } from /api/schedule
+ * @returns {HTMLElement} Schedule block
+ */
+function buildScheduleTable(title, platform) {
+  const block = document.createElement('div');
+  block.className = 'schedule-platform';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const cadence = document.createElement('p');
+  cadence.className = 'schedule-cadence';
+  cadence.textContent = platform.cadence.learned
+    ? `Every ${platform.cadence.cycleDays} days, learned from ${platform.cadence.samples.releases} releases in the calendar`
+    : `Every ${platform.cadence.cycleDays} days (default; the calendar has too few releases to learn from)`;
+  block.appendChild(heading);
+  block.appendChild(cadence);
+
+  const showMerges = platform.trains.some(t => t.milestones.some(m => m.kind === 'merge-day'));
+  const showEsr = platform.trains.some(t => t.milestones.some(m => m.kind === 'esr-release'));
+  const table = document.createElement('table');
+  table.className = 'milestone-table schedule-table';
+  table.innerHTML = `
+    <thead>
       <tr>
-        <th scope="col">Date</th>
-        <th scope="col">Milestone</th>
+        <th scope="col">Version</th>
+        ${showMerges ? '<th scope="col">Nightly</th><th scope="col">Beta</th>' : ''}
+        <th scope="col">Release</th>
+        ${showEsr ? '<th scope="col">ESR</th>' : ''}
       </tr>
-    `;
-    table.appendChild(thead);
-
-    const tbody = document.createElement('tbody');
-    for (const ev of candidates) {
-      const row = document.createElement('tr');
-
-      const dateCell = document.createElement('td');
-      dateCell.className = 'milestone-date';
-      dateCell.textContent = formatDate(ev.start);
-
-      const summaryCell = document.createElement('td');
-      summaryCell.className = 'milestone-summary';
-      summaryCell.innerHTML = `<span class="summary-text">${ev.summary || '—'}</span>`;
-
-      row.appendChild(dateCell);
-      row.appendChild(summaryCell);
-      tbody.appendChild(row);
+    </thead>
+  `;
+  const tbody = document.createElement('tbody');
+  for (const train of platform.trains) {
+    const row = document.createElement('tr');
+    const versionCell = document.createElement('th');
+    versionCell.scope = 'row';
+    versionCell.textContent = train.version;
+    row.appendChild(versionCell);
+    const find = (kind, phase) => train.milestones.find(m => m.kind === kind && (!phase || m.phase === phase));
+    if (showMerges) {
+      row.appendChild(buildScheduleCell(find('merge-day', 'nightly')));
+      row.appendChild(buildScheduleCell(find('merge-day', 'beta')));
     }
+    row.appendChild(buildScheduleCell(find('release')));
+    if (showEsr) row.appendChild(buildScheduleCell(find('esr-release')));
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  block.appendChild(table);
+  return block;
+}
 
-    table.appendChild(tbody);
-    body.appendChild(table);
+/**
+ * Loads /api/schedule into the schedule section.
+ */
+async function loadSchedule() {
+  const container = document.getElementById('schedule');
+  if (!container) return;
+  try {
+    const res = await fetch('/api/schedule', { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const schedule = await res.json();
+    container.replaceChildren(
+      buildScheduleTable('Desktop', schedule.platforms.desktop),
+      buildScheduleTable('Android', schedule.platforms.android),
+    );
+  } catch (err) {
+    scheduleTimelines = null;
+    container.textContent = 'Error loading schedule: ' + err.message;
   }
-  modal.setAttribute('aria-hidden', 'false');
 }
 
 /**
@@ -352,20 +513,57 @@ function closeModal() {
   modal.setAttribute('aria-hidden', 'true');
 }
 
+/**
+ * Applies a status snapshot to the page: banner, both channel strips and the
+ * calendar health used by the modal.
+ *
+ * @param {Object} status - Status object from the API or the stream
+ */
+function applyStatus(status) {
+  lastStatus = status;
+  calendarHealth = status?.sources?.calendar || null;
+
+  // Update countdown banner
+  updateCountdownBanner(status);
+
+  renderChannels(status);
+
+  // The schedule only changes with the calendar.
+  const timelines = JSON.stringify(status?.timelines || null);
+  if (timelines !== scheduleTimelines) {
+    scheduleTimelines = timelines;
+    loadSchedule();
+  }
+}
+
+/**
+ * Renders the channel cards the preferences show: the pinned strip first,
+ * then the desktop and Android strips. Sections left empty are hidden.
+ *
+ * @param {Object} status - Status object from the API
+ */
+function renderChannels(status) {
+  const layout = dashboardLayout(dashboardPrefs);
+  for (const [sectionId, stripId, defs] of [
+    ['pinned-section', 'pinned-strip', layout.pinned],
+    ['desktop-section', 'channel-strip', layout.desktop],
+    ['android-section', 'android-strip', layout.android],
+  ]) {
+    document.getElementById(sectionId).hidden = defs.length === 0;
+    renderChannelGroup(stripId, defs, status, openModal);
+  }
+}
+
 /**
  * Fetches status from the API and updates the UI.
- * Called on page load and every 60 seconds.
+ * Used for the first load and while the live stream is unavailable.
  */
 async function refresh() {
   try {
-    const status = await fetchStatus();
-
-    // Update countdown banner
-    updateCountdownBanner(status);
-
-    renderChannelGroup('channel-strip', DESKTOP_CHANNELS, status);
-    renderChannelGroup('android-strip', ANDROID_CHANNELS, status);
+    applyStatus(await fetchStatus());
   } catch (err) {
+    // Keep showing the last good cards; only replace the loading placeholder.
+    if (lastStatus) return;
     const desktopStrip = document.getElementById('channel-strip');
     if (desktopStrip) desktopStrip.innerText = 'Error loading status: ' + err.message;
     const androidStrip = document.getElementById('android-strip');
@@ -374,37 +572,40 @@ async function refresh() {
 }
 
 /**
- * Renders a group of channel cards into a container element.
- *
- * @param {string} stripId - ID of the container element
- * @param {Array} channelDefs - Array of channel definition objects
- * @param {Object} status - Status object from the API
+ * Starts polling /api/status every 60 seconds, unless already polling.
  */
-function renderChannelGroup(stripId, channelDefs, status) {
-  const strip = document.getElementById(stripId);
-  if (!strip) return;
-
-  strip.innerHTML = '';
-  const events = status.events || [];
-  const esrNextVersion = status?.channels?.desktop?.esr_next?.version;
-
-  for (const def of channelDefs) {
-    const group = status?.channels?.[def.statusGroup] || {};
-    const data = group[def.statusKey] || { version: null, milestone: null, eventSummary: null };
-
-    if (def.statusKey === 'esr_next' && def.statusGroup === 'desktop' && !esrNextVersion) {
-      continue;
-    }
+function startPolling() {
+  if (pollTimer) return;
+  refresh();
+  pollTimer = setInterval(refresh, 60_000);
+}
 
-    let effectiveDef = def;
-    if (def.statusKey === 'esr_current' && def.statusGroup === 'desktop' && !esrNextVersion) {
-      effectiveDef = { ...def, name: 'ESR' };
-    }
+/**
+ * Stops the polling fallback.
+ */
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
 
-    const filteredEvents = filterEventsForChannel(events, effectiveDef);
-    const card = buildCard(effectiveDef, data, filteredEvents);
-    strip.appendChild(card);
+/**
+ * Subscribes to /api/stream. The server pushes a status on connect and
+ * whenever something changes. While the stream is down (EventSource retries
+ * on its own) the page falls back to polling, and browsers without
+ * EventSource only poll.
+ */
+function connectStream() {
+  if (!('EventSource' in window)) {
+    startPolling();
+    return;
   }
+  const source = new EventSource('/api/stream');
+  source.addEventListener('status', (e) => {
+    stopPolling();
+    applyStatus(JSON.parse(e.data));
+  });
+  source.addEventListener('status-error', () => startPolling());
+  source.addEventListener('error', () => startPolling());
 }
 
 document.getElementById('modal-close').addEventListener('click', () => closeModal());
@@ -413,6 +614,16 @@ document.addEventListener('keydown', (e)=>{
   if (e.key === 'Escape') closeModal();
 });
 
+dashboardPrefs = initDashboardPrefs(prefs => {
+  dashboardPrefs = prefs;
+  if (lastStatus) renderChannels(lastStatus);
+});
+
 // initial load
-refresh();
-setInterval(refresh, 60_000);
+connectStream();
+// The stream only pushes changes; keep the countdowns and build ages ticking
+// in between.
+setInterval(() => {
+  if (lastStatus) updateCountdownBanner(lastStatus);
+  updateBuildAges();
+}, 60_000);
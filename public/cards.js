@@ -0,0 +1,389 @@
+// Channel cards shared by the dashboard, the embeddable widget and the
+// version lookup: channel definitions, the formatting helpers the cards use,
+// rendering a group of cards into a strip, and the milestone table. Loaded
+// as a plain script before app.js, widget.js or search.js.
+
+const DESKTOP_CHANNELS = [
+  { key: 'esr_current', statusGroup: 'desktop', statusKey: 'esr_current', name: 'ESR (current)', hint: 'Current ESR', img: '/images/TB-Logo-ESR.png', platform: 'desktop' },
+  { key: 'esr_next', statusGroup: 'desktop', statusKey: 'esr_next', name: 'ESR (next)', hint: 'Next ESR', img: '/images/TB-Logo-ESR.png', platform: 'desktop' },
+  { key: 'release', statusGroup: 'desktop', statusKey: 'release', name: 'Release', hint: 'Stable release channel', img: '/images/TB-Logo-release.png', platform: 'desktop' },
+  { key: 'beta', statusGroup: 'desktop', statusKey: 'beta', name: 'Beta', hint: 'Beta testing channel', img: '/images/TB-Logo-beta.png', platform: 'desktop' },
+  { key: 'daily', statusGroup: 'desktop', statusKey: 'daily', name: 'Daily', hint: 'Cutting-edge nightly builds', img: '/images/TB-Logo-nightly.png', platform: 'desktop' },
+];
+
+const ANDROID_CHANNELS = [
+  { key: 'android_release', statusGroup: 'android', statusKey: 'release', name: 'Release', hint: 'Stable Android release channel', img: '/images/TB-Logo-release.png', platform: 'android' },
+  { key: 'android_beta', statusGroup: 'android', statusKey: 'beta', name: 'Beta', hint: 'Android beta testing channel', img: '/images/TB-Logo-beta.png', platform: 'android' },
+  { key: 'android_daily', statusGroup: 'android', statusKey: 'daily', name: 'Daily', hint: 'Android nightly builds', img: '/images/TB-Logo-nightly.png', platform: 'android' },
+];
+
+const ALL_CHANNELS = [...DESKTOP_CHANNELS, ...ANDROID_CHANNELS];
+
+/**
+ * Names a channel the way query strings do: "platform.channel", with
+ * "desktop.esr" for the current ESR.
+ *
+ * @param {Object} def - Channel definition
+ * @returns {string} e.g. "desktop.beta" or "android.release"
+ */
+function channelId(def) {
+  return `${def.statusGroup}.${def.statusKey === 'esr_current' ? 'esr' : def.statusKey}`;
+}
+
+/**
+ * Finds a channel definition by its channelId(). "desktop.esr_current" is
+ * accepted too.
+ *
+ * @param {string} id - e.g. "desktop.esr"
+ * @returns {Object|null} Channel definition, or null if unknown
+ */
+function channelDefById(id) {
+  const [platform, rawChannel] = String(id).trim().toLowerCase().split('.');
+  const channel = rawChannel === 'esr' ? 'esr_current' : rawChannel;
+  return ALL_CHANNELS.find(d => d.statusGroup === platform && d.statusKey === channel) || null;
+}
+
+/**
+ * Formats an ISO date string to a readable long format.
+ *
+ * @param {string} iso - ISO date string
+ * @param {boolean} [allDay] - True for all-day events, which are anchored at UTC midnight
+ * @returns {string} Formatted date (e.g., "October 14, 2025") or "—" if invalid
+ */
+function formatDate(iso, allDay = false) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  return d.toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: allDay ? 'UTC' : undefined
+  });
+}
+
+/**
+ * Formats an ISO date string to a short readable format.
+ *
+ * @param {string} iso - ISO date string
+ * @param {boolean} [allDay] - True for all-day events, which are anchored at UTC midnight
+ * @returns {string} Formatted date (e.g., "October 14, 2025") or "—" if invalid
+ */
+function formatDateShort(iso, allDay = false) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  return d.toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: allDay ? 'UTC' : undefined
+  });
+}
+
+/**
+ * Describes how long ago a build was made.
+ *
+ * @param {string} iso - ISO timestamp of the build
+ * @param {Date} [now] - Reference time
+ * @returns {string} e.g. "built 5 hours ago"
+ */
+function describeBuildAge(iso, now = new Date()) {
+  const hours = Math.max(0, Math.floor((now - new Date(iso)) / (1000 * 60 * 60)));
+  if (hours < 1) return 'built less than an hour ago';
+  if (hours < 48) return `built ${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+  return `built ${Math.floor(hours / 24)} days ago`;
+}
+
+/**
+ * Refreshes the "built N hours ago" labels between status updates.
+ */
+function updateBuildAges() {
+  for (const el of document.querySelectorAll('[data-built-at]')) {
+    el.textContent = describeBuildAge(el.dataset.builtAt);
+  }
+}
+
+/**
+ * Builds the release date and notes link line shown under a channel version,
+ * for sources that report them (e.g. Android tags).
+ *
+ * @param {Object} channelData - Channel data with optional date and notesUrl
+ * @returns {HTMLElement} Meta line element
+ */
+function buildReleaseMeta(channelData) {
+  const meta = document.createElement('span');
+  meta.className = 'channel-meta';
+  if (channelData.date) {
+    const date = document.createElement('span');
+    date.textContent = `${channelData.notesUrl ? 'Released' : 'Tagged'} ${formatDateShort(channelData.date)}`;
+    meta.appendChild(date);
+  }
+  if (channelData.notesUrl) {
+    const link = document.createElement('a');
+    link.href = channelData.notesUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = 'Release notes';
+    meta.appendChild(link);
+  }
+  return meta;
+}
+
+/**
+ * Builds the build age line shown under a nightly version, flagged when the
+ * server reports the build as stale.
+ *
+ * @param {Object} channelData - Channel data with builtAt, stale and staleAfterDays
+ * @returns {HTMLElement} Meta line element
+ */
+function buildBuildMeta(channelData) {
+  const meta = document.createElement('span');
+  meta.className = 'channel-meta';
+  const age = document.createElement('span');
+  age.dataset.builtAt = channelData.builtAt;
+  age.title = formatDate(channelData.builtAt);
+  age.textContent = describeBuildAge(channelData.builtAt);
+  meta.appendChild(age);
+  if (channelData.stale) {
+    const badge = document.createElement('span');
+    badge.className = 'channel-stale';
+    badge.textContent = 'Stale';
+    badge.title = `No new build for more than ${channelData.staleAfterDays} days`;
+    meta.appendChild(badge);
+  }
+  return meta;
+}
+
+/**
+ * Builds the build ID and release date line shown under a desktop version.
+ *
+ * @param {Object} build - Build metadata with buildId, releaseDate and locales
+ * @returns {HTMLElement} Meta line element
+ */
+function buildDesktopBuildMeta(build) {
+  const meta = document.createElement('span');
+  meta.className = 'channel-meta';
+  if (build.buildId) {
+    const id = document.createElement('span');
+    id.className = 'channel-build-id';
+    id.textContent = `Build ${build.buildId}`;
+    meta.appendChild(id);
+  }
+  if (build.releaseDate) {
+    const date = document.createElement('span');
+    date.textContent = `Released ${formatDateShort(build.releaseDate, true)}`;
+    meta.appendChild(date);
+  }
+  if (build.locales) {
+    const locales = document.createElement('span');
+    locales.textContent = `${build.locales} locales`;
+    meta.appendChild(locales);
+  }
+  return meta;
+}
+
+/**
+ * Builds a channel card DOM element with icon, name, version, and action button.
+ *
+ * @param {Object} channelDef - Channel definition object
+ * @param {Object} channelData - Channel data with version and major
+ * @param {Array} timeline - Milestones for the channel's major version
+ * @param {Function} [onOpen] - Called with the same arguments when the action button is clicked; without it the card has no button
+ * @returns {HTMLElement} Article element representing the channel card
+ */
+function buildCard(channelDef, channelData, timeline, onOpen) {
+  const article = document.createElement('article');
+  article.className = 'channel';
+  article.setAttribute('data-channel', channelDef.key);
+  article.dataset.platform = channelDef.platform;
+
+  const icon = document.createElement('div');
+  icon.className = 'channel-icon';
+  const imgUrl = channelDef.img;
+  if (imgUrl) {
+    const img = document.createElement('img');
+    img.src = imgUrl;
+    img.alt = channelDef.name;
+    icon.appendChild(img);
+  } else {
+    const fallback = document.createElement('span');
+    fallback.textContent = channelDef.name.slice(0, 1).toUpperCase();
+    icon.appendChild(fallback);
+  }
+
+  const name = document.createElement('span');
+  name.className = 'channel-name';
+  name.textContent = channelDef.name;
+
+  const version = document.createElement('span');
+  version.className = 'channel-version';
+  if (channelData.version) {
+    version.textContent = channelData.version;
+  } else {
+    version.textContent = '—';
+    version.classList.add('is-empty');
+  }
+
+  article.appendChild(icon);
+  article.appendChild(name);
+  article.appendChild(version);
+  if (channelData.date || channelData.notesUrl) article.appendChild(buildReleaseMeta(channelData));
+  if (channelData.builtAt) article.appendChild(buildBuildMeta(channelData));
+  if (channelData.build && !channelData.build.error) article.appendChild(buildDesktopBuildMeta(channelData.build));
+  if (channelData.stale) article.classList.add('is-stale-build');
+  if (onOpen) {
+    const action = document.createElement('button');
+    action.className = 'channel-action';
+    action.type = 'button';
+    action.textContent = 'Milestones';
+    action.addEventListener('click', () => onOpen(channelDef, channelData, timeline));
+    article.appendChild(action);
+  }
+
+  return article;
+}
+
+/**
+ * Flags a channel card whose upstream source failed on the last fetch or is
+ * still being served from the on-disk snapshot. Stale and degraded sources
+ * still show their last known version; failed sources have no version at all.
+ *
+ * @param {HTMLElement} card - Card element built by buildCard()
+ * @param {Object} health - Source health entry from status.sources
+ */
+function markDegraded(card, health) {
+  card.classList.add('is-degraded');
+  const badge = document.createElement('span');
+  badge.className = 'channel-degraded';
+  badge.textContent = health.status === 'error' ? 'Source unavailable' : 'Stale data';
+  badge.title = health.error || '';
+  card.insertBefore(badge, card.querySelector('.channel-action'));
+}
+
+/**
+ * Builds the table of a major's calendar milestones, with the milestones of
+ * one exact version highlighted.
+ *
+ * @param {Array} milestones - Milestones from the status timelines
+ * @param {string|null} currentVersion - Version whose milestones are highlighted
+ * @returns {HTMLElement} Table
+ */
+function buildMilestoneTable(milestones, currentVersion) {
+  const table = document.createElement('table');
+  table.className = 'milestone-table';
+
+  const thead = document.createElement('thead');
+  thead.innerHTML = `
+    <tr>
+      <th scope="col">Date</th>
+      <th scope="col">Milestone</th>
+    </tr>
+  `;
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  for (const milestone of milestones) {
+    const row = document.createElement('tr');
+    row.dataset.kind = milestone.kind;
+    if (milestone.version && milestone.version === currentVersion) row.classList.add('is-current');
+
+    const dateCell = document.createElement('td');
+    dateCell.className = 'milestone-date';
+    dateCell.textContent = formatDate(milestone.date, milestone.allDay);
+
+    const summaryCell = document.createElement('td');
+    summaryCell.className = 'milestone-summary';
+    const label = document.createElement('span');
+    label.className = 'summary-text';
+    label.textContent = milestone.label;
+    const desc = document.createElement('div');
+    desc.className = 'milestone-desc';
+    desc.textContent = milestone.summary;
+    summaryCell.appendChild(label);
+    summaryCell.appendChild(desc);
+
+    row.appendChild(dateCell);
+    row.appendChild(summaryCell);
+    tbody.appendChild(row);
+  }
+
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Describes everything a card displays, so unchanged cards can be kept.
+ *
+ * @param {Object} def - Channel definition used for the card
+ * @param {Object} data - Channel data
+ * @param {Array} timeline - Milestones for the channel's major version
+ * @param {Object} [health] - Source health entry
+ * @returns {string} Comparable signature
+ */
+function cardSignature(def, data, timeline, health) {
+  const degraded = health && health.status !== 'ok' ? [health.status, health.error] : null;
+  return JSON.stringify([def.name, data, timeline, degraded]);
+}
+
+/**
+ * Highlights a card whose version just changed.
+ *
+ * @param {HTMLElement} card - Card element
+ */
+function markUpdated(card) {
+  card.classList.add('just-updated');
+  setTimeout(() => card.classList.remove('just-updated'), 10_000);
+}
+
+/**
+ * Renders a group of channel cards into a container element.
+ * Cards whose data did not change are left in place; changed cards are
+ * rebuilt and highlighted when their version moved.
+ *
+ * @param {string} stripId - ID of the container element
+ * @param {Array} channelDefs - Array of channel definition objects
+ * @param {Object} status - Status object from the API
+ * @param {Function} [onOpen] - Action button handler passed to buildCard()
+ */
+function renderChannelGroup(stripId, channelDefs, status, onOpen) {
+  const strip = document.getElementById(stripId);
+  if (!strip) return;
+
+  const esrNextVersion = status?.channels?.desktop?.esr_next?.version;
+  const cards = [];
+
+  for (const def of channelDefs) {
+    const group = status?.channels?.[def.statusGroup] || {};
+    const data = group[def.statusKey] || { version: null, major: null };
+
+    if (def.statusKey === 'esr_next' && def.statusGroup === 'desktop' && !esrNextVersion) {
+      continue;
+    }
+
+    let effectiveDef = def;
+    if (def.statusKey === 'esr_current' && def.statusGroup === 'desktop' && !esrNextVersion) {
+      effectiveDef = { ...def, name: 'ESR' };
+    }
+
+    const timeline = status?.timelines?.[def.statusGroup]?.[data.major] || [];
+    const health = status?.sources?.[data.source];
+    const signature = cardSignature(effectiveDef, data, timeline, health);
+    const existing = strip.querySelector(`.channel[data-channel="${def.key}"]`);
+    if (existing && existing.dataset.signature === signature) {
+      cards.push(existing);
+      continue;
+    }
+
+    const card = buildCard(effectiveDef, data, timeline, onOpen);
+    card.dataset.signature = signature;
+    card.dataset.version = data.version || '';
+    if (health && health.status !== 'ok') markDegraded(card, health);
+    if (existing && data.version && existing.dataset.version !== data.version) markUpdated(card);
+    cards.push(card);
+  }
+
+  // Move cards into order without touching the ones already in place.
+  cards.forEach((card, i) => {
+    if (strip.children[i] !== card) strip.insertBefore(card, strip.children[i] || null);
+  });
+  while (strip.children.length > cards.length) strip.lastElementChild.remove();
+}
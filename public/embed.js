@@ -0,0 +1,29 @@
+// Embeds the channel card widget in another page:
+//
+//   <script src="https://<tracker>/embed.js" data-channels="desktop.release,desktop.beta"></script>
+//
+// The script inserts an iframe showing widget.html in its place and resizes
+// it to fit the cards.
+(function embedTrains() {
+  const script = document.currentScript;
+  if (!script) return;
+  const origin = new URL(script.src).origin;
+  const src = new URL('/widget.html', origin);
+  if (script.dataset.channels) src.searchParams.set('channels', script.dataset.channels);
+
+  const frame = document.createElement('iframe');
+  frame.src = src.href;
+  frame.title = 'Thunderbird Trains';
+  frame.loading = 'lazy';
+  frame.style.width = '100%';
+  frame.style.height = '260px';
+  frame.style.border = '0';
+  script.parentNode.insertBefore(frame, script);
+
+  window.addEventListener('message', (e) => {
+    if (e.origin !== origin || e.source !== frame.contentWindow) return;
+    if (e.data?.type === 'tb-trains:resize' && Number.isFinite(e.data.height)) {
+      frame.style.height = `${Math.ceil(e.data.height)}px`;
+    }
+  });
+})();
@@ -0,0 +1,155 @@
+const CHANNEL_NAMES = {
+  'desktop.release': 'Desktop Release',
+  'desktop.beta': 'Desktop Beta',
+  'desktop.esr': 'Desktop ESR',
+  'desktop.daily': 'Desktop Daily',
+  'android.release': 'Android Release',
+  'android.beta': 'Android Beta',
+  'android.daily': 'Android Daily',
+};
+
+const SOURCE_NAMES = {
+  'product-details': 'product-details',
+  github: 'GitHub release',
+  observed: 'First seen by tracker',
+};
+
+/**
+ * Fetches release history from the server API.
+ *
+ * @param {string} channel - History channel key, or '' for all channels
+ * @returns {Promise<Object>} History payload
+ * @throws {Error} If the API request fails
+ */
+async function fetchHistory(channel) {
+  const url = channel ? `/api/history?channel=${encodeURIComponent(channel)}` : '/api/history';
+  const res = await fetch(url);
+  if (!res.ok) throw new Error('Failed to load history');
+  return await res.json();
+}
+
+/**
+ * Formats an ISO date string to a readable long format in UTC, since
+ * upstream ship dates are calendar dates.
+ *
+ * @param {string} iso - ISO date string
+ * @returns {string} Formatted date (e.g., "October 14, 2025") or "—" if invalid
+ */
+function formatDate(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Flattens the history payload into entries tagged with their channel,
+ * newest first.
+ *
+ * @param {Object} data - Payload from /api/history
+ * @returns {Array<Object>} Entries with channel, version, date and source
+ */
+function flattenHistory(data) {
+  if (data.entries) return data.entries.map(entry => ({ ...entry, channel: data.channel }));
+  const all = [];
+  for (const [channel, entries] of Object.entries(data.channels || {})) {
+    for (const entry of entries) all.push({ ...entry, channel });
+  }
+  all.sort((a, b) => b.date.localeCompare(a.date));
+  return all;
+}
+
+/**
+ * Renders history entries as a timeline table grouped by year.
+ *
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} entries - Flattened history entries
+ * @param {boolean} showChannel - Whether to include a channel column
+ */
+function renderHistory(container, entries, showChannel) {
+  container.innerHTML = '';
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'no-events';
+    empty.innerHTML = '<p>No history recorded for this channel yet.</p>';
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'milestone-table history-table';
+  const thead = document.createElement('thead');
+  thead.innerHTML = `
+    <tr>
+      <th scope="col">Shipped</th>
+      ${showChannel ? '<th scope="col">Channel</th>' : ''}
+      <th scope="col">Version</th>
+      <th scope="col">Source</th>
+    </tr>
+  `;
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  let year = null;
+  for (const entry of entries) {
+    const entryYear = entry.date.slice(0, 4);
+    if (entryYear !== year) {
+      year = entryYear;
+      const yearRow = document.createElement('tr');
+      yearRow.className = 'history-year';
+      const cell = document.createElement('th');
+      cell.scope = 'rowgroup';
+      cell.colSpan = showChannel ? 4 : 3;
+      cell.textContent = year;
+      yearRow.appendChild(cell);
+      tbody.appendChild(yearRow);
+    }
+
+    const row = document.createElement('tr');
+    const cells = [formatDate(entry.date)];
+    if (showChannel) cells.push(CHANNEL_NAMES[entry.channel] || entry.channel);
+    cells.push(entry.version, SOURCE_NAMES[entry.source] || entry.source);
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === 0) td.className = 'milestone-date';
+      if (text === entry.version) td.className = 'milestone-summary';
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+/**
+ * Loads and renders the history of the selected channel, keeping the
+ * selection in the URL so views can be linked.
+ */
+async function refresh() {
+  const select = document.getElementById('history-channel');
+  const body = document.getElementById('history-body');
+  const channel = select.value;
+
+  const url = new URL(window.location.href);
+  if (channel) url.searchParams.set('channel', channel);
+  else url.searchParams.delete('channel');
+  window.history.replaceState(null, '', url);
+
+  try {
+    const data = await fetchHistory(channel);
+    renderHistory(body, flattenHistory(data), !channel);
+  } catch (err) {
+    body.innerText = 'Error loading history: ' + err.message;
+  }
+}
+
+const channelSelect = document.getElementById('history-channel');
+const requested = new URLSearchParams(window.location.search).get('channel');
+if (requested && CHANNEL_NAMES[requested]) channelSelect.value = requested;
+channelSelect.addEventListener('change', () => refresh());
+
+refresh();
@@ -0,0 +1,336 @@
+// Dashboard preferences: which channels are shown and in which order, which
+// are pinned to the top, and the display mode. They are kept in localStorage
+// and mirrored in the URL (?channels=desktop.esr,android.beta&pin=...&mode=wall)
+// so a view can be bookmarked or shared; a URL carrying preferences wins over
+// the stored ones. Loaded as a plain script after cards.js and before app.js.
+
+const PREFS_STORAGE_KEY = 'tb-trains:dashboard';
+const PREFS_PARAMS = ['channels', 'pin', 'mode'];
+const DASHBOARD_MODES = { standard: 'Standard', compact: 'Compact', wall: 'Wall display' };
+
+/**
+ * Reads a comma-separated channel list, dropping unknown and repeated names.
+ *
+ * @param {string|null} value - e.g. "desktop.esr,android.beta"
+ * @returns {Array<string>} Channel IDs from channelId()
+ */
+function parseChannelList(value) {
+  const ids = [];
+  for (const name of (value || '').split(',')) {
+    const def = name.trim() ? channelDefById(name) : null;
+    if (def && !ids.includes(channelId(def))) ids.push(channelId(def));
+  }
+  return ids;
+}
+
+/**
+ * Reads preferences from a query string.
+ *
+ * @param {string} query - e.g. "channels=desktop.esr&mode=compact"
+ * @returns {Object} { channels, pinned, mode } where channels is the shown channels in order, or null for all
+ */
+function parsePrefs(query) {
+  const params = new URLSearchParams(query);
+  const channels = parseChannelList(params.get('channels'));
+  const mode = params.get('mode');
+  return {
+    channels: channels.length ? channels : null,
+    pinned: parseChannelList(params.get('pin')),
+    mode: Object.hasOwn(DASHBOARD_MODES, mode) ? mode : 'standard',
+  };
+}
+
+/**
+ * Writes preferences as a query string, leaving out defaults. Commas are
+ * kept readable.
+ *
+ * @param {Object} prefs - Preferences from parsePrefs()
+ * @returns {string} Query string without "?", empty for the defaults
+ */
+function serializePrefs(prefs) {
+  const params = [];
+  if (prefs.channels) params.push(['channels', prefs.channels.join(',')]);
+  if (prefs.pinned.length) params.push(['pin', prefs.pinned.join(',')]);
+  if (prefs.mode !== 'standard') params.push(['mode', prefs.mode]);
+  return params.map(([name, value]) => `${name}=${encodeURIComponent(value).replace(/%2C/g, ',')}`).join('&');
+}
+
+/**
+ * Reads the preferences of this page load: from the URL if it carries any,
+ * else from localStorage.
+ *
+ * @returns {Object} Preferences from parsePrefs()
+ */
+function readPrefs() {
+  const params = new URLSearchParams(window.location.search);
+  if (PREFS_PARAMS.some(name => params.has(name))) return parsePrefs(window.location.search);
+  try {
+    return parsePrefs(localStorage.getItem(PREFS_STORAGE_KEY) || '');
+  } catch {
+    // Storage can be disabled; fall back to the defaults.
+    return parsePrefs('');
+  }
+}
+
+/**
+ * Returns the page URL carrying the given preferences instead of its own,
+ * keeping other parameters.
+ *
+ * @param {Object} prefs - Preferences from parsePrefs()
+ * @returns {URL} Page URL
+ */
+function prefsUrl(prefs) {
+  const url = new URL(window.location.href);
+  for (const name of PREFS_PARAMS) url.searchParams.delete(name);
+  url.search = [url.searchParams.toString(), serializePrefs(prefs)].filter(Boolean).join('&');
+  return url;
+}
+
+/**
+ * Stores preferences and puts them in the URL.
+ *
+ * @param {Object} prefs - Preferences from parsePrefs()
+ */
+function writePrefs(prefs) {
+  const query = serializePrefs(prefs);
+  try {
+    if (query) localStorage.setItem(PREFS_STORAGE_KEY, query);
+    else localStorage.removeItem(PREFS_STORAGE_KEY);
+  } catch {
+    // Without storage the URL still carries the view.
+  }
+  window.history.replaceState(null, '', prefsUrl(prefs));
+}
+
+/**
+ * Lists every channel in display order: the chosen ones first, then the rest
+ * in their default order.
+ *
+ * @param {Object} prefs - Preferences from parsePrefs()
+ * @returns {Array<string>} Channel IDs
+ */
+function channelOrder(prefs) {
+  const chosen = prefs.channels || [];
+  return [...chosen, ...ALL_CHANNELS.map(channelId).filter(id => !chosen.includes(id))];
+}
+
+/**
+ * True if a channel is shown; pinned channels always are.
+ *
+ * @param {Object} prefs - Preferences from parsePrefs()
+ * @param {string} id - Channel ID
+ * @returns {boolean} Whether the channel is shown
+ */
+function isChannelShown(prefs, id) {
+  return !prefs.channels || prefs.channels.includes(id) || prefs.pinned.includes(id);
+}
+
+/**
+ * Splits the shown channels into the pinned strip and the platform strips.
+ * Pinned Android cards say so, since they sit next to desktop ones.
+ *
+ * @param {Object} prefs - Preferences from parsePrefs()
+ * @returns {Object} { pinned, desktop, android } channel definitions in display order
+ */
+function dashboardLayout(prefs) {
+  const shown = channelOrder(prefs).filter(id => isChannelShown(prefs, id)).map(channelDefById);
+  const rest = shown.filter(def => !prefs.pinned.includes(channelId(def)));
+  return {
+    pinned: shown
+      .filter(def => prefs.pinned.includes(channelId(def)))
+      .map(def => (def.platform === 'android' ? { ...def, name: `Android ${def.name}` } : def)),
+    desktop: rest.filter(def => def.platform === 'desktop'),
+    android: rest.filter(def => def.platform === 'android'),
+  };
+}
+
+/**
+ * Keeps preferences canonical: pins in display order, and no channel list
+ * when it shows everything in the default order.
+ *
+ * @param {Object} prefs - Edited preferences
+ * @returns {Object} Normalized preferences
+ */
+function normalizePrefs(prefs) {
+  const order = channelOrder(prefs);
+  const channels = prefs.channels && order.filter(id => prefs.channels.includes(id) || prefs.pinned.includes(id));
+  const isDefault = channels && channels.join(',') === ALL_CHANNELS.map(channelId).join(',');
+  return {
+    channels: isDefault ? null : channels,
+    pinned: order.filter(id => prefs.pinned.includes(id)),
+    mode: prefs.mode,
+  };
+}
+
+/**
+ * Shows or hides a channel. Hiding a channel unpins it.
+ *
+ * @param {Object} prefs - Preferences
+ * @param {string} id - Channel ID
+ * @param {boolean} shown - Whether to show it
+ * @returns {Object} New preferences
+ */
+function setChannelShown(prefs, id, shown) {
+  const order = channelOrder(prefs);
+  const current = order.filter(other => isChannelShown(prefs, other));
+  const channels = shown ? order.filter(other => current.includes(other) || other === id) : current.filter(other => other !== id);
+  const pinned = shown ? prefs.pinned : prefs.pinned.filter(other => other !== id);
+  return normalizePrefs({ ...prefs, channels, pinned });
+}
+
+/**
+ * Pins or unpins a channel. Pinning a hidden channel shows it.
+ *
+ * @param {Object} prefs - Preferences
+ * @param {string} id - Channel ID
+ * @param {boolean} pinned - Whether to pin it
+ * @returns {Object} New preferences
+ */
+function setChannelPinned(prefs, id, pinned) {
+  const shown = pinned ? setChannelShown(prefs, id, true) : prefs;
+  return normalizePrefs({
+    ...shown,
+    pinned: pinned ? [...shown.pinned, id] : shown.pinned.filter(other => other !== id),
+  });
+}
+
+/**
+ * Moves a shown channel one place up or down among the shown channels.
+ *
+ * @param {Object} prefs - Preferences
+ * @param {string} id - Channel ID
+ * @param {number} step - -1 for up, 1 for down
+ * @returns {Object} New preferences
+ */
+function moveChannel(prefs, id, step) {
+  const channels = channelOrder(prefs).filter(other => isChannelShown(prefs, other));
+  const index = channels.indexOf(id);
+  const target = index + step;
+  if (index < 0 || target < 0 || target >= channels.length) return prefs;
+  [channels[index], channels[target]] = [channels[target], channels[index]];
+  return normalizePrefs({ ...prefs, channels });
+}
+
+/**
+ * Switches the page between the display modes.
+ *
+ * @param {string} mode - Key of DASHBOARD_MODES
+ */
+function applyDashboardMode(mode) {
+  for (const name of Object.keys(DASHBOARD_MODES)) {
+    document.body.classList.toggle(`mode-${name}`, name === mode);
+  }
+}
+
+/**
+ * Names a channel with its platform, for the Customize panel.
+ *
+ * @param {Object} def - Channel definition
+ * @returns {string} e.g. "Desktop ESR (current)"
+ */
+function describeChannel(def) {
+  return `${def.platform === 'android' ? 'Android' : 'Desktop'} ${def.name}`;
+}
+
+/**
+ * Renders the channel rows of the Customize panel.
+ *
+ * @param {HTMLElement} list - List element
+ * @param {Object} prefs - Preferences
+ * @param {Function} update - Called with new preferences
+ */
+function renderPrefsChannels(list, prefs, update) {
+  list.innerHTML = '';
+  const shownIds = channelOrder(prefs).filter(id => isChannelShown(prefs, id));
+  for (const id of channelOrder(prefs)) {
+    const def = channelDefById(id);
+    const shown = shownIds.includes(id);
+    const item = document.createElement('li');
+    item.className = 'prefs-channel';
+    item.classList.toggle('is-hidden', !shown);
+
+    const name = document.createElement('span');
+    name.className = 'prefs-channel-name';
+    name.textContent = describeChannel(def);
+    item.appendChild(name);
+
+    const toggle = (label, checked, disabled, onToggle) => {
+      const wrapper = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = checked;
+      box.disabled = disabled;
+      box.addEventListener('change', () => update(onToggle(box.checked)));
+      wrapper.appendChild(box);
+      wrapper.appendChild(document.createTextNode(` ${label}`));
+      return wrapper;
+    };
+    // The last shown channel stays; an empty dashboard cannot be put in a URL.
+    const onlyShown = shown && shownIds.length === 1;
+    item.appendChild(toggle('Show', shown, onlyShown, checked => setChannelShown(prefs, id, checked)));
+    item.appendChild(toggle('Pin', prefs.pinned.includes(id), false, checked => setChannelPinned(prefs, id, checked)));
+
+    for (const [label, step, disabled] of [['↑', -1, shownIds[0] === id], ['↓', 1, shownIds[shownIds.length - 1] === id]]) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.setAttribute('aria-label', `Move ${describeChannel(def)} ${step < 0 ? 'up' : 'down'}`);
+      button.disabled = !shown || disabled;
+      button.addEventListener('click', () => update(moveChannel(prefs, id, step)));
+      item.appendChild(button);
+    }
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Reads the preferences, applies the display mode and wires up the
+ * Customize panel. Every change is stored, put in the URL and passed to
+ * `onChange`.
+ *
+ * @param {Function} onChange - Called with the new preferences
+ * @returns {Object} Preferences of this page load
+ */
+function initDashboardPrefs(onChange) {
+  const list = document.getElementById('prefs-channels');
+  const modeSelect = document.getElementById('prefs-mode');
+  const shareButton = document.getElementById('prefs-share');
+  const resetButton = document.getElementById('prefs-reset');
+  const message = document.getElementById('prefs-message');
+  let prefs = readPrefs();
+
+  const render = () => {
+    applyDashboardMode(prefs.mode);
+    modeSelect.value = prefs.mode;
+    renderPrefsChannels(list, prefs, update);
+  };
+  function update(next) {
+    prefs = next;
+    writePrefs(prefs);
+    message.textContent = '';
+    render();
+    onChange(prefs);
+  }
+
+  for (const [mode, label] of Object.entries(DASHBOARD_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  }
+  modeSelect.addEventListener('change', () => update({ ...prefs, mode: modeSelect.value }));
+  resetButton.addEventListener('click', () => update(parsePrefs('')));
+  shareButton.addEventListener('click', async () => {
+    // Stored preferences are not in the URL until they are edited.
+    const url = prefsUrl(prefs);
+    try {
+      await navigator.clipboard.writeText(url.href);
+      message.textContent = 'Link copied.';
+    } catch {
+      message.textContent = url.href;
+    }
+  });
+
+  render();
+  return prefs;
+}
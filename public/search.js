@@ -0,0 +1,235 @@
+// Version lookup: everything known about one version or major, from
+// /api/v1/versions. The query stays in the URL so lookups can be linked.
+
+const CHANNEL_NAMES = {
+  'desktop.release': 'Release',
+  'desktop.beta': 'Beta',
+  'desktop.esr': 'ESR',
+  'desktop.daily': 'Daily',
+  'android.release': 'Release',
+  'android.beta': 'Beta',
+  'android.daily': 'Daily',
+  esr_current: 'ESR (current)',
+  esr_next: 'ESR (next)',
+  release: 'Release',
+  beta: 'Beta',
+  daily: 'Daily',
+};
+
+const PLATFORM_NAMES = { desktop: 'Thunderbird', android: 'Thunderbird for Android' };
+
+const PHASE_NAMES = { nightly: 'Nightly', beta: 'Beta', release: 'Release', esr: 'ESR' };
+
+/**
+ * Looks a version up.
+ *
+ * @param {string} query - Version, major or e.g. "TfA 12"
+ * @param {string} platform - "desktop", "android" or '' for either
+ * @returns {Promise<Object|null>} Version resource, or null if nothing is known about it
+ * @throws {Error} If the query is invalid or the request fails
+ */
+async function fetchVersion(query, platform) {
+  const url = `/api/v1/versions/${encodeURIComponent(query)}${platform ? `?platform=${platform}` : ''}`;
+  const res = await fetch(url);
+  if (res.status === 404) return null;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+/**
+ * Creates an element with a class and text.
+ *
+ * @param {string} tag - Tag name
+ * @param {string} className - Class name, or '' for none
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Builds a list of links, skipping missing URLs.
+ *
+ * @param {Array<Array>} links - [label, url] pairs
+ * @returns {HTMLElement} Span with the links, or a dash if there are none
+ */
+function buildLinks(links) {
+  const span = element('span', 'search-links');
+  for (const [label, url] of links) {
+    if (!url) continue;
+    const a = element('a', '', label);
+    a.href = url;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    span.appendChild(a);
+  }
+  if (!span.children.length) span.textContent = '—';
+  return span;
+}
+
+/**
+ * Builds a titled subsection of the result.
+ *
+ * @param {string} title - Heading
+ * @param {HTMLElement} content - Content
+ * @returns {HTMLElement} Section
+ */
+function buildSection(title, content) {
+  const section = element('section', 'search-section');
+  section.appendChild(element('h3', '', title));
+  section.appendChild(content);
+  return section;
+}
+
+/**
+ * Builds the phase dates of the major: when it entered Nightly, Beta,
+ * Release and ESR according to the calendar.
+ *
+ * @param {Object} phases - { nightly, beta, release, esr } ISO dates or null
+ * @returns {HTMLElement} Definition list, or a notice if no phase is known
+ */
+function buildPhases(phases) {
+  const known = Object.entries(PHASE_NAMES).filter(([phase]) => phases[phase]);
+  if (known.length === 0) return element('p', 'search-empty', 'The calendar has no phase dates for this major.');
+  const list = element('dl', 'search-phases');
+  for (const [phase, name] of known) {
+    const term = element('dt', '');
+    term.appendChild(element('span', `timeline-swatch phase-${phase}`));
+    term.appendChild(document.createTextNode(name));
+    list.appendChild(term);
+    list.appendChild(element('dd', '', formatDate(phases[phase], true)));
+  }
+  return list;
+}
+
+/**
+ * Builds the table of when the version entered and left each channel.
+ *
+ * @param {Array<Object>} history - History entries of the version resource
+ * @param {Array<Object>} channels - Channels currently on the version
+ * @returns {HTMLElement} Table, or a notice if the version never shipped
+ */
+function buildChannelHistory(history, channels) {
+  if (history.length === 0) return element('p', 'search-empty', 'No release of this version is recorded.');
+  const current = new Set(channels.map(c => c.version));
+  const table = element('table', 'milestone-table search-history');
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th scope="col">Channel</th>
+        <th scope="col">Version</th>
+        <th scope="col">Entered</th>
+        <th scope="col">Left</th>
+        <th scope="col">Links</th>
+      </tr>
+    </thead>
+  `;
+  const tbody = document.createElement('tbody');
+  for (const entry of history) {
+    const row = document.createElement('tr');
+    let left = entry.until ? formatDate(entry.until, true) : '—';
+    if (!entry.until && current.has(entry.version)) left = 'Still current';
+    row.appendChild(element('td', '', CHANNEL_NAMES[entry.channel] || entry.channel));
+    row.appendChild(element('td', 'milestone-summary', entry.version));
+    row.appendChild(element('td', 'milestone-date', formatDate(entry.date, true)));
+    row.appendChild(element('td', 'milestone-date', left));
+    const links = element('td', '');
+    links.appendChild(buildLinks([['Notes', entry.notesUrl], ['Builds', entry.buildsUrl]]));
+    row.appendChild(links);
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Builds the list of channels currently on the version.
+ *
+ * @param {Array<Object>} channels - Channel resources
+ * @returns {HTMLElement} List, or a notice if no channel is on it
+ */
+function buildCurrentChannels(channels) {
+  if (channels.length === 0) return element('p', 'search-empty', 'No channel is on this version right now.');
+  const list = element('ul', 'search-channels');
+  for (const channel of channels) {
+    const item = document.createElement('li');
+    item.appendChild(element('strong', '', CHANNEL_NAMES[channel.channel] || channel.channel));
+    item.appendChild(document.createTextNode(` ${channel.version}`));
+    if (channel.stale) item.appendChild(element('span', 'channel-degraded', 'Stale build'));
+    item.appendChild(buildLinks([['Notes', channel.notesUrl]]));
+    list.appendChild(item);
+  }
+  return list;
+}
+
+/**
+ * Renders a version resource.
+ *
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} data - Version resource from /api/v1/versions
+ */
+function renderVersion(container, data) {
+  const bareMajor = /^\d+$/.test(data.version);
+  container.innerHTML = '';
+  container.appendChild(element('h3', 'search-title', `${PLATFORM_NAMES[data.platform]} ${data.version}`));
+  if (!bareMajor) container.appendChild(element('p', 'search-major', `Part of the ${data.major} train.`));
+
+  container.appendChild(buildSection('On a channel now', buildCurrentChannels(data.channels)));
+  container.appendChild(buildSection('Channels', buildChannelHistory(data.history, data.channels)));
+  container.appendChild(buildSection(`Phases of ${data.major}`, buildPhases(data.phases)));
+  const milestones = data.milestones.length
+    ? buildMilestoneTable(data.milestones, bareMajor ? null : data.version)
+    : element('p', 'search-empty', 'No matching milestones found in the calendar.');
+  container.appendChild(buildSection(`Milestones of ${data.major}`, milestones));
+}
+
+/**
+ * Looks up the query in the form, keeping it in the URL so lookups can be
+ * linked.
+ */
+async function search() {
+  const query = document.getElementById('search-query').value.trim();
+  const platform = document.getElementById('search-platform').value;
+  const body = document.getElementById('search-body');
+
+  const url = new URL(window.location.href);
+  url.searchParams.delete('q');
+  url.searchParams.delete('platform');
+  if (query) url.searchParams.set('q', query);
+  if (query && platform) url.searchParams.set('platform', platform);
+  window.history.replaceState(null, '', url);
+  if (!query) {
+    body.innerHTML = '';
+    return;
+  }
+
+  body.innerHTML = '<p class="loading">Loading…</p>';
+  try {
+    const data = await fetchVersion(query, platform);
+    if (data) {
+      renderVersion(body, data);
+    } else {
+      body.innerHTML = '';
+      body.appendChild(element('div', 'no-events', `Nothing is known about ${query}.`));
+    }
+  } catch (err) {
+    body.innerHTML = '';
+    body.appendChild(element('div', 'no-events', `Lookup failed: ${err.message}`));
+  }
+}
+
+const params = new URLSearchParams(window.location.search);
+document.getElementById('search-query').value = params.get('q') || '';
+if (PLATFORM_NAMES[params.get('platform')]) document.getElementById('search-platform').value = params.get('platform');
+document.getElementById('search-form').addEventListener('submit', event => {
+  event.preventDefault();
+  search();
+});
+document.getElementById('search-platform').addEventListener('change', () => search());
+
+search();
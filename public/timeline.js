@@ -0,0 +1,365 @@
+// Train timeline: every major in the calendar as a bar through its phases,
+// one lane per platform, drawn as SVG from the /api/status timelines (each
+// milestone names the phase it puts its train in). Pans and zooms with the
+// mouse, the keyboard and the toolbar.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LANES = [
+  { platform: 'desktop', name: 'Desktop' },
+  { platform: 'android', name: 'Android' },
+];
+
+const PHASE_NAMES = { nightly: 'Nightly', beta: 'Beta', release: 'Release', esr: 'ESR' };
+const PHASE_ORDER = ['nightly', 'beta', 'release', 'esr'];
+
+const LABEL_WIDTH = 88;
+const AXIS_HEIGHT = 32;
+const LANE_HEADER_HEIGHT = 30;
+const ROW_HEIGHT = 30;
+const BAR_HEIGHT = 16;
+// Zoom limits (visible span, days).
+const MIN_SPAN_DAYS = 14;
+const MAX_SPAN_DAYS = 3 * 365;
+// Panning stops this far past the first and last milestone.
+const PAN_MARGIN_DAYS = 60;
+
+let rows = [];
+let extent = null;
+let view = null;
+
+/**
+ * Fetches the current status data from the server API.
+ *
+ * @returns {Promise<Object>} Status object containing channels and timelines
+ * @throws {Error} If the API request fails
+ */
+async function fetchStatus() {
+  const res = await fetch('/api/status');
+  if (!res.ok) throw new Error('Failed to load status');
+  return await res.json();
+}
+
+/**
+ * Formats an all-day milestone date (anchored at UTC midnight).
+ *
+ * @param {string} iso - ISO date string
+ * @returns {string} e.g. "October 14, 2025"
+ */
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Splits one major's timeline into phase segments. A train only moves
+ * forward (a string freeze after the beta merge does not send it back to
+ * nightly); its release phase ends when the next major is released, and the
+ * last phase stays open.
+ *
+ * @param {Array<Object>} milestones - Milestones of the major, sorted by date
+ * @param {string|null} nextRelease - Release date of the next major
+ * @returns {Array<Object>} Segments { phase, start, end } with times in ms; end is null while open
+ */
+function buildSegments(milestones, nextRelease) {
+  const segments = [];
+  for (const milestone of milestones) {
+    const { phase } = milestone;
+    const current = segments[segments.length - 1];
+    if (!phase || (current && PHASE_ORDER.indexOf(phase) <= PHASE_ORDER.indexOf(current.phase))) continue;
+    const start = Date.parse(milestone.date);
+    if (current) current.end = start;
+    segments.push({ phase, start, end: null });
+  }
+  const last = segments[segments.length - 1];
+  if (last?.phase === 'release' && nextRelease) last.end = Date.parse(nextRelease);
+  return segments;
+}
+
+/**
+ * Builds the chart rows: one per major, grouped in a lane per platform.
+ *
+ * @param {Object} timelines - Timelines from /api/status
+ * @returns {Array<Object>} Rows { lane, major, segments, milestones }
+ */
+function buildRows(timelines) {
+  const result = [];
+  for (const lane of LANES) {
+    const byMajor = timelines?.[lane.platform] || {};
+    const majors = Object.keys(byMajor).sort((a, b) => Number(a) - Number(b));
+    for (const major of majors) {
+      const milestones = byMajor[major];
+      const nextRelease = byMajor[String(Number(major) + 1)]?.find(m => m.kind === 'release')?.date || null;
+      result.push({ lane, major, segments: buildSegments(milestones, nextRelease), milestones });
+    }
+  }
+  return result;
+}
+
+/**
+ * Time range covered by the data.
+ *
+ * @param {Array<Object>} chartRows - Rows from buildRows()
+ * @returns {Object} { start, end } in ms
+ */
+function dataExtent(chartRows) {
+  const times = chartRows.flatMap(row => row.milestones.map(m => Date.parse(m.date)));
+  times.push(Date.now());
+  return { start: Math.min(...times) - PAN_MARGIN_DAYS * DAY_MS, end: Math.max(...times) + PAN_MARGIN_DAYS * DAY_MS };
+}
+
+/**
+ * The default view: three months back and four ahead of today.
+ *
+ * @returns {Object} { start, end } in ms
+ */
+function defaultView() {
+  const now = Date.now();
+  return { start: now - 90 * DAY_MS, end: now + 120 * DAY_MS };
+}
+
+/**
+ * Keeps a view within the zoom limits and the data extent.
+ *
+ * @param {Object} next - Requested view { start, end }
+ * @returns {Object} Clamped view
+ */
+function clampView(next) {
+  let span = Math.min(Math.max(next.end - next.start, MIN_SPAN_DAYS * DAY_MS), MAX_SPAN_DAYS * DAY_MS);
+  let start = next.start + (next.end - next.start - span) / 2;
+  if (extent) {
+    span = Math.min(span, extent.end - extent.start);
+    start = Math.min(Math.max(start, extent.start), extent.end - span);
+  }
+  return { start, end: start + span };
+}
+
+/**
+ * Creates an SVG element.
+ *
+ * @param {string} name - Tag name
+ * @param {Object} [attrs] - Attributes
+ * @param {string} [text] - Text content
+ * @returns {SVGElement} Element
+ */
+function svgElement(name, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Tick marks for the axis: the first of each month, or Mondays when
+ * zoomed in to a few weeks.
+ *
+ * @param {Object} range - View { start, end }
+ * @returns {Array<Object>} Ticks { time, label }
+ */
+function axisTicks(range) {
+  const ticks = [];
+  const weekly = range.end - range.start < 70 * DAY_MS;
+  const d = new Date(range.start);
+  d.setUTCHours(0, 0, 0, 0);
+  if (weekly) {
+    d.setUTCDate(d.getUTCDate() + ((8 - d.getUTCDay()) % 7));
+  } else {
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  while (d.getTime() <= range.end) {
+    const label = weekly
+      ? d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+      : d.toLocaleDateString('en-US', { month: 'short', year: d.getUTCMonth() === 0 ? 'numeric' : undefined, timeZone: 'UTC' });
+    ticks.push({ time: d.getTime(), label });
+    if (weekly) d.setUTCDate(d.getUTCDate() + 7);
+    else d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  return ticks;
+}
+
+/**
+ * Draws the chart for the current view.
+ */
+function render() {
+  const container = document.getElementById('timeline-chart');
+  if (!container || !view) return;
+  const width = Math.max(container.clientWidth, 480);
+  const chartWidth = width - LABEL_WIDTH;
+  const x = time => LABEL_WIDTH + ((time - view.start) / (view.end - view.start)) * chartWidth;
+
+  const visibleLanes = LANES.filter(lane => rows.some(row => row.lane === lane));
+  const height = AXIS_HEIGHT + visibleLanes.length * LANE_HEADER_HEIGHT + rows.length * ROW_HEIGHT + 8;
+  const svg = svgElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, class: 'timeline-svg', role: 'img', 'aria-label': 'Train timeline' });
+
+  const clip = svgElement('clipPath', { id: 'timeline-clip' });
+  clip.appendChild(svgElement('rect', { x: LABEL_WIDTH, y: 0, width: chartWidth, height }));
+  svg.appendChild(svgElement('defs')).appendChild(clip);
+  const plot = svgElement('g', { 'clip-path': 'url(#timeline-clip)' });
+
+  for (const tick of axisTicks(view)) {
+    plot.appendChild(svgElement('line', { x1: x(tick.time), x2: x(tick.time), y1: AXIS_HEIGHT - 6, y2: height, class: 'timeline-grid' }));
+    plot.appendChild(svgElement('text', { x: x(tick.time) + 4, y: AXIS_HEIGHT - 12, class: 'timeline-tick' }, tick.label));
+  }
+
+  let y = AXIS_HEIGHT;
+  for (const lane of visibleLanes) {
+    svg.appendChild(svgElement('text', { x: 0, y: y + LANE_HEADER_HEIGHT - 10, class: 'timeline-lane' }, lane.name));
+    plot.appendChild(svgElement('line', { x1: LABEL_WIDTH, x2: width, y1: y + LANE_HEADER_HEIGHT - 4, y2: y + LANE_HEADER_HEIGHT - 4, class: 'timeline-lane-rule' }));
+    y += LANE_HEADER_HEIGHT;
+
+    for (const row of rows.filter(r => r.lane === lane)) {
+      const mid = y + ROW_HEIGHT / 2;
+      svg.appendChild(svgElement('text', { x: 12, y: mid + 4, class: 'timeline-major' }, row.major));
+
+      for (const segment of row.segments) {
+        const start = x(segment.start);
+        const end = segment.end === null ? width : x(segment.end);
+        const bar = svgElement('rect', {
+          x: start,
+          y: mid - BAR_HEIGHT / 2,
+          width: Math.max(end - start, 2),
+          height: BAR_HEIGHT,
+          rx: 4,
+          class: `timeline-bar phase-${segment.phase}${segment.end === null ? ' is-open' : ''}`,
+        });
+        const until = segment.end === null ? 'ongoing' : `until ${formatDate(new Date(segment.end).toISOString())}`;
+        bar.appendChild(svgElement('title', {}, `${row.lane.name} ${row.major} ${PHASE_NAMES[segment.phase]}: ${formatDate(new Date(segment.start).toISOString())}, ${until}`));
+        plot.appendChild(bar);
+        if (end - start > 60) {
+          plot.appendChild(svgElement('text', { x: Math.max(start, LABEL_WIDTH) + 6, y: mid + 4, class: 'timeline-bar-label' }, PHASE_NAMES[segment.phase]));
+        }
+      }
+
+      for (const milestone of row.milestones) {
+        const marker = svgElement('circle', { cx: x(Date.parse(milestone.date)), cy: mid, r: 4, class: `timeline-marker kind-${milestone.kind}` });
+        marker.appendChild(svgElement('title', {}, `${formatDate(milestone.date)} — ${milestone.label}\n${milestone.summary}`));
+        plot.appendChild(marker);
+      }
+      y += ROW_HEIGHT;
+    }
+  }
+
+  const today = x(Date.now());
+  plot.appendChild(svgElement('line', { x1: today, x2: today, y1: AXIS_HEIGHT - 6, y2: height, class: 'timeline-today' }));
+  plot.appendChild(svgElement('text', { x: today + 4, y: height - 4, class: 'timeline-today-label' }, 'Today'));
+
+  svg.appendChild(plot);
+  container.replaceChildren(svg);
+}
+
+/**
+ * Zooms the view around a point in time.
+ *
+ * @param {number} factor - Span multiplier; below 1 zooms in
+ * @param {number} [anchor] - Time (ms) that stays in place; defaults to the view center
+ */
+function zoom(factor, anchor = (view.start + view.end) / 2) {
+  view = clampView({
+    start: anchor - (anchor - view.start) * factor,
+    end: anchor + (view.end - anchor) * factor,
+  });
+  render();
+}
+
+/**
+ * Pans the view.
+ *
+ * @param {number} ms - Time to move by; positive moves later
+ */
+function pan(ms) {
+  view = clampView({ start: view.start + ms, end: view.end + ms });
+  render();
+}
+
+/**
+ * Converts a pointer position in the chart to a time.
+ *
+ * @param {HTMLElement} container - Chart container
+ * @param {number} clientX - Pointer x
+ * @returns {number} Time in ms
+ */
+function timeAt(container, clientX) {
+  const rect = container.getBoundingClientRect();
+  const fraction = (clientX - rect.left - LABEL_WIDTH) / (rect.width - LABEL_WIDTH);
+  return view.start + Math.min(Math.max(fraction, 0), 1) * (view.end - view.start);
+}
+
+/**
+ * Wires up zooming (wheel, buttons, +/- keys) and panning (drag, arrow keys).
+ */
+function bindControls() {
+  const container = document.getElementById('timeline-chart');
+  container.addEventListener('wheel', (e) => {
+    if (!view) return;
+    e.preventDefault();
+    if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      pan(((e.deltaX || e.deltaY) / container.clientWidth) * (view.end - view.start));
+    } else {
+      zoom(e.deltaY > 0 ? 1.2 : 1 / 1.2, timeAt(container, e.clientX));
+    }
+  }, { passive: false });
+
+  let drag = null;
+  container.addEventListener('pointerdown', (e) => {
+    if (!view) return;
+    drag = { x: e.clientX, view };
+    container.setPointerCapture(e.pointerId);
+    container.classList.add('is-dragging');
+  });
+  container.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const ms = ((drag.x - e.clientX) / (container.clientWidth - LABEL_WIDTH)) * (drag.view.end - drag.view.start);
+    view = clampView({ start: drag.view.start + ms, end: drag.view.end + ms });
+    render();
+  });
+  const endDrag = () => {
+    drag = null;
+    container.classList.remove('is-dragging');
+  };
+  container.addEventListener('pointerup', endDrag);
+  container.addEventListener('pointercancel', endDrag);
+
+  container.addEventListener('keydown', (e) => {
+    if (!view) return;
+    const step = (view.end - view.start) / 8;
+    if (e.key === '+' || e.key === '=') zoom(1 / 1.5);
+    else if (e.key === '-') zoom(1.5);
+    else if (e.key === 'ArrowLeft') pan(-step);
+    else if (e.key === 'ArrowRight') pan(step);
+    else return;
+    e.preventDefault();
+  });
+
+  document.getElementById('timeline-zoom-in').addEventListener('click', () => view && zoom(1 / 1.5));
+  document.getElementById('timeline-zoom-out').addEventListener('click', () => view && zoom(1.5));
+  document.getElementById('timeline-today').addEventListener('click', () => {
+    if (!view) return;
+    view = clampView(defaultView());
+    render();
+  });
+  window.addEventListener('resize', () => render());
+}
+
+/**
+ * Loads the status and draws the timeline.
+ */
+async function load() {
+  const container = document.getElementById('timeline-chart');
+  try {
+    const status = await fetchStatus();
+    rows = buildRows(status.timelines);
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="no-events"><p>No milestones found in the calendar.</p></div>';
+      return;
+    }
+    extent = dataExtent(rows);
+    view = clampView(defaultView());
+    render();
+  } catch (err) {
+    container.innerText = 'Error loading timeline: ' + err.message;
+  }
+}
+
+bindControls();
+load();
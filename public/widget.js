@@ -0,0 +1,62 @@
+// Embeddable widget: the channel cards picked with ?channels= (e.g.
+// "desktop.release,desktop.beta,android.release"; all channels when omitted),
+// without the rest of the dashboard. Loaded in an iframe by embed.js.
+
+// Seconds between status refreshes.
+const WIDGET_REFRESH_SECONDS = 300;
+
+/**
+ * Picks the channel definitions named in the query string. "desktop.esr"
+ * means the current ESR; unknown names are ignored.
+ *
+ * @param {string|null} param - Comma-separated "platform.channel" list
+ * @returns {Array<Object>} Channel definitions
+ */
+function selectChannels(param) {
+  if (!param) return ALL_CHANNELS;
+  const defs = [];
+  for (const name of param.split(',')) {
+    const def = channelDefById(name);
+    if (def && !defs.includes(def)) defs.push(def);
+  }
+  return defs.length ? defs : ALL_CHANNELS;
+}
+
+/**
+ * Tells the embedding page how tall the widget is, so embed.js can size
+ * the iframe.
+ */
+function postHeight() {
+  if (window.parent === window) return;
+  window.parent.postMessage({ type: 'tb-trains:resize', height: document.documentElement.scrollHeight }, '*');
+}
+
+/**
+ * Loads the status and renders the selected cards.
+ *
+ * @param {Array<Object>} defs - Channel definitions
+ */
+async function refresh(defs) {
+  try {
+    const res = await fetch('/api/status');
+    if (!res.ok) throw new Error('Failed to load status');
+    const status = await res.json();
+    const strip = document.getElementById('widget-strip');
+    if (strip.querySelector('.loading')) strip.innerHTML = '';
+    renderChannelGroup('widget-strip', defs, status);
+  } catch (err) {
+    const strip = document.getElementById('widget-strip');
+    if (!strip.querySelector('.channel')) strip.innerText = 'Error loading status: ' + err.message;
+  }
+  postHeight();
+}
+
+const params = new URLSearchParams(window.location.search);
+const widgetChannels = selectChannels(params.get('channels'));
+document.getElementById('widget-link').href = window.location.origin + '/';
+refresh(widgetChannels);
+setInterval(() => {
+  refresh(widgetChannels);
+  updateBuildAges();
+}, WIDGET_REFRESH_SECONDS * 1000);
+window.addEventListener('resize', postHeight);
@@ -0,0 +1,364 @@
+// Versioned REST API under /api/v1: channels, versions and calendar events
+// as small documented resources instead of the /api/status blob. Every JSON
+// response carries an ETag and honours If-None-Match; CORS is allowed for
+// the origins in API_CORS_ORIGINS. The shapes are described in openapi.js.
+
+import express from "express";
+import { createHash } from "crypto";
+import { getStatus } from "./fetcher.js";
+import { getHistory, HISTORY_CHANNELS } from "./history.js";
+import { milestonePhase, parseAsOfDate } from "./asof.js";
+import { isAndroidMilestoneSummary, classifyEvent } from "./milestones.js";
+import { compareVersions, parseVersionQuery } from "./versions.js";
+import { versionLinks } from "./notes.js";
+import { OPENAPI } from "./openapi.js";
+
+const PLATFORMS = ['desktop', 'android'];
+
+// Comma-separated origins allowed to call the API from a browser; "*" allows
+// any, empty disables CORS.
+const CORS_ORIGINS = (process.env.API_CORS_ORIGINS ?? '*').split(',').map(o => o.trim()).filter(Boolean);
+
+/**
+ * Sends a JSON body with an ETag derived from its content, or 304 when
+ * If-None-Match already has it. The `fetchedAt` time is left out of the tag
+ * so it only changes with the data. Express's own check is not used because
+ * it ignores If-None-Match on requests with Cache-Control: no-cache, which
+ * fetch() adds to every request that sets the header by hand.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} body - Response body
+ */
+function sendJson(req, res, body) {
+  const hash = createHash('sha256').update(JSON.stringify({ ...body, fetchedAt: undefined })).digest('base64url');
+  const etag = `"${hash.slice(0, 27)}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)) {
+    return res.status(304).end();
+  }
+  res.json(body);
+}
+
+/**
+ * Sends a JSON error.
+ *
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} error - Message
+ * @param {string} [detail] - Underlying error
+ */
+function sendError(res, status, error, detail) {
+  res.status(status).json(detail ? { error, detail } : { error });
+}
+
+/**
+ * Adds CORS headers for allowed origins and answers preflight requests.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function cors(req, res, next) {
+  const origin = req.get('Origin');
+  if (origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin))) {
+    res.set('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : origin);
+    res.set('Access-Control-Expose-Headers', 'ETag');
+    if (!CORS_ORIGINS.includes('*')) res.vary('Origin');
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'If-None-Match');
+      res.set('Access-Control-Max-Age', '86400');
+      return res.status(204).end();
+    }
+  }
+  next();
+}
+
+/**
+ * Shapes a timeline milestone for the API.
+ *
+ * @param {Object} milestone - Milestone from buildTimelines()
+ * @returns {Object} Milestone resource
+ */
+function milestoneResource(milestone) {
+  const { platform, major, kind, label, version, date, allDay, summary } = milestone;
+  return { platform, major, kind, label, version, date, allDay, summary };
+}
+
+/**
+ * Normalizes an upstream date ("2025-10-17" or a timestamp) to ISO.
+ *
+ * @param {string|undefined} value - Date
+ * @returns {string|null} ISO timestamp, or null if missing or invalid
+ */
+function toIsoDate(value) {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+/**
+ * Shapes a channel record for the API.
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - Channel key
+ * @param {Object} record - Channel record from getStatus()
+ * @param {Object} sources - Source health from getStatus()
+ * @returns {Object} Channel resource
+ */
+function channelResource(platform, channel, record, sources) {
+  const version = record?.version || null;
+  return {
+    platform,
+    channel,
+    version,
+    major: record?.major || null,
+    sourceStatus: sources?.[record?.source]?.status || 'unknown',
+    releasedAt: toIsoDate(record?.date || record?.build?.releaseDate),
+    builtAt: record?.builtAt || null,
+    stale: Boolean(record?.stale),
+    notesUrl: record?.notesUrl || null,
+    buildId: record?.build?.buildId || null,
+    links: {
+      self: `/api/v1/channels/${platform}/${channel}`,
+      version: version ? `/api/v1/versions/${encodeURIComponent(version)}?platform=${platform}` : null,
+    },
+  };
+}
+
+/**
+ * Lists every channel of the status as resources.
+ *
+ * @param {Object} status - Status from getStatus()
+ * @returns {Array<Object>} Channel resources
+ */
+function listChannels(status) {
+  return Object.entries(status.channels || {}).flatMap(([platform, group]) =>
+    Object.entries(group || {}).map(([channel, record]) => channelResource(platform, channel, record, status.sources)));
+}
+
+/**
+ * Parses a range bound: a bare day means its start (`from`) or end (`to`).
+ *
+ * @param {string|undefined} input - Query value
+ * @param {boolean} end - True for the end of the range
+ * @returns {Date|null|undefined} Date, undefined if not given, null if invalid
+ */
+function parseBound(input, end) {
+  if (input === undefined) return undefined;
+  const date = parseAsOfDate(input);
+  if (!date || end || input.length !== 10) return date;
+  return new Date(`${input}T00:00:00.000Z`);
+}
+
+/**
+ * Returns when a channel moved on from a history entry: the ship date of the
+ * next higher version, of the same major on the ESR channel, where two ESR
+ * lines ship side by side.
+ *
+ * @param {string} channel - History channel key
+ * @param {Array<Object>} list - The channel's entries, newest first
+ * @param {number} index - Index of the entry
+ * @returns {string|null} ISO date, or null while no later version shipped
+ */
+function supersededAt(channel, list, index) {
+  const { version } = list[index];
+  const sameLine = channel !== 'desktop.esr' ? () => true : other => parseInt(other, 10) === parseInt(version, 10);
+  for (let i = index - 1; i >= 0; i--) {
+    if (sameLine(list[i].version) && compareVersions(list[i].version, version) > 0) return list[i].date;
+  }
+  return null;
+}
+
+/**
+ * Lists the history entries of a version or major on a platform's channels,
+ * each with the date the channel moved on to a later version (`until`) and
+ * its notes and builds pages.
+ *
+ * @param {Object} history - History from getHistory()
+ * @param {string} platform - "desktop" or "android"
+ * @param {Function} matches - Tests a version string
+ * @returns {Array<Object>} Entries, oldest first
+ */
+function versionHistory(history, platform, matches) {
+  return HISTORY_CHANNELS
+    .filter(key => key.startsWith(`${platform}.`))
+    .flatMap(key => {
+      const list = history?.channels?.[key] || [];
+      return list.flatMap((entry, index) => (matches(entry.version)
+        ? [{
+          channel: key,
+          version: entry.version,
+          date: entry.date,
+          until: supersededAt(key, list, index),
+          source: entry.source,
+          ...versionLinks(platform, key, entry.version),
+        }]
+        : []));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Builds the resource of a version or bare major.
+ *
+ * @param {Object} status - Status from getStatus()
+ * @param {Object} history - History from getHistory()
+ * @param {Object} query - Version from parseVersionQuery()
+ * @param {string} [requestedPlatform] - Platform from the query or the version's prefix
+ * @returns {Object|null} Version resource, or null if nothing is known about it
+ */
+function buildVersion(status, history, query, requestedPlatform) {
+  const { version: input, major, bareMajor } = query;
+  const matchesVersion = version => (bareMajor ? String(parseInt(version, 10)) === major : version === input);
+  const matches = record => Boolean(record?.version) && matchesVersion(record.version);
+  const historyFor = platform => versionHistory(history, platform, matchesVersion);
+  const knows = platform => Boolean(status.timelines?.[platform]?.[major]?.length) ||
+    Object.values(status.channels?.[platform] || {}).some(matches) ||
+    historyFor(platform).length > 0;
+
+  const platform = requestedPlatform || PLATFORMS.find(knows);
+  if (!platform || !knows(platform)) return null;
+
+  const milestones = status.timelines?.[platform]?.[major] || [];
+  const phases = { nightly: null, beta: null, release: null, esr: null };
+  for (const milestone of milestones) {
+    const phase = milestonePhase(milestone);
+    if (phase && !phases[phase]) phases[phase] = milestone.date;
+  }
+  return {
+    version: input,
+    platform,
+    major,
+    channels: Object.entries(status.channels?.[platform] || {})
+      .filter(([, record]) => matches(record))
+      .map(([channel, record]) => channelResource(platform, channel, record, status.sources)),
+    phases,
+    history: historyFor(platform),
+    milestones: milestones.map(milestoneResource),
+  };
+}
+
+/**
+ * Creates the /api/v1 router.
+ *
+ * @returns {Object} Express router
+ */
+export function apiV1Router() {
+  const router = express.Router();
+  router.use(cors);
+
+  /**
+   * @route GET /api/v1/openapi.json
+   * @returns {Object} OpenAPI 3 document of this API
+   */
+  router.get('/openapi.json', (req, res) => sendJson(req, res, OPENAPI));
+
+  /**
+   * @route GET /api/v1/channels
+   * @returns {Object} JSON { fetchedAt, channels }
+   */
+  router.get('/channels', async (req, res) => {
+    try {
+      const status = await getStatus();
+      sendJson(req, res, { fetchedAt: status.fetchedAt, channels: listChannels(status) });
+    } catch (err) {
+      console.error('Error fetching status', err);
+      sendError(res, 500, 'Failed to fetch status', err.message);
+    }
+  });
+
+  /**
+   * @route GET /api/v1/channels/:platform/:channel
+   * @returns {Object} JSON { fetchedAt, channel, nextMilestone, milestones }; 404 for unknown channels
+   */
+  router.get('/channels/:platform/:channel', async (req, res) => {
+    const { platform } = req.params;
+    const channel = req.params.channel === 'esr' && platform === 'desktop' ? 'esr_current' : req.params.channel;
+    try {
+      const status = await getStatus();
+      const group = status.channels?.[platform] || {};
+      if (!Object.hasOwn(group, channel)) return sendError(res, 404, `Unknown channel ${platform}/${req.params.channel}`);
+      const record = group[channel];
+      const next = (status.countdowns || []).find(c => c.platform === platform && c.channel === channel);
+      const milestones = status.timelines?.[platform]?.[record?.major] || [];
+      const nextMilestone = next
+        ? Object.values(status.timelines?.[platform] || {}).flat().find(m => m.date === next.date && m.kind === next.kind && m.summary === next.summary)
+        : null;
+      sendJson(req, res, {
+        fetchedAt: status.fetchedAt,
+        channel: channelResource(platform, channel, record, status.sources),
+        nextMilestone: nextMilestone ? milestoneResource(nextMilestone) : null,
+        milestones: milestones.map(milestoneResource),
+      });
+    } catch (err) {
+      console.error('Error fetching status', err);
+      sendError(res, 500, 'Failed to fetch status', err.message);
+    }
+  });
+
+  /**
+   * @route GET /api/v1/versions/:version?platform=
+   * @returns {Object} JSON version resource; 400 for invalid versions or platforms, 404 if nothing is known about it
+   */
+  router.get('/versions/:version', async (req, res) => {
+    const { version } = req.params;
+    const query = parseVersionQuery(version);
+    const platform = req.query.platform ?? query?.platform ?? undefined;
+    if (!query) return sendError(res, 400, 'Expected a version such as 145.0b3, a major such as 145, or "TfA 12"');
+    if (!PLATFORMS.includes(platform ?? PLATFORMS[0])) return sendError(res, 400, 'Unknown platform');
+    if (query.platform && platform !== query.platform) return sendError(res, 400, `${version} is not a ${platform} version`);
+    try {
+      const [status, history] = await Promise.all([getStatus(), getHistory()]);
+      const resource = buildVersion(status, history, query, platform);
+      if (!resource) return sendError(res, 404, `Nothing known about ${version}`);
+      sendJson(req, res, resource);
+    } catch (err) {
+      console.error('Error building version', err);
+      sendError(res, 500, 'Failed to build version', err.message);
+    }
+  });
+
+  /**
+   * @route GET /api/v1/events?from=&to=&platform=
+   * @returns {Object} JSON { from, to, platform, events }; 400 for invalid dates or platforms
+   */
+  router.get('/events', async (req, res) => {
+    const from = parseBound(req.query.from, false);
+    const to = parseBound(req.query.to, true);
+    const platform = req.query.platform;
+    if (from === null || to === null) return sendError(res, 400, 'Expected from/to as YYYY-MM-DD or an ISO timestamp');
+    if (platform !== undefined && !PLATFORMS.includes(platform)) return sendError(res, 400, 'Unknown platform');
+    try {
+      const status = await getStatus();
+      const events = (status.events || [])
+        // Event ends are exclusive, like in the calendar.
+        .filter(event => !to || event.start <= to.toISOString())
+        .filter(event => !from || (event.end ? event.end > from.toISOString() : event.start >= from.toISOString()))
+        .map(event => ({
+          uid: event.uid || null,
+          summary: event.summary || '',
+          start: event.start,
+          end: event.end || null,
+          allDay: Boolean(event.allDay),
+          platform: isAndroidMilestoneSummary(event.summary) ? 'android' : 'desktop',
+          milestones: classifyEvent(event).map(milestoneResource),
+        }))
+        .filter(event => !platform || event.platform === platform);
+      sendJson(req, res, {
+        from: from?.toISOString() || null,
+        to: to?.toISOString() || null,
+        platform: platform || null,
+        events,
+      });
+    } catch (err) {
+      console.error('Error fetching status', err);
+      sendError(res, 500, 'Failed to fetch status', err.message);
+    }
+  });
+
+  router.use((req, res) => sendError(res, 404, 'Not found'));
+  return router;
+}
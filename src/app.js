@@ -0,0 +1,285 @@
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getStatus } from "./fetcher.js";
+import { getHistory, resolveHistoryChannel, HISTORY_CHANNELS } from "./history.js";
+import { streamStatus } from "./stream.js";
+import { releasesFeed, milestonesFeed, recordMilestonesSeen } from "./feeds.js";
+import { buildMilestoneCalendar, parseCalendarQuery, CALENDAR_PRESETS } from "./calendars.js";
+import { getReleaseNotes } from "./notes.js";
+import { buildAsOf, parseAsOfDate } from "./asof.js";
+import { buildSchedule, DEFAULT_MAJORS, MAX_MAJORS } from "./schedule.js";
+import { channelBadge, renderBadge, resolveBadgeChannel } from "./badges.js";
+import { apiV1Router } from "./api-v1.js";
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Absolute URL of the site as seen by the client, for links in feeds.
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Base URL without trailing slash
+ */
+function baseUrlOf(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Sends an ICS calendar of the milestones matching a filter.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} filter - { platform, channel, kinds }
+ * @param {string} filename - Download file name
+ */
+async function sendCalendar(res, filter, filename) {
+  try {
+    const status = await getStatus();
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(buildMilestoneCalendar(status.timelines, filter));
+  } catch (err) {
+    console.error('Error building calendar', err);
+    res.status(500).json({ error: 'Failed to build calendar', detail: err.message });
+  }
+}
+
+/**
+ * Creates the Express app with the static site, API, feeds and calendars.
+ * The app does not listen or start the background poller; see server.js.
+ *
+ * @returns {Object} Express app
+ */
+export function createApp() {
+  const app = express();
+
+  // Serve static files from public/ directory with cache disabled
+  app.use(express.static(path.join(__dirname, '..', 'public'), {
+    etag: false,
+    lastModified: false,
+    maxAge: 0,
+    setHeaders(res) {
+      res.set('Cache-Control', 'no-store');
+    }
+  }));
+
+  // Versioned, documented API; see src/openapi.js.
+  app.use('/api/v1', apiV1Router());
+
+  /**
+   * API endpoint that returns Thunderbird version and milestone data.
+   * Fetches current data from multiple sources via getStatus().
+   *
+   * @route GET /api/status
+   * @returns {Object} JSON containing fetchedAt, channels, and events
+   */
+  app.get('/api/status', async (req, res) => {
+    try {
+      const status = await getStatus();
+      res.json(status);
+    } catch (err) {
+      console.error('Error fetching status', err);
+      res.status(500).json({ error: 'Failed to fetch status', detail: err.message });
+    }
+  });
+
+  /**
+   * Server-Sent Events stream of status updates. Sends a "status" event on
+   * connect and whenever the background poller sees the page data change, and
+   * a "changes" event listing channel version moves.
+   *
+   * @route GET /api/stream
+   */
+  app.get('/api/stream', streamStatus);
+
+  /**
+   * API endpoint that returns the release history of one or all channels.
+   * Channels are named "<platform>.<channel>" (e.g. "desktop.esr",
+   * "android.beta"); a bare channel name means desktop.
+   *
+   * @route GET /api/history
+   * @param {string} [channel] - Query parameter selecting one channel
+   * @returns {Object} JSON with entries (newest first) and backfilledAt
+   */
+  app.get('/api/history', async (req, res) => {
+    let channel = null;
+    if (req.query.channel) {
+      channel = resolveHistoryChannel(req.query.channel);
+      if (!channel) {
+        return res.status(400).json({ error: 'Unknown channel', channels: HISTORY_CHANNELS });
+      }
+    }
+    try {
+      res.json(await getHistory(channel));
+    } catch (err) {
+      console.error('Error fetching history', err);
+      res.status(500).json({ error: 'Failed to fetch history', detail: err.message });
+    }
+  });
+
+  /**
+   * Which version was on each channel, and which phase each train was in, at
+   * a past date. Versions come from the release history, phases from the
+   * calendar milestones.
+   *
+   * @route GET /api/as-of?date=YYYY-MM-DD
+   * @returns {Object} JSON { asOf, channels, trains, historyBackfilledAt }; 400 for a missing or invalid date
+   */
+  app.get('/api/as-of', async (req, res) => {
+    const at = parseAsOfDate(req.query.date);
+    if (!at) return res.status(400).json({ error: 'Expected date=YYYY-MM-DD (or an ISO timestamp)' });
+    try {
+      const [status, history] = await Promise.all([getStatus(), getHistory()]);
+      res.json(buildAsOf(history, status.timelines, at));
+    } catch (err) {
+      console.error('Error building as-of view', err);
+      res.status(500).json({ error: 'Failed to build as-of view', detail: err.message });
+    }
+  });
+
+  /**
+   * Upcoming merge days, betas and releases of the next majors. Dates from the
+   * calendar are confirmed; the rest are projected from the cadence learned
+   * from it.
+   *
+   * @route GET /api/schedule?platform=desktop&majors=6
+   * @returns {Object} JSON { generatedAt, platforms: { [platform]: { cadence, trains } } }; 400 for an unknown platform or majors outside 1-MAX_MAJORS
+   */
+  app.get('/api/schedule', async (req, res) => {
+    const platforms = req.query.platform ? [req.query.platform] : ['desktop', 'android'];
+    if (!platforms.every(p => p === 'desktop' || p === 'android')) {
+      return res.status(400).json({ error: 'Unknown platform', platforms: ['desktop', 'android'] });
+    }
+    const count = req.query.majors === undefined ? DEFAULT_MAJORS : Number(req.query.majors);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_MAJORS) {
+      return res.status(400).json({ error: `Expected majors between 1 and ${MAX_MAJORS}` });
+    }
+    try {
+      const status = await getStatus();
+      res.json(buildSchedule(status.timelines, status.channels, { platforms, count }));
+    } catch (err) {
+      console.error('Error building schedule', err);
+      res.status(500).json({ error: 'Failed to build schedule', detail: err.message });
+    }
+  });
+
+  /**
+   * Sanitized release notes of a channel's current version.
+   *
+   * @route GET /api/notes/:platform/:channel
+   * @returns {Object} JSON { platform, channel, version, url, html, fetchedAt }; 404 for unknown channels or channels without notes, 502 if the notes cannot be fetched
+   */
+  app.get('/api/notes/:platform/:channel', async (req, res) => {
+    const { platform, channel } = req.params;
+    try {
+      const status = await getStatus();
+      const record = Object.hasOwn(status.channels[platform] || {}, channel) ? status.channels[platform][channel] : null;
+      if (!record) return res.status(404).json({ error: 'Unknown channel' });
+      let notes;
+      try {
+        notes = await getReleaseNotes(platform, channel, record);
+      } catch (err) {
+        console.error('Error fetching release notes', err.message);
+        return res.status(502).json({ error: 'Failed to fetch release notes', detail: err.message, url: record.notesUrl || null });
+      }
+      if (!notes) return res.status(404).json({ error: `No release notes for ${platform} ${channel}` });
+      res.json(notes);
+    } catch (err) {
+      console.error('Error fetching status', err);
+      res.status(500).json({ error: 'Failed to fetch status', detail: err.message });
+    }
+  });
+
+  /**
+   * Shields-style badge with a channel's current version, e.g.
+   * /badge/desktop/beta.svg. Always answers with an SVG so broken embeds
+   * still show something.
+   *
+   * @route GET /badge/:platform/:channel.svg
+   * @returns {string} SVG; 404 badge for unknown channels
+   */
+  app.get('/badge/:platform/:channel.svg', async (req, res) => {
+    const { platform } = req.params;
+    const channel = resolveBadgeChannel(req.params.channel);
+    res.type('image/svg+xml');
+    // Short enough for image proxies (e.g. GitHub's camo) to pick up new versions.
+    res.set('Cache-Control', 'public, max-age=300');
+    try {
+      const status = await getStatus();
+      const group = status.channels[platform] || {};
+      if (!Object.hasOwn(group, channel)) {
+        return res.status(404).send(renderBadge({ label: 'thunderbird', message: 'unknown channel', color: '#9f9f9f' }));
+      }
+      const record = group[channel];
+      res.send(renderBadge(channelBadge(platform, channel, record, status.sources?.[record?.source])));
+    } catch (err) {
+      console.error('Error building badge', err);
+      res.status(500).send(renderBadge({ label: 'thunderbird', message: 'unavailable', color: '#9f9f9f' }));
+    }
+  });
+
+  /**
+   * Atom feed with one entry per version bump per channel, newest first.
+   *
+   * @route GET /feeds/releases.atom
+   * @returns {string} Atom XML
+   */
+  app.get('/feeds/releases.atom', async (req, res) => {
+    try {
+      const history = await getHistory();
+      res.type('application/atom+xml').send(releasesFeed(history, baseUrlOf(req)));
+    } catch (err) {
+      console.error('Error building releases feed', err);
+      res.status(500).json({ error: 'Failed to build feed', detail: err.message });
+    }
+  });
+
+  /**
+   * Atom feed with one entry per upcoming calendar milestone, soonest first.
+   *
+   * @route GET /feeds/milestones.atom
+   * @returns {string} Atom XML
+   */
+  app.get('/feeds/milestones.atom', async (req, res) => {
+    try {
+      const status = await getStatus();
+      const now = new Date();
+      const seenAt = await recordMilestonesSeen(status.timelines, now);
+      res.type('application/atom+xml').send(milestonesFeed(status.timelines, baseUrlOf(req), now, seenAt));
+    } catch (err) {
+      console.error('Error building milestones feed', err);
+      res.status(500).json({ error: 'Failed to build feed', detail: err.message });
+    }
+  });
+
+  /**
+   * Filtered milestone calendar for subscribing in a calendar client.
+   *
+   * @route GET /calendar.ics
+   * @param {string} [platform] - "desktop" or "android"
+   * @param {string} [channel] - "release", "beta", "daily" or "esr"
+   * @param {string} [kind] - Comma-separated milestone kinds (e.g. "merge-day,release")
+   * @returns {string} ICS text
+   */
+  app.get('/calendar.ics', (req, res) => {
+    const { filter, error } = parseCalendarQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    return sendCalendar(res, filter, 'thunderbird-milestones.ics');
+  });
+
+  /**
+   * Named milestone calendars such as /calendar/desktop-release.ics,
+   * /calendar/esr.ics and /calendar/android.ics.
+   *
+   * @route GET /calendar/:name.ics
+   * @returns {string} ICS text
+   */
+  app.get('/calendar/:name.ics', (req, res) => {
+    const filter = Object.hasOwn(CALENDAR_PRESETS, req.params.name) ? CALENDAR_PRESETS[req.params.name] : null;
+    if (!filter) return res.status(404).json({ error: 'Unknown calendar', calendars: Object.keys(CALENDAR_PRESETS) });
+    return sendCalendar(res, filter, `thunderbird-${req.params.name}.ics`);
+  });
+
+  return app;
+}
@@ -0,0 +1,150 @@
+// "What was on each channel on date X": reconstructs past channel versions
+// from the release history and the phase every train was in from the
+// calendar milestones. Used by /api/as-of for regression triage.
+
+import { HISTORY_CHANNELS } from './history.js';
+import { compareVersions } from './versions.js';
+
+// Milestone kinds that put a train in a phase. Merge days depend on what the
+// event says the major merged into; other kinds do not move a train.
+const KIND_PHASES = {
+  nightly: 'nightly',
+  'string-freeze': 'nightly',
+  'soft-freeze': 'nightly',
+  'code-freeze': 'nightly',
+  beta: 'beta',
+  'release-candidate': 'beta',
+  release: 'release',
+  'dot-release': 'release',
+  'esr-release': 'esr',
+};
+
+// Train phase each history channel follows.
+const CHANNEL_PHASES = { release: 'release', beta: 'beta', daily: 'nightly', esr: 'esr' };
+
+/**
+ * Parses an as-of date. A bare day means the end of that day (UTC), so a
+ * release shipped that day counts.
+ *
+ * @param {string} input - "YYYY-MM-DD" or an ISO timestamp
+ * @returns {Date|null} Reference time, or null if invalid
+ */
+export function parseAsOfDate(input) {
+  if (typeof input !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(input)) return null;
+  const bareDay = input.length === 10;
+  const date = new Date(bareDay ? `${input}T23:59:59.999Z` : input);
+  if (Number.isNaN(date.getTime())) return null;
+  // Reject days that do not exist, e.g. 2025-02-30.
+  if (bareDay && date.toISOString().slice(0, 10) !== input) return null;
+  return date;
+}
+
+/**
+ * Works out which phase a milestone puts its train in. A merge day names
+ * where each major went, e.g. "Merge Day - 146 Nightly, 145 Beta".
+ *
+ * @param {Object} milestone - Milestone from buildTimelines()
+ * @returns {string|null} "nightly", "beta", "release", "esr" or null
+ */
+export function milestonePhase(milestone) {
+  if (milestone.kind !== 'merge-day') return KIND_PHASES[milestone.kind] || null;
+  const m = milestone.summary.match(new RegExp(`\\b${milestone.major}\\b[^,;]*?\\b(nightly|daily|beta|release)\\b`, 'i'));
+  if (!m) return null;
+  const phase = m[1].toLowerCase();
+  return phase === 'daily' ? 'nightly' : phase;
+}
+
+/**
+ * Summarizes a milestone for the response.
+ *
+ * @param {Object|undefined} milestone - Milestone
+ * @returns {Object|null} { kind, label, version, date, allDay, summary }
+ */
+function describeMilestone(milestone) {
+  if (!milestone) return null;
+  const { kind, label, version, date, allDay, summary } = milestone;
+  return { kind, label, version, date, allDay, summary };
+}
+
+/**
+ * Finds the train in each phase at a point in time. A train is in the phase
+ * set by its latest milestone up to then; when several trains share a phase
+ * (an older release whose successor is not in the calendar yet), the highest
+ * major wins.
+ *
+ * @param {Object} timelines - Milestone timelines from buildTimelines()
+ * @param {Date} at - Reference time
+ * @returns {Object} { [platform]: [{ major, phase, milestone, next }] }, ordered nightly, beta, release, esr
+ */
+export function trainsAsOf(timelines, at) {
+  const iso = at.toISOString();
+  const order = ['nightly', 'beta', 'release', 'esr'];
+  const result = {};
+  for (const [platform, byMajor] of Object.entries(timelines || {})) {
+    const best = {};
+    for (const [major, milestones] of Object.entries(byMajor)) {
+      const phased = milestones.filter(m => m.date <= iso && milestonePhase(m));
+      const current = phased[phased.length - 1];
+      if (!current) continue;
+      const phase = milestonePhase(current);
+      if (best[phase] && Number(best[phase].major) > Number(major)) continue;
+      best[phase] = {
+        major,
+        phase,
+        milestone: describeMilestone(current),
+        next: describeMilestone(milestones.find(m => m.date > iso)),
+      };
+    }
+    result[platform] = order.filter(phase => best[phase]).map(phase => best[phase]);
+  }
+  return result;
+}
+
+/**
+ * Looks up the version each history channel had at a point in time: the
+ * newest entry dated up to then. Channels without a recorded version fall
+ * back to the major of the train in the matching phase, from the calendar.
+ *
+ * @param {Object} history - { channels } from getHistory()
+ * @param {Date} at - Reference time
+ * @param {Object} [trains] - Result of trainsAsOf()
+ * @returns {Object} { [platform]: { [channel]: { version, major, since, source } | null } }
+ */
+export function channelsAsOf(history, at, trains = {}) {
+  const iso = at.toISOString();
+  const result = {};
+  for (const key of HISTORY_CHANNELS) {
+    const [platform, channel] = key.split('.');
+    if (!result[platform]) result[platform] = {};
+    const entry = (history?.channels?.[key] || [])
+      .filter(e => e.date <= iso)
+      .sort((a, b) => b.date.localeCompare(a.date) || compareVersions(b.version, a.version))[0];
+    if (entry) {
+      result[platform][channel] = { version: entry.version, major: String(parseInt(entry.version, 10)), since: entry.date, source: entry.source };
+      continue;
+    }
+    const train = (trains[platform] || []).find(t => t.phase === CHANNEL_PHASES[channel]);
+    result[platform][channel] = train
+      ? { version: null, major: train.major, since: train.milestone.date, source: 'calendar' }
+      : null;
+  }
+  return result;
+}
+
+/**
+ * Builds the /api/as-of response.
+ *
+ * @param {Object} history - History from getHistory()
+ * @param {Object} timelines - Milestone timelines from the status
+ * @param {Date} at - Reference time
+ * @returns {Object} { asOf, channels, trains, historyBackfilledAt }
+ */
+export function buildAsOf(history, timelines, at) {
+  const trains = trainsAsOf(timelines, at);
+  return {
+    asOf: at.toISOString(),
+    channels: channelsAsOf(history, at, trains),
+    trains,
+    historyBackfilledAt: history?.backfilledAt || null,
+  };
+}
@@ -0,0 +1,105 @@
+// Shields-style SVG badges showing a channel's current version, e.g.
+// "thunderbird beta | 145.0b3", for embedding in wikis and READMEs.
+
+import { escapeHtml } from './sanitize.js';
+
+const CHANNEL_LABELS = {
+  release: 'release',
+  beta: 'beta',
+  daily: 'daily',
+  esr_current: 'esr',
+  esr_next: 'next esr',
+};
+const CHANNEL_COLORS = {
+  release: '#4c1',
+  beta: '#007ec6',
+  daily: '#9f5fd6',
+  esr_current: '#fe7d37',
+  esr_next: '#fe7d37',
+};
+// Version known but possibly outdated (source failing or build stale).
+const STALE_COLOR = '#dfb317';
+const UNKNOWN_COLOR = '#9f9f9f';
+const LABEL_COLOR = '#555';
+
+// Approximate advance widths (px) of Verdana 11px, the shields badge font.
+const CHAR_WIDTHS = [
+  [/[ilj.,:;'|!]/, 3.5],
+  [/[ \-()[\]frt]/, 4.5],
+  [/[mwMW]/, 10.5],
+  [/[A-Z]/, 7.8],
+  [/[0-9]/, 7],
+];
+const DEFAULT_CHAR_WIDTH = 6.7;
+const PADDING = 6;
+
+/**
+ * Estimates the rendered width of badge text.
+ *
+ * @param {string} text - Text
+ * @returns {number} Width in px
+ */
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) width += CHAR_WIDTHS.find(([re]) => re.test(char))?.[1] ?? DEFAULT_CHAR_WIDTH;
+  return Math.round(width);
+}
+
+/**
+ * Renders a flat shields-style badge.
+ *
+ * @param {Object} badge - Badge contents
+ * @param {string} badge.label - Left-hand text
+ * @param {string} badge.message - Right-hand text
+ * @param {string} badge.color - Right-hand background color
+ * @returns {string} SVG document
+ */
+export function renderBadge({ label, message, color }) {
+  const labelWidth = textWidth(label) + 2 * PADDING;
+  const messageWidth = textWidth(message) + 2 * PADDING;
+  const width = labelWidth + messageWidth;
+  const title = escapeHtml(`${label}: ${message}`);
+  const text = (value, x) =>
+    `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeHtml(value)}</text>` +
+    `<text x="${x}" y="14">${escapeHtml(value)}</text>`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="${LABEL_COLOR}"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeHtml(color)}"/><rect width="${width}" height="20" fill="url(#s)"/></g>`,
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    text(label, labelWidth / 2),
+    text(message, labelWidth + messageWidth / 2),
+    '</g>',
+    '</svg>',
+  ].join('');
+}
+
+/**
+ * Resolves a badge channel name; "esr" means the current ESR.
+ *
+ * @param {string} channel - Channel from the URL
+ * @returns {string} Status channel key
+ */
+export function resolveBadgeChannel(channel) {
+  return channel === 'esr' ? 'esr_current' : channel;
+}
+
+/**
+ * Describes the badge of a channel.
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - Status channel key
+ * @param {Object|null} record - Channel record from getStatus()
+ * @param {Object} [health] - Health of the record's source
+ * @returns {Object} { label, message, color } for renderBadge()
+ */
+export function channelBadge(platform, channel, record, health) {
+  const label = ['thunderbird', platform === 'android' ? 'android' : null, CHANNEL_LABELS[channel] || channel]
+    .filter(Boolean)
+    .join(' ');
+  if (!record?.version) return { label, message: 'unknown', color: UNKNOWN_COLOR };
+  const stale = record.stale || (health && health.status !== 'ok');
+  return { label, message: record.version, color: stale ? STALE_COLOR : CHANNEL_COLORS[channel] || UNKNOWN_COLOR };
+}
@@ -0,0 +1,204 @@
+// In-memory per-source cache with stale-while-revalidate and request coalescing.
+// Each key holds the last loaded value plus the time it was fetched and when it
+// expires. Expired values are still served while a single background refresh
+// runs; concurrent callers share that one in-flight promise. Every load also
+// records its latency and outcome so callers can report per-source health.
+
+const entries = new Map();
+
+// After a failed load, wait this long before hitting the upstream again.
+const FAILURE_BACKOFF_MS = 30 * 1000;
+
+/**
+ * Returns the cached value for a key, loading it if necessary.
+ * Fresh entries resolve immediately. Expired entries also resolve immediately
+ * with the stale value while a background refresh is started. Only a cold key
+ * waits for the loader; if that load fails (or failed within the backoff
+ * window) the promise rejects with the upstream error.
+ *
+ * @param {string} key - Cache key (one per upstream source)
+ * @param {number} ttlMs - Time-to-live in milliseconds for a freshly loaded value
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<Object>} Entry snapshot with value, fetchedAt, expiresAt and stale
+ */
+export async function cached(key, ttlMs, loader) {
+  const entry = entries.get(key);
+  const now = Date.now();
+  const backingOff = entry && entry.lastError && now < entry.retryAt;
+  if (entry && entry.fetchedAt) {
+    if (now < entry.expiresAt) return snapshot(entry);
+    if (!backingOff) revalidate(key, ttlMs, loader).catch(() => {});
+    return snapshot(entry);
+  }
+  if (backingOff && !entry.inflight) throw entry.lastError;
+  await revalidate(key, ttlMs, loader);
+  return snapshot(entries.get(key));
+}
+
+/**
+ * Loads a key now, even if its cached value is still fresh, and waits for
+ * the load. Joins a load that is already in flight.
+ *
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time-to-live in milliseconds for the loaded value
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<Object>} Entry snapshot with value, fetchedAt, expiresAt and stale
+ * @throws {Error} The upstream error if the load fails
+ */
+export async function refreshCached(key, ttlMs, loader) {
+  await revalidate(key, ttlMs, loader);
+  return snapshot(entries.get(key));
+}
+
+/**
+ * Returns the internal entry for a key, creating an empty one if needed.
+ *
+ * @param {string} key - Cache key
+ * @returns {Object} Internal cache entry
+ */
+function getOrCreateEntry(key) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = {
+      value: undefined,
+      fetchedAt: 0,
+      expiresAt: 0,
+      inflight: null,
+      lastAttemptAt: 0,
+      latencyMs: null,
+      lastError: null,
+      retryAt: 0,
+      restored: false,
+    };
+    entries.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Starts a load for a key unless one is already in flight, in which case the
+ * existing promise is returned so upstreams are hit at most once at a time.
+ *
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time-to-live in milliseconds
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<*>} Resolves with the loaded value
+ */
+function revalidate(key, ttlMs, loader) {
+  const entry = getOrCreateEntry(key);
+  if (entry.inflight) return entry.inflight;
+
+  entry.inflight = (async () => {
+    const started = Date.now();
+    entry.lastAttemptAt = started;
+    try {
+      const value = await loader();
+      const now = Date.now();
+      entry.value = value;
+      entry.fetchedAt = now;
+      entry.expiresAt = now + ttlMs;
+      entry.latencyMs = now - started;
+      entry.lastError = null;
+      entry.restored = false;
+      return value;
+    } catch (err) {
+      const now = Date.now();
+      entry.latencyMs = now - started;
+      entry.lastError = err;
+      entry.retryAt = now + FAILURE_BACKOFF_MS;
+      throw err;
+    } finally {
+      entry.inflight = null;
+    }
+  })();
+  return entry.inflight;
+}
+
+/**
+ * Builds a plain snapshot of a cache entry for callers.
+ *
+ * @param {Object} entry - Internal cache entry
+ * @returns {Object} Snapshot with value, fetchedAt, expiresAt (ISO) and stale flag
+ */
+function snapshot(entry) {
+  return {
+    value: entry.value,
+    fetchedAt: new Date(entry.fetchedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    stale: Date.now() >= entry.expiresAt,
+  };
+}
+
+/**
+ * Reports age and expiry metadata for every populated cache key.
+ *
+ * @param {Function} [include] - Predicate on the key; keys it rejects are left out
+ * @returns {Object} Map of key to { fetchedAt, expiresAt, ageSeconds, stale, refreshing }
+ */
+export function getCacheInfo(include = () => true) {
+  const info = {};
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (!entry.fetchedAt || !include(key)) continue;
+    info[key] = {
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      ageSeconds: Math.round((now - entry.fetchedAt) / 1000),
+      stale: now >= entry.expiresAt,
+      refreshing: Boolean(entry.inflight),
+    };
+  }
+  return info;
+}
+
+/**
+ * Reports the outcome of the most recent load attempt for a key.
+ *
+ * @param {string} key - Cache key
+ * @returns {Object|null} { lastAttempt, lastSuccess, latencyMs, error, restored } or null if never attempted
+ */
+export function getLoadInfo(key) {
+  const entry = entries.get(key);
+  if (!entry || (!entry.lastAttemptAt && !entry.restored)) return null;
+  return {
+    lastAttempt: entry.lastAttemptAt ? new Date(entry.lastAttemptAt).toISOString() : null,
+    lastSuccess: entry.fetchedAt ? new Date(entry.fetchedAt).toISOString() : null,
+    latencyMs: entry.latencyMs,
+    error: entry.lastError ? entry.lastError.message : null,
+    restored: entry.restored,
+  };
+}
+
+/**
+ * Seeds a key with a previously persisted value, e.g. on startup.
+ * The entry is marked expired so the first read serves it and triggers a
+ * refresh, and it keeps its original fetch time so callers can tell how old
+ * it is. Keys that already hold a value are left alone.
+ *
+ * @param {string} key - Cache key
+ * @param {*} value - Persisted value
+ * @param {string} fetchedAt - ISO timestamp of the original fetch
+ */
+export function primeCache(key, value, fetchedAt) {
+  const time = Date.parse(fetchedAt);
+  if (!Number.isFinite(time)) return;
+  const entry = getOrCreateEntry(key);
+  if (entry.fetchedAt) return;
+  Object.assign(entry, { value, fetchedAt: time, expiresAt: 0, restored: true });
+}
+
+/**
+ * Drops one cached entry. An in-flight load still settles but is discarded.
+ *
+ * @param {string} key - Cache key
+ */
+export function evictCache(key) {
+  entries.delete(key);
+}
+
+/**
+ * Drops all cached entries. In-flight loads still settle but are discarded.
+ */
+export function clearCache() {
+  entries.clear();
+}
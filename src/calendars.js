@@ -0,0 +1,103 @@
+// Subscribable per-channel calendars.
+// The upstream calendar mixes desktop, Android and ESR events; these
+// calendars re-export only the classified milestones a channel cares about,
+// each with a reminder the day before.
+
+import { serializeCalendar, formatIcsDate } from "./ics.js";
+import { selectMilestones, CHANNEL_KINDS, MILESTONE_KINDS } from "./milestones.js";
+
+const PLATFORMS = ['desktop', 'android'];
+const PLATFORM_NAMES = { desktop: 'Desktop', android: 'Android' };
+const REMINDER = '-P1D';
+
+// Named calendars served as /calendar/<name>.ics.
+export const CALENDAR_PRESETS = {
+  'desktop-release': { platform: 'desktop', channel: 'release' },
+  'desktop-beta': { platform: 'desktop', channel: 'beta' },
+  'desktop-daily': { platform: 'desktop', channel: 'daily' },
+  esr: { platform: 'desktop', channel: 'esr' },
+  android: { platform: 'android' },
+  'android-release': { platform: 'android', channel: 'release' },
+  'android-beta': { platform: 'android', channel: 'beta' },
+};
+
+/**
+ * Validates calendar query parameters.
+ *
+ * @param {Object} query - { platform, channel, kind } where kind may be comma-separated
+ * @returns {Object} { filter } on success, or { error } describing the bad parameter
+ */
+export function parseCalendarQuery(query = {}) {
+  const filter = {};
+  if (query.platform) {
+    if (!PLATFORMS.includes(query.platform)) return { error: `Unknown platform; expected one of ${PLATFORMS.join(', ')}` };
+    filter.platform = query.platform;
+  }
+  if (query.channel) {
+    if (!Object.hasOwn(CHANNEL_KINDS, query.channel)) return { error: `Unknown channel; expected one of ${Object.keys(CHANNEL_KINDS).join(', ')}` };
+    filter.channel = query.channel;
+  }
+  if (query.kind) {
+    const kinds = String(query.kind).split(',').map(k => k.trim()).filter(Boolean);
+    const unknown = kinds.find(k => !MILESTONE_KINDS.includes(k));
+    if (unknown) return { error: `Unknown kind "${unknown}"; expected any of ${MILESTONE_KINDS.join(', ')}` };
+    filter.kinds = kinds;
+  }
+  return { filter };
+}
+
+/**
+ * Names a calendar after its filter, e.g. "Thunderbird Desktop esr milestones".
+ *
+ * @param {Object} filter - Filter from parseCalendarQuery() or a preset
+ * @returns {string} Calendar name
+ */
+function calendarName(filter) {
+  const parts = ['Thunderbird'];
+  if (filter.platform) parts.push(PLATFORM_NAMES[filter.platform]);
+  if (filter.channel) parts.push(filter.channel === 'esr' ? 'ESR' : filter.channel);
+  parts.push('milestones');
+  return parts.join(' ');
+}
+
+/**
+ * Builds an ICS calendar of the milestones matching a filter. A calendar
+ * event that yields several milestones (a merge day naming two majors) is
+ * exported once. Each exported event gets a UID derived from the upstream
+ * event and its day, so recurring instances stay distinct and re-fetching
+ * the calendar updates events in place.
+ *
+ * @param {Object} timelines - Timelines from getStatus()
+ * @param {Object} [filter] - { platform, channel, kinds }
+ * @param {Object} [options] - { name, stamp } passed to serializeCalendar()
+ * @returns {string} ICS text
+ */
+export function buildMilestoneCalendar(timelines, filter = {}, options = {}) {
+  const events = new Map();
+  for (const m of selectMilestones(timelines, filter)) {
+    const source = m.uid || m.summary;
+    const key = `${source}|${m.date}`;
+    const line = `${PLATFORM_NAMES[m.platform]} ${m.version || m.major}: ${m.label}`;
+    const existing = events.get(key);
+    if (existing) {
+      if (!existing.lines.includes(line)) existing.lines.push(line);
+      continue;
+    }
+    events.set(key, {
+      uid: `${formatIcsDate(m.date, true)}-${source.replace(/[\r\n]/g, '')}`,
+      summary: m.summary,
+      start: m.date,
+      end: m.end,
+      allDay: m.allDay,
+      lines: [line],
+    });
+  }
+
+  const list = [...events.values()].map(({ lines, ...event }) => ({ ...event, description: lines.join('\n') }));
+  return serializeCalendar(list, {
+    name: options.name || calendarName(filter),
+    description: 'Thunderbird release milestones from the Thunderbird Releases & Events calendar',
+    alarm: REMINDER,
+    stamp: options.stamp,
+  });
+}
@@ -0,0 +1,87 @@
+// Detects channel version changes between two status snapshots.
+
+const PLATFORM_NAMES = { desktop: 'Desktop', android: 'Android' };
+const CHANNEL_NAMES = {
+  release: 'release',
+  beta: 'beta',
+  daily: 'daily',
+  esr_current: 'ESR',
+  esr_next: 'next ESR',
+  esr: 'ESR',
+};
+
+/**
+ * Flattens channel records into a "platform.channel" -> version map.
+ *
+ * @param {Object} channels - Channel records grouped by platform
+ * @returns {Object} Map of channel id to version string (or null)
+ */
+export function versionMap(channels) {
+  const map = {};
+  for (const [platform, group] of Object.entries(channels || {})) {
+    for (const [channel, record] of Object.entries(group || {})) {
+      map[`${platform}.${channel}`] = record?.version || null;
+    }
+  }
+  return map;
+}
+
+/**
+ * Describes a change in one sentence, e.g. "Desktop beta moved from 145.0b2
+ * to 145.0b3" or "Android release is now 14.0".
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - Channel key
+ * @param {string|null} from - Previous version
+ * @param {string} to - New version
+ * @returns {string} Human-readable message
+ */
+export function describeChange(platform, channel, from, to) {
+  const name = `${PLATFORM_NAMES[platform] || platform} ${CHANNEL_NAMES[channel] || channel}`;
+  return from ? `${name} moved from ${from} to ${to}` : `${name} is now ${to}`;
+}
+
+/**
+ * Compares two version maps and returns one change event per channel whose
+ * version moved. Channels that became empty (e.g. their source failed) are
+ * not changes; the previous version is assumed to still be current.
+ *
+ * @param {Object} previous - Version map from versionMap()
+ * @param {Object} current - Version map from versionMap()
+ * @param {Date} [at] - Time the change was detected
+ * @returns {Array<Object>} Changes with id, platform, channel, from, to, at and message
+ */
+export function diffVersions(previous, current, at = new Date()) {
+  const changes = [];
+  for (const [key, to] of Object.entries(current || {})) {
+    const from = previous?.[key] || null;
+    if (!to || to === from) continue;
+    const [platform, channel] = key.split('.');
+    changes.push({
+      id: `${key}:${from || ''}->${to}`,
+      platform,
+      channel,
+      from,
+      to,
+      at: at.toISOString(),
+      message: describeChange(platform, channel, from, to),
+    });
+  }
+  return changes;
+}
+
+/**
+ * Merges a new version map over a previous one, keeping previous versions
+ * for channels that are currently empty.
+ *
+ * @param {Object} previous - Version map
+ * @param {Object} current - Version map
+ * @returns {Object} Merged version map
+ */
+export function mergeVersions(previous, current) {
+  const merged = { ...(previous || {}) };
+  for (const [key, version] of Object.entries(current || {})) {
+    if (version) merged[key] = version;
+  }
+  return merged;
+}
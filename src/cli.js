@@ -0,0 +1,346 @@
+// Command-line client behind bin/tb-trains. Answers the questions release
+// scripts used to curl /api/status for ("what's the current ESR?"), either
+// by running the fetcher in-process or by asking a running tracker
+// (--server or TB_TRAINS_SERVER).
+
+import { parseArgs } from 'node:util';
+import { parseAsOfDate } from './asof.js';
+import { resolveHistoryChannel, HISTORY_CHANNELS } from './history.js';
+
+// Exit codes, for shell scripts.
+export const EXIT_OK = 0;
+// Data could not be fetched (upstream or server failure).
+export const EXIT_FAILURE = 1;
+// Bad command line.
+export const EXIT_USAGE = 2;
+// The query was valid but matched nothing.
+export const EXIT_NOT_FOUND = 3;
+
+const FORMATS = ['table', 'json', 'plain'];
+const PLATFORMS = ['desktop', 'android'];
+
+export const USAGE = `Usage: tb-trains <command> [options]
+
+Commands:
+  status [channel]        Current version of every channel, or of one
+                          (e.g. "esr", "desktop.beta", "android.release")
+  next-release            Next major release of each platform
+  milestones <version>    Calendar milestones of a version's major
+  history <channel>       Release history of a channel (e.g. "desktop.esr")
+  as-of <date>            Versions and trains on a past date (YYYY-MM-DD)
+
+Options:
+  -f, --format <format>   table (default), json or plain (tab-separated, no header)
+      --json              Same as --format json
+  -p, --platform <name>   desktop or android
+  -n, --limit <n>         Number of history entries (default 20)
+  -s, --server <url>      Query a running tracker instead of fetching upstream
+                          (default: $TB_TRAINS_SERVER)
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 data could not be fetched, 2 bad usage, 3 nothing found.`;
+
+/**
+ * Creates an error carrying the exit code the CLI should end with.
+ *
+ * @param {string} message - Message printed to stderr
+ * @param {number} exitCode - Exit code
+ * @returns {Error} Error with exitCode
+ */
+function cliError(message, exitCode) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+/**
+ * Data access that asks a running tracker over HTTP.
+ *
+ * @param {string} server - Base URL of the tracker
+ * @param {Function} fetchImpl - fetch implementation
+ * @returns {Object} { status, history, asOf, schedule }
+ */
+function remoteBackend(server, fetchImpl) {
+  const get = async (path) => {
+    const url = new URL(path, server.endsWith('/') ? server : `${server}/`);
+    let res;
+    try {
+      res = await fetchImpl(url);
+    } catch (err) {
+      throw cliError(`Cannot reach ${url.origin}: ${err.message}`, EXIT_FAILURE);
+    }
+    if (!res.ok) {
+      // Only a 400 blames the arguments; a 404, an auth or rate-limit answer
+      // from a proxy and 5xx mean the server could not answer.
+      const body = await res.json().catch(() => ({}));
+      throw cliError(`${url.pathname} answered ${res.status}: ${body.error || res.statusText}`, res.status === 400 ? EXIT_USAGE : EXIT_FAILURE);
+    }
+    return res.json();
+  };
+  return {
+    status: () => get('api/status'),
+    history: channel => get(`api/history?channel=${encodeURIComponent(channel)}`),
+    asOf: date => get(`api/as-of?date=${encodeURIComponent(date)}`),
+    schedule: () => get('api/schedule?majors=1'),
+  };
+}
+
+/**
+ * Data access that runs the fetcher in-process. Every source is fetched
+ * before answering, so the output is never an earlier run's snapshot, and
+ * nothing is written to the data directory. Modules are loaded on first use
+ * so --server never touches the local data directory.
+ *
+ * @returns {Object} { status, history, asOf, schedule }
+ */
+function localBackend() {
+  const status = async () => (await import('./fetcher.js')).getStatus({ fresh: true });
+  const history = async channel => (await import('./history.js')).getHistory(channel, { persist: false });
+  return {
+    status,
+    history,
+    asOf: async date => {
+      const { buildAsOf } = await import('./asof.js');
+      const [current, recorded] = await Promise.all([status(), history()]);
+      return buildAsOf(recorded, current.timelines, parseAsOfDate(date));
+    },
+    schedule: async () => {
+      const { buildSchedule } = await import('./schedule.js');
+      const current = await status();
+      return buildSchedule(current.timelines, current.channels, { count: 1 });
+    },
+  };
+}
+
+/**
+ * Formats an ISO date as its UTC day.
+ *
+ * @param {string|null} iso - ISO date
+ * @returns {string} "YYYY-MM-DD", or "-" if missing
+ */
+function day(iso) {
+  return iso ? iso.slice(0, 10) : '-';
+}
+
+/**
+ * Resolves a status channel name such as "esr", "beta", "desktop.esr_next"
+ * or "android:release". Bare names mean desktop; "esr" is the current ESR.
+ *
+ * @param {string} input - Channel name
+ * @returns {Array<string>} [platform, channel]
+ */
+export function resolveStatusChannel(input) {
+  const [first, second] = String(input).toLowerCase().split(/[.:/]/);
+  const [platform, channel] = second ? [first, second] : ['desktop', first];
+  return [platform, channel === 'esr' ? 'esr_current' : channel];
+}
+
+/**
+ * `status [channel]`: channel versions with the health of their source.
+ *
+ * @param {Object} backend - Data access
+ * @param {Array<string>} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} { data, columns, rows }
+ */
+async function statusCommand(backend, args, options) {
+  const status = await backend.status();
+  const rows = [];
+  for (const [platform, group] of Object.entries(status.channels || {})) {
+    if (options.platform && platform !== options.platform) continue;
+    for (const [channel, record] of Object.entries(group || {})) {
+      rows.push({ platform, channel, record, health: status.sources?.[record?.source]?.status || '-' });
+    }
+  }
+
+  if (args[0]) {
+    const [platform, channel] = resolveStatusChannel(args[0]);
+    const match = rows.find(r => r.platform === platform && r.channel === channel);
+    if (!match) throw cliError(`Unknown channel "${args[0]}"`, EXIT_USAGE);
+    if (!match.record?.version) throw cliError(`No version known for ${platform} ${channel}`, EXIT_NOT_FOUND);
+    // A single channel prints just its version in table and plain mode.
+    return { data: { platform, channel, ...match.record }, columns: ['Version'], rows: [[match.record.version]], bare: true };
+  }
+
+  return {
+    data: { channels: status.channels, sources: status.sources },
+    columns: ['Platform', 'Channel', 'Version', 'Source'],
+    rows: rows.map(r => [r.platform, r.channel, r.record?.version || '-', r.health]),
+  };
+}
+
+/**
+ * `next-release`: the next major release of each platform, from the
+ * calendar or, beyond it, the projected schedule.
+ *
+ * @param {Object} backend - Data access
+ * @param {Array<string>} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { data, columns, rows }
+ */
+async function nextReleaseCommand(backend, args, options, now) {
+  const schedule = await backend.schedule();
+  const releases = [];
+  for (const [platform, { trains }] of Object.entries(schedule.platforms || {})) {
+    if (options.platform && platform !== options.platform) continue;
+    const train = trains[0];
+    if (!train?.release) continue;
+    const days = Math.ceil((Date.parse(train.release.date) - now.getTime()) / (24 * 60 * 60 * 1000));
+    releases.push({ platform, version: train.version, date: train.release.date, days, projected: train.release.projected });
+  }
+  if (releases.length === 0) throw cliError('No upcoming release found', EXIT_NOT_FOUND);
+  return {
+    data: releases,
+    columns: ['Platform', 'Version', 'Date', 'In days', 'Projected'],
+    rows: releases.map(r => [r.platform, r.version, day(r.date), String(r.days), r.projected ? 'yes' : 'no']),
+  };
+}
+
+/**
+ * `milestones <version>`: the calendar milestones of a version's major.
+ * The platform is desktop unless the calendar only knows the major on
+ * Android, or --platform says otherwise.
+ *
+ * @param {Object} backend - Data access
+ * @param {Array<string>} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} { data, columns, rows }
+ */
+async function milestonesCommand(backend, args, options) {
+  const major = String(parseInt(args[0], 10));
+  if (!args[0] || major === 'NaN') throw cliError('Expected a version, e.g. "tb-trains milestones 145"', EXIT_USAGE);
+  const { timelines } = await backend.status();
+  const platform = options.platform || (timelines?.desktop?.[major] || !timelines?.android?.[major] ? 'desktop' : 'android');
+  const milestones = timelines?.[platform]?.[major] || [];
+  if (milestones.length === 0) throw cliError(`No ${platform} milestones for ${major} in the calendar`, EXIT_NOT_FOUND);
+  return {
+    data: { platform, major, milestones },
+    columns: ['Date', 'Milestone', 'Summary'],
+    rows: milestones.map(m => [day(m.date), m.label, m.summary]),
+  };
+}
+
+/**
+ * `history <channel>`: newest entries of a channel's release history.
+ *
+ * @param {Object} backend - Data access
+ * @param {Array<string>} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} { data, columns, rows }
+ */
+async function historyCommand(backend, args, options) {
+  const channel = resolveHistoryChannel(args[0]);
+  if (!channel) throw cliError(`Expected a channel: ${HISTORY_CHANNELS.join(', ')}`, EXIT_USAGE);
+  const limit = options.limit === undefined ? 20 : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1) throw cliError('--limit must be a positive integer', EXIT_USAGE);
+  const history = await backend.history(channel);
+  const entries = (history.entries || []).slice(0, limit);
+  if (entries.length === 0) throw cliError(`No history recorded for ${channel}`, EXIT_NOT_FOUND);
+  return {
+    data: { ...history, entries },
+    columns: ['Date', 'Version', 'Source'],
+    rows: entries.map(e => [day(e.date), e.version, e.source]),
+  };
+}
+
+/**
+ * `as-of <date>`: what each channel had, and each train's phase, on a day.
+ *
+ * @param {Object} backend - Data access
+ * @param {Array<string>} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} { data, columns, rows }
+ */
+async function asOfCommand(backend, args, options) {
+  if (!parseAsOfDate(args[0])) throw cliError('Expected a date, e.g. "tb-trains as-of 2025-09-01"', EXIT_USAGE);
+  const asOf = await backend.asOf(args[0]);
+  const rows = [];
+  for (const [platform, channels] of Object.entries(asOf.channels || {})) {
+    if (options.platform && platform !== options.platform) continue;
+    for (const [channel, entry] of Object.entries(channels)) {
+      rows.push([platform, channel, entry?.version || (entry ? `${entry.major} (calendar)` : '-'), day(entry?.since)]);
+    }
+  }
+  return { data: asOf, columns: ['Platform', 'Channel', 'Version', 'Since'], rows };
+}
+
+const COMMANDS = {
+  status: statusCommand,
+  'next-release': nextReleaseCommand,
+  milestones: milestonesCommand,
+  history: historyCommand,
+  'as-of': asOfCommand,
+};
+
+/**
+ * Renders a command result.
+ *
+ * @param {Object} result - { data, columns, rows, bare }
+ * @param {string} format - "table", "json" or "plain"
+ * @returns {string} Output text, ending with a newline
+ */
+export function formatResult(result, format) {
+  if (format === 'json') return `${JSON.stringify(result.data, null, 2)}\n`;
+  if (format === 'plain' || result.bare) return result.rows.map(row => `${row.join('\t')}\n`).join('');
+  const widths = result.columns.map((column, i) => Math.max(column.length, ...result.rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => (i === cells.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ');
+  return [line(result.columns), line(widths.map(w => '-'.repeat(w))), ...result.rows.map(line)].join('\n') + '\n';
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io] - Environment, for tests
+ * @param {Object} [io.stdout] - Stream with write()
+ * @param {Object} [io.stderr] - Stream with write()
+ * @param {Object} [io.env] - Environment variables
+ * @param {Function} [io.fetch] - fetch implementation for --server
+ * @param {Date} [io.now] - Reference time
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env, fetch: fetchImpl = fetch, now = new Date() } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f' },
+        json: { type: 'boolean' },
+        platform: { type: 'string', short: 'p' },
+        limit: { type: 'string', short: 'n' },
+        server: { type: 'string', short: 's' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help || !command) {
+    (options.help ? stdout : stderr).write(`${USAGE}\n`);
+    return options.help ? EXIT_OK : EXIT_USAGE;
+  }
+  const run = COMMANDS[command];
+  const format = options.json ? 'json' : options.format || 'table';
+  const problem = !run ? `Unknown command "${command}"`
+    : !FORMATS.includes(format) ? `Unknown format "${format}"; expected ${FORMATS.join(', ')}`
+      : options.platform && !PLATFORMS.includes(options.platform) ? `Unknown platform "${options.platform}"; expected ${PLATFORMS.join(' or ')}`
+        : null;
+  if (problem) {
+    stderr.write(`${problem}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  const server = options.server || env.TB_TRAINS_SERVER;
+  const backend = server ? remoteBackend(server, fetchImpl) : localBackend();
+  try {
+    stdout.write(formatResult(await run(backend, args, options, now), format));
+    return EXIT_OK;
+  } catch (err) {
+    stderr.write(`tb-trains: ${err.message}\n`);
+    return err.exitCode ?? EXIT_FAILURE;
+  }
+}
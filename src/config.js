@@ -0,0 +1,148 @@
+// Tracker configuration.
+// Upstream sources are described by a JSON config file (TRACKER_CONFIG, or
+// tracker.config.json in the working directory when present) layered over
+// the built-in defaults, with environment variables applied last. This is
+// how the tracker is pointed at staging product-details, a mirror, a local
+// fixture server or an extra calendar without code changes.
+
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_CONFIG_FILE = 'tracker.config.json';
+// TTL in seconds of sources that do not set one.
+const DEFAULT_TTL = 900;
+// Source fields whose environment overrides are non-negative numbers.
+const NUMERIC_FIELDS = new Set(['ttl', 'staleDays']);
+
+// Built-in sources. Keys double as cache keys and as the `source` named by
+// each channel in /api/status.
+const DEFAULT_SOURCES = {
+  productDetails: {
+    adapter: 'product-details',
+    url: 'https://product-details.mozilla.org/1.0/thunderbird_versions.json',
+    ttl: 300,
+  },
+  androidNightly: {
+    adapter: 'android-nightly',
+    url: 'https://ftp.mozilla.org/pub/thunderbird-mobile/android/nightly/latest-main/',
+    ttl: 900,
+    // Days without a new build before the nightly is flagged stale.
+    staleDays: 3,
+  },
+  // GitHub's unauthenticated API allows 60 requests per hour, so tags are
+  // kept longer than product-details.
+  androidTags: {
+    adapter: 'github-tags',
+    url: 'https://api.github.com/repos/thunderbird/thunderbird-android/tags?per_page=100',
+    releasesUrl: 'https://api.github.com/repos/thunderbird/thunderbird-android/releases?per_page=100',
+    ttl: 900,
+  },
+  // Build metadata for the desktop versions above, read from the archive.
+  desktopBuilds: {
+    adapter: 'desktop-builds',
+    url: 'https://archive.mozilla.org/pub/thunderbird/',
+    ttl: 1800,
+  },
+  calendar: {
+    adapter: 'ics-calendar',
+    url: 'https://calendar.google.com/calendar/ical/c_f7b7f2cea6f65593ef05afaf2abfcfb48f87e25794468cd4a19d16495d17b6d1%40group.calendar.google.com/public/basic.ics',
+    ttl: 1800,
+  },
+};
+
+// Environment overrides for the built-in sources: URLs, TTL (seconds) and
+// other numeric settings.
+const SOURCE_ENV = {
+  productDetails: { url: 'PRODUCT_DETAILS_URL', ttl: 'CACHE_TTL_PRODUCT_DETAILS' },
+  androidNightly: { url: 'ANDROID_NIGHTLY_URL', ttl: 'CACHE_TTL_ANDROID_NIGHTLY', staleDays: 'NIGHTLY_STALE_DAYS' },
+  androidTags: { url: 'ANDROID_TAGS_URL', releasesUrl: 'ANDROID_RELEASES_URL', ttl: 'CACHE_TTL_ANDROID_TAGS' },
+  desktopBuilds: { url: 'DESKTOP_ARCHIVE_URL', ttl: 'CACHE_TTL_DESKTOP_BUILDS' },
+  calendar: { url: 'CALENDAR_ICS_URL', ttl: 'CACHE_TTL_CALENDAR' },
+};
+
+let config = null;
+
+/**
+ * Reads the config file named by TRACKER_CONFIG, or the default file if it
+ * exists. A missing default file is not an error; a missing or malformed
+ * explicit file is.
+ *
+ * @returns {Object} Parsed config file, or {} if there is none
+ * @throws {Error} If TRACKER_CONFIG is set but cannot be read or parsed
+ */
+function readConfigFile() {
+  const explicit = process.env.TRACKER_CONFIG;
+  const file = path.resolve(explicit || DEFAULT_CONFIG_FILE);
+  if (!explicit && !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read config ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Applies environment overrides to one source.
+ *
+ * @param {string} key - Source key
+ * @param {Object} source - Source config
+ * @returns {Object} Source config with overrides applied
+ */
+function applyEnv(key, source) {
+  const names = SOURCE_ENV[key];
+  if (!names) return source;
+  const merged = { ...source };
+  for (const [field, name] of Object.entries(names)) {
+    const value = process.env[name];
+    if (value === undefined || value === '') continue;
+    if (NUMERIC_FIELDS.has(field)) {
+      const number = Number(value);
+      if (Number.isFinite(number) && number >= 0) merged[field] = number;
+    } else {
+      merged[field] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds the effective configuration. Sources from the config file are
+ * merged field by field over the built-in ones, so `{ "calendar": { "url":
+ * "..." } }` only swaps the URL; new keys add sources (they must name an
+ * `adapter`), and `"enabled": false` turns a source off.
+ *
+ * @returns {Object} { sources: { [key]: { adapter, url, ttl, enabled, ... } } }
+ * @throws {Error} If the config file is invalid
+ */
+export function loadConfig() {
+  const file = readConfigFile();
+  const sources = {};
+  const keys = new Set([...Object.keys(DEFAULT_SOURCES), ...Object.keys(file.sources || {})]);
+  for (const key of keys) {
+    const source = applyEnv(key, { ...DEFAULT_SOURCES[key], ...file.sources?.[key] });
+    if (!source.adapter) throw new Error(`Source "${key}" has no adapter`);
+    if (!Number.isFinite(Number(source.ttl)) || Number(source.ttl) < 0) source.ttl = DEFAULT_TTL;
+    sources[key] = { enabled: true, ...source, ttl: Number(source.ttl) };
+  }
+  return { sources };
+}
+
+/**
+ * Returns the effective configuration, loading it on first use.
+ *
+ * @returns {Object} Configuration from loadConfig()
+ */
+export function getConfig() {
+  if (!config) config = loadConfig();
+  return config;
+}
+
+/**
+ * Returns the config of one source, enabled or not.
+ *
+ * @param {string} key - Source key
+ * @returns {Object|null} Source config, or null if unknown
+ */
+export function sourceConfig(key) {
+  return getConfig().sources[key] || null;
+}
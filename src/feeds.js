@@ -0,0 +1,190 @@
+// Atom feeds for feed readers: one of version bumps per channel, built from
+// the release history, and one of upcoming calendar milestones, built from
+// the status timelines. Entry ids only depend on what the entry describes,
+// so re-generating a feed never makes readers show an entry twice.
+
+import { describeChange } from "./changes.js";
+import { readStore, writeStore } from "./store.js";
+
+const ID_PREFIX = 'urn:thunderbird-trains';
+const MAX_RELEASE_ENTRIES = 100;
+const MAX_MILESTONE_ENTRIES = 50;
+const PLATFORM_NAMES = { desktop: 'Desktop', android: 'Android' };
+// When each milestone entry was first seen, since calendar events carry no
+// usable publication time.
+const MILESTONES_SEEN_STORE = 'feed-milestones';
+
+/**
+ * Escapes text for XML element content and attribute values.
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function xml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a date as a readable day, e.g. "October 14, 2025".
+ *
+ * @param {string} iso - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatDay(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Renders an Atom 1.0 document.
+ *
+ * @param {Object} feed - Feed fields
+ * @param {string} feed.id - Stable feed id
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.selfUrl - Absolute URL of the feed
+ * @param {string} feed.alternateUrl - Absolute URL of the matching page
+ * @param {Array<Object>} feed.entries - Entries with id, title, updated, link, content and optional published
+ * @returns {string} Atom XML
+ */
+export function renderAtom({ id, title, selfUrl, alternateUrl, entries }) {
+  const updated = entries.reduce((max, e) => (e.updated > max ? e.updated : max), '1970-01-01T00:00:00.000Z');
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xml(id)}</id>`,
+    `  <title>${xml(title)}</title>`,
+    `  <updated>${xml(updated)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${xml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${xml(alternateUrl)}"/>`,
+    '  <author><name>Thunderbird Train Tracker</name></author>',
+  ];
+  for (const entry of entries) {
+    lines.push(
+      '  <entry>',
+      `    <id>${xml(entry.id)}</id>`,
+      `    <title>${xml(entry.title)}</title>`,
+      `    <updated>${xml(entry.updated)}</updated>`,
+    );
+    if (entry.published) lines.push(`    <published>${xml(entry.published)}</published>`);
+    lines.push(
+      `    <link rel="alternate" type="text/html" href="${xml(entry.link)}"/>`,
+      `    <content type="text">${xml(entry.content)}</content>`,
+      '  </entry>',
+    );
+  }
+  lines.push('</feed>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Builds the version bump feed: one entry per version per history channel,
+ * newest first. Each entry names the version it replaced on that channel.
+ *
+ * @param {Object} history - { channels } from getHistory()
+ * @param {string} baseUrl - Absolute site URL without trailing slash
+ * @returns {string} Atom XML
+ */
+export function releasesFeed(history, baseUrl) {
+  const entries = [];
+  for (const [key, list] of Object.entries(history?.channels || {})) {
+    const [platform, channel] = key.split('.');
+    list.forEach((item, i) => {
+      const from = list[i + 1]?.version || null;
+      const seen = item.source === 'observed' ? 'First seen' : 'Released';
+      entries.push({
+        id: `${ID_PREFIX}:release:${key}:${item.version}`,
+        title: `Thunderbird ${describeChange(platform, channel, null, item.version)}`,
+        updated: item.date,
+        published: item.date,
+        link: `${baseUrl}/history.html?channel=${encodeURIComponent(key)}`,
+        content: `${describeChange(platform, channel, from, item.version)}. ${seen} ${formatDay(item.date)}.`,
+      });
+    });
+  }
+  entries.sort((a, b) => b.updated.localeCompare(a.updated));
+
+  return renderAtom({
+    id: `${ID_PREFIX}:feed:releases`,
+    title: 'Thunderbird version bumps',
+    selfUrl: `${baseUrl}/feeds/releases.atom`,
+    alternateUrl: `${baseUrl}/history.html`,
+    entries: entries.slice(0, MAX_RELEASE_ENTRIES),
+  });
+}
+
+/**
+ * Lists the milestones dated today or later with their feed entry ids.
+ * Entries are keyed by calendar event, major, kind and day, so a rescheduled
+ * milestone shows up as a new entry.
+ *
+ * @param {Object} timelines - Timelines from getStatus()
+ * @param {Date} now - Reference time
+ * @returns {Array<Object>} { id, platform, major, milestone }
+ */
+function upcomingMilestones(timelines, now) {
+  const today = now.toISOString().slice(0, 10);
+  const upcoming = [];
+  for (const [platform, byMajor] of Object.entries(timelines || {})) {
+    for (const [major, milestones] of Object.entries(byMajor || {})) {
+      for (const m of milestones) {
+        const day = m.date.slice(0, 10);
+        if (day < today) continue;
+        upcoming.push({ id: `${ID_PREFIX}:milestone:${m.uid || m.summary}:${platform}:${major}:${m.kind}:${day}`, platform, major, milestone: m });
+      }
+    }
+  }
+  return upcoming;
+}
+
+/**
+ * Records when each upcoming milestone was first seen, keeping the times of
+ * milestones seen before and forgetting the ones no longer upcoming.
+ *
+ * @param {Object} timelines - Timelines from getStatus()
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Map of entry id to ISO first-seen time, for milestonesFeed()
+ */
+export async function recordMilestonesSeen(timelines, now = new Date()) {
+  const stored = await readStore(MILESTONES_SEEN_STORE, {});
+  const seen = {};
+  for (const { id } of upcomingMilestones(timelines, now)) seen[id] = stored[id] || now.toISOString();
+  const ids = Object.keys(seen);
+  if (ids.length !== Object.keys(stored).length || ids.some(id => !stored[id])) await writeStore(MILESTONES_SEEN_STORE, seen);
+  return seen;
+}
+
+/**
+ * Builds the upcoming milestone feed: one entry per milestone dated today or
+ * later, soonest first. An entry is updated when the tracker first saw the
+ * milestone, never at its (future) date, which stays in the title and
+ * content.
+ *
+ * @param {Object} timelines - Timelines from getStatus()
+ * @param {string} baseUrl - Absolute site URL without trailing slash
+ * @param {Date} [now] - Reference time
+ * @param {Object} [seenAt] - First-seen times from recordMilestonesSeen(); unknown entries use now
+ * @returns {string} Atom XML
+ */
+export function milestonesFeed(timelines, baseUrl, now = new Date(), seenAt = {}) {
+  const entries = upcomingMilestones(timelines, now)
+    .sort((a, b) => a.milestone.date.localeCompare(b.milestone.date) || a.id.localeCompare(b.id))
+    .map(({ id, platform, major, milestone: m }) => ({
+      id,
+      title: `Thunderbird ${PLATFORM_NAMES[platform] || platform} ${m.version || major}: ${m.label} on ${formatDay(m.date)}`,
+      updated: seenAt[id] || now.toISOString(),
+      link: `${baseUrl}/`,
+      content: `${m.summary} (${m.allDay ? formatDay(m.date) : new Date(m.date).toUTCString()}).`,
+    }));
+
+  return renderAtom({
+    id: `${ID_PREFIX}:feed:milestones`,
+    title: 'Upcoming Thunderbird milestones',
+    selfUrl: `${baseUrl}/feeds/milestones.atom`,
+    alternateUrl: `${baseUrl}/`,
+    entries: entries.slice(0, MAX_MILESTONE_ENTRIES),
+  });
+}
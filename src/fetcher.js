@@ -1,335 +1,289 @@
-// Use global fetch (Node 18+) and a tiny ICS parser below to avoid external deps.
+// Aggregates every configured upstream source into the status payload.
+// Sources are loaded through their adapters (src/sources/), each cached with
+// its own TTL and persisted as a last-known-good snapshot.
+import { cached, getCacheInfo, getLoadInfo, primeCache, refreshCached } from './cache.js';
+import { readStore, writeStore } from './store.js';
+import { buildTimelines, computeCountdowns, extractMajor } from './milestones.js';
+import { recordObservation } from './history.js';
+import { configuredSources, loadFromAdapter } from './sources/index.js';
+import { milestonePhase } from './asof.js';
+import { NOTES_CACHE_PREFIX, notesUrlFor } from './notes.js';
 
-const PRODUCT_DETAILS_URL = "https://product-details.mozilla.org/1.0/thunderbird_versions.json";
-const CALENDAR_ICS_URL = "https://calendar.google.com/calendar/ical/c_f7b7f2cea6f65593ef05afaf2abfcfb48f87e25794468cd4a19d16495d17b6d1%40group.calendar.google.com/public/basic.ics";
-const ANDROID_NIGHTLY_URL = "https://ftp.mozilla.org/pub/thunderbird-mobile/android/nightly/latest-main/";
-const ANDROID_TAGS_URL = "https://api.github.com/repos/thunderbird/thunderbird-android/tags?per_page=100";
+// Last successful value of every source, mirrored to disk so a restart during
+// an upstream outage still has something to serve.
+const SNAPSHOT_STORE = 'last-known-good';
+let snapshots = {};
+let hydration = null;
 
 /**
- * Checks if a calendar event summary is related to an Android milestone.
+ * Loads the last-known-good snapshots from disk into the cache, once.
+ * Restored values keep their original fetch time and are refreshed on first use.
+ * Snapshots of sources that are no longer configured, or that predate the
+ * normalized source shape, are ignored.
  *
- * @param {string} summary - The event summary text to check
- * @returns {boolean} True if the summary indicates an Android milestone
+ * @returns {Promise<void>} Resolves once the cache has been seeded
  */
-function isAndroidMilestoneSummary(summary = "") {
-  if (!summary) return false;
-  const text = summary.toString();
-  return /^(TfA|TFA)\b/i.test(text) ||
-    /Thunderbird\s*(for\s+)?Android/i.test(text) ||
-    /\bTbA\b/i.test(text);
-}
-
-/**
- * Extracts the major version number from a version string.
- *
- * @param {string} version - Version string (e.g., "132.0b3")
- * @returns {string|null} The major version number or null if not found
- */
-function extractMajor(version) {
-  if (!version) return null;
-  const m = version.match(/(\d+)/);
-  return m ? m[1] : null;
+function hydrateSnapshots() {
+  if (!hydration) {
+    hydration = (async () => {
+      const stored = await readStore(SNAPSHOT_STORE, {});
+      snapshots = { ...(stored || {}), ...snapshots };
+      const keys = new Set(configuredSources().map(source => source.key));
+      for (const [key, snap] of Object.entries(snapshots)) {
+        const value = snap?.value;
+        const normalized = value && typeof value === 'object' && ('channels' in value || 'details' in value || 'events' in value);
+        if (keys.has(key) && normalized && snap.fetchedAt) primeCache(key, value, snap.fetchedAt);
+      }
+    })();
+  }
+  return hydration;
 }
 
 /**
- * Fetches desktop Thunderbird version information from Mozilla product-details API.
+ * Wraps a source loader so each successful result is persisted as the new
+ * last-known-good snapshot for that source.
  *
- * @returns {Promise<Object>} Object with daily, release, beta, esr_current, and esr_next versions
- * @throws {Error} If the product details API request fails
+ * @param {string} key - Source key
+ * @param {Function} loader - Async function fetching the source
+ * @returns {Function} Async loader with the same result
  */
-export async function getVersions() {
-  const res = await fetch(PRODUCT_DETAILS_URL, { method: 'GET' });
-  if (!res.ok) throw new Error('Failed to fetch product details: ' + res.status);
-  const data = await res.json();
-  return {
-    daily: data.LATEST_THUNDERBIRD_NIGHTLY_VERSION || null,
-    release: data.LATEST_THUNDERBIRD_VERSION || null,
-    beta: data.LATEST_THUNDERBIRD_DEVEL_VERSION || null,
-    esr_current: data.THUNDERBIRD_ESR || null,
-    esr_next: data.THUNDERBIRD_ESR_NEXT || null,
+function persisting(key, loader) {
+  return async () => {
+    const value = await loader();
+    snapshots[key] = { value, fetchedAt: new Date().toISOString() };
+    writeStore(SNAPSHOT_STORE, snapshots);
+    return value;
   };
 }
 
 /**
- * Fetches the Android nightly version from Mozilla FTP by parsing the directory listing.
+ * Loads one upstream source through the cache, isolating its failures.
+ * A failing source resolves to null so the other sources can still be served;
+ * the failure itself is reported through describeSources(). A fresh load
+ * skips the snapshots on disk and waits for the upstream.
  *
- * @returns {Promise<string|null>} The nightly version string or null if not found
+ * @param {Object} source - Source from configuredSources()
+ * @param {boolean} fresh - Whether to load from the upstream now, without snapshots
+ * @param {Object} [context] - Passed to the adapter's fetch()
+ * @returns {Promise<Object|null>} The normalized source value, or null if it is unavailable
  */
-async function getAndroidNightlyVersion() {
+async function loadSource(source, fresh, context) {
+  if (!fresh) await hydrateSnapshots();
   try {
-    const res = await fetch(ANDROID_NIGHTLY_URL, { method: 'GET' });
-    if (!res.ok) return null;
-    const text = await res.text();
-    const match = text.match(/thunderbird-([0-9]+\.[0-9]+a1)\.apk/i);
-    return match ? match[1] : null;
-  } catch {
+    const load = () => loadFromAdapter(source, context);
+    const entry = fresh
+      ? await refreshCached(source.key, source.options.ttl * 1000, load)
+      : await cached(source.key, source.options.ttl * 1000, persisting(source.key, load));
+    return entry.value;
+  } catch (err) {
+    console.error(`Source ${source.key} failed:`, err.message);
     return null;
   }
 }
 
 /**
- * Converts a GitHub tag name to a version string.
- * Examples: THUNDERBIRD_14_0 -> "14.0", THUNDERBIRD_14_0b1 -> "14.0b1"
+ * Builds the per-source health block for the status payload.
+ * A source is "ok" when its last load succeeded, "stale" when it is serving a
+ * snapshot restored from disk that has not been refreshed yet, "degraded" when
+ * the last load failed but an older value is still being served, and "error"
+ * when nothing is available at all. `stale` is true whenever the value came
+ * from the on-disk snapshot; `lastSuccess` is then the snapshot's original
+ * fetch time.
  *
- * @param {string} tag - GitHub tag name (e.g., "THUNDERBIRD_14_0b1")
- * @returns {string|null} Formatted version string or null if invalid
+ * @param {Array<Object>} configured - Sources from configuredSources()
+ * @returns {Object} Map of source key to { status, stale, error, latencyMs, lastSuccess, lastAttempt }
  */
-function parseAndroidTagToVersion(tag) {
-  if (!tag || !tag.startsWith('THUNDERBIRD_')) return null;
-  const parts = tag.replace(/^THUNDERBIRD_/, '').split('_');
-  if (parts.length === 0) return null;
-  const [major, ...rest] = parts;
-  let version = major;
-  for (const raw of rest) {
-    const lower = raw.toLowerCase();
-    const prereleaseMatch = lower.match(/^(\d+)([ab])(\d+)$/);
-    if (prereleaseMatch) {
-      const [, num, phase, build] = prereleaseMatch;
-      version += `.${num}${phase}${build}`;
-    } else {
-      version += `.${raw}`;
+function describeSources(configured) {
+  const sources = {};
+  for (const { key } of configured) {
+    const info = getLoadInfo(key);
+    if (!info) {
+      sources[key] = { status: 'error', stale: false, error: 'Not loaded yet', latencyMs: null, lastSuccess: null, lastAttempt: null };
+      continue;
     }
+    const { restored, ...rest } = info;
+    let state = restored ? 'stale' : 'ok';
+    if (info.error) state = info.lastSuccess ? 'degraded' : 'error';
+    sources[key] = { status: state, stale: restored, ...rest };
   }
-  return version;
+  return sources;
 }
 
 /**
- * Fetches Android beta and release versions from GitHub tags API.
- * Identifies beta versions by 'b' suffix and release versions by lack of pre-release suffix.
+ * Keeps only channels whose source was fetched successfully, so versions
+ * served from a stale snapshot are not recorded as newly seen.
  *
- * @returns {Promise<Object>} Object with release and beta version strings
+ * @param {Object} channels - Channel records grouped by platform
+ * @param {Object} sources - Source health from describeSources()
+ * @returns {Object} Channel records grouped by platform
  */
-async function getAndroidTagVersions() {
-  try {
-    const res = await fetch(ANDROID_TAGS_URL, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/vnd.github+json',
-        'User-Agent': 'thunderbird-version-tracker'
-      }
-    });
-    if (!res.ok) return { release: null, beta: null };
-    const data = await res.json();
-    if (!Array.isArray(data)) return { release: null, beta: null };
-
-    const tagNames = data.map(t => t?.name || '').filter(Boolean);
-    let betaVersion = null;
-    let releaseVersion = null;
-
-    for (const name of tagNames) {
-      if (!name.startsWith('THUNDERBIRD_')) continue;
-      if (!betaVersion && /b\d+/i.test(name)) {
-        betaVersion = parseAndroidTagToVersion(name);
-      }
-      if (!releaseVersion && !/b\d+/i.test(name) && !/a\d+/i.test(name)) {
-        releaseVersion = parseAndroidTagToVersion(name);
-      }
-      if (betaVersion && releaseVersion) break;
+function freshChannels(channels, sources) {
+  const fresh = {};
+  for (const [platform, group] of Object.entries(channels)) {
+    fresh[platform] = {};
+    for (const [key, record] of Object.entries(group)) {
+      if (sources[record.source]?.status === 'ok') fresh[platform][key] = record;
     }
-
-    return { release: releaseVersion, beta: betaVersion };
-  } catch {
-    return { release: null, beta: null };
   }
+  return fresh;
 }
 
 /**
- * Fetches all Android version information (daily, beta, release).
- * Combines data from FTP nightly builds and GitHub tags.
+ * Builds the channel records from the normalized source values, including
+ * any details a source reports for a channel (tag, date, notesUrl). Each
+ * adapter's declared channels are always present, empty while the source is
+ * down; when several sources provide a channel, the first one with a version
+ * wins. Sources that only describe channels (desktop build metadata) add
+ * their details to the record when they name the same version.
  *
- * @returns {Promise<Object>} Object with daily, beta, and release versions
+ * @param {Array<Object>} configured - Sources from configuredSources()
+ * @param {Array<Object|null>} values - Normalized value of each source
+ * @returns {Object} Channel records grouped by platform
  */
-async function getAndroidVersions() {
-  const [nightly, tagVersions] = await Promise.all([
-    getAndroidNightlyVersion(),
-    getAndroidTagVersions()
-  ]);
-  return {
-    daily: nightly,
-    beta: tagVersions.beta,
-    release: tagVersions.release
-  };
+function buildChannels(configured, values) {
+  const channel = (version, source) => ({ version: version || null, major: extractMajor(version), source });
+  const channels = { desktop: {}, android: {} };
+  configured.forEach((source, i) => {
+    for (const [platform, names] of Object.entries(source.adapter.channels || {})) {
+      if (!channels[platform]) channels[platform] = {};
+      for (const name of names) {
+        const version = values[i]?.channels?.[platform]?.[name];
+        if (!channels[platform][name] || (!channels[platform][name].version && version)) {
+          const details = values[i]?.details?.[platform]?.[name];
+          channels[platform][name] = { ...channel(version, source.key), ...details };
+        }
+      }
+    }
+  });
+  configured.forEach((source, i) => {
+    for (const [platform, group] of Object.entries(values[i]?.details || {})) {
+      for (const [name, { version, ...details }] of Object.entries(group)) {
+        const record = channels[platform]?.[name];
+        if (!record || record.source === source.key || !record.version || version !== record.version) continue;
+        channels[platform][name] = { ...record, ...details };
+      }
+    }
+  });
+  return channels;
 }
 
 /**
- * Fetches and parses calendar events from the public Google Calendar ICS feed.
- * Extracts SUMMARY, DTSTART, DTEND, and DESCRIPTION fields from VEVENT blocks.
+ * Reduces channel records to their versions.
  *
- * @returns {Promise<Array>} Array of event objects sorted by start date
- * @throws {Error} If the calendar fetch fails
+ * @param {Object} channels - Channel records grouped by platform
+ * @returns {Object} { [platform]: { [channel]: version } }
  */
-export async function getCalendarEvents() {
-  const res = await fetch(CALENDAR_ICS_URL, { method: 'GET' });
-  if (!res.ok) throw new Error('Failed to fetch calendar: ' + res.status);
-  const raw = await res.text();
-  // Minimal ICS parsing: find VEVENT blocks and extract SUMMARY, DTSTART, DTEND
-  const events = [];
-  const vevents = raw.split(/BEGIN:VEVENT/).slice(1);
-  for (let block of vevents) {
-    // unfold folded lines (lines that start with space are continuations)
-    block = block.replace(/\r?\n[ \t]/g, '');
-    const lines = block.split(/\r?\n/);
-    const ev = { summary: '', start: null, end: null, description: '' };
-    for (let line of lines) {
-      if (!line) continue;
-      const [key, ...rest] = line.split(':');
-      const value = rest.join(':');
-      if (key.startsWith('SUMMARY')) ev.summary = value;
-      if (key.startsWith('DESCRIPTION')) ev.description = value;
-      if (key.startsWith('DTSTART')) {
-        const parsed = parseIcsDate(value);
-        if (parsed) ev.start = parsed;
-      }
-      if (key.startsWith('DTEND')) {
-        const parsed = parseIcsDate(value);
-        if (parsed) ev.end = parsed;
-      }
-    }
-    events.push(ev);
-  }
-  // sort by start date
-  events.sort((a, b) => (a.start || '').localeCompare(b.start || ''));
-  return events;
+function channelVersions(channels) {
+  return Object.fromEntries(Object.entries(channels).map(([platform, group]) => [
+    platform,
+    Object.fromEntries(Object.entries(group).map(([name, record]) => [name, record.version])),
+  ]));
 }
 
 /**
- * Finds the most relevant calendar event for a desktop Thunderbird version.
- * Tries exact version match, then major version match, then upcoming Thunderbird events.
+ * Flags channels whose build (`builtAt`) is older than their
+ * `staleAfterDays`, e.g. a nightly that has not been rebuilt for days.
+ * Evaluated per request because the cached source value does not age.
  *
- * @param {Array} events - Array of calendar event objects
- * @param {string} version - Version string to match (e.g., "132.0b3")
- * @returns {Object|null} Best matching event or null if none found
+ * @param {Object} channels - Channel records grouped by platform, updated in place
+ * @param {Date} [now] - Reference time
  */
-function findBestDesktopEvent(events, version) {
-  if (!version) return null;
-  const major = extractMajor(version);
-  // prefer events that include the full version
-  for (const ev of events) {
-    if (ev.summary && ev.summary.includes(version)) return ev;
-  }
-  // then prefer events that include the major version as a token
-  if (major) {
-    const majorRe = new RegExp("\\b" + major + "\\b");
-    for (const ev of events) {
-      if (ev.summary && majorRe.test(ev.summary)) return ev;
+function flagStaleBuilds(channels, now = new Date()) {
+  for (const group of Object.values(channels)) {
+    for (const record of Object.values(group)) {
+      if (!record.builtAt || !Number.isFinite(record.staleAfterDays)) continue;
+      record.stale = now - new Date(record.builtAt) > record.staleAfterDays * 86400000;
     }
   }
-  // fallback: find an event whose summary mentions "Thunderbird" and a date after now
-  const now = new Date().toISOString();
-  for (const ev of events) {
-    if (ev.summary && /Thunderbird/i.test(ev.summary) && ev.start && ev.start >= now) return ev;
-  }
-  return null;
 }
 
 /**
- * Finds the most relevant calendar event for an Android Thunderbird version.
- * Filters events to Android-specific milestones and matches by version.
+ * Tags every milestone with the phase it puts its train in (null for
+ * milestones that do not move a train), so clients need not read merge day
+ * summaries themselves.
  *
- * @param {Array} events - Array of calendar event objects
- * @param {string} version - Version string to match
- * @returns {Object|null} Best matching Android event or null if none found
+ * @param {Object} timelines - Timelines from buildTimelines(), updated in place
  */
-function findBestAndroidEvent(events, version) {
-  const androidEvents = (events || []).filter(ev => isAndroidMilestoneSummary(ev?.summary));
-  if (androidEvents.length === 0) return null;
-  if (version) {
-    const lower = version.toLowerCase();
-    for (const ev of androidEvents) {
-      if (ev.summary && ev.summary.toLowerCase().includes(lower)) return ev;
-    }
-    const major = extractMajor(version);
-    if (major) {
-      const majorRe = new RegExp("\\b" + major + "\\b");
-      for (const ev of androidEvents) {
-        if (ev.summary && majorRe.test(ev.summary)) return ev;
-      }
+function tagPhases(timelines) {
+  for (const byMajor of Object.values(timelines)) {
+    for (const milestones of Object.values(byMajor)) {
+      for (const milestone of milestones) milestone.phase = milestonePhase(milestone);
     }
   }
-  return androidEvents[androidEvents.length - 1] || androidEvents[0] || null;
 }
 
 /**
- * Parses an ICS date string to ISO format.
- * Handles both datetime (20251004T120000Z) and date-only (20251004) formats.
+ * Links every channel that has release notes to them (thunderbird.net for
+ * desktop; Android tags already carry their GitHub release).
  *
- * @param {string} value - ICS date string
- * @returns {string|null} ISO date string or null if parsing fails
+ * @param {Object} channels - Channel records grouped by platform, updated in place
  */
-function parseIcsDate(value) {
-  if (!value) return null;
-  // value can be like 20251004T120000Z or 20251004 (date only)
-  try {
-    if (/^\d{8}T\d{6}Z?$/.test(value)) {
-      // ensure Z for UTC times is handled by Date
-      const v = value.endsWith('Z') ? value : value + 'Z';
-      const d = new Date(v);
-      if (isNaN(d)) return null;
-      return d.toISOString();
-    }
-    if (/^\d{8}$/.test(value)) {
-      // date-only: treat as local midnight
-      const y = value.slice(0,4); const m = value.slice(4,6); const day = value.slice(6,8);
-      const d = new Date(Number(y), Number(m)-1, Number(day));
-      if (isNaN(d)) return null;
-      return d.toISOString();
+function linkReleaseNotes(channels) {
+  for (const [platform, group] of Object.entries(channels)) {
+    for (const [name, record] of Object.entries(group)) {
+      const url = notesUrlFor(platform, name, record);
+      if (url) record.notesUrl = url;
     }
-    // fallback, try Date constructor
-    const d = new Date(value);
-    if (isNaN(d)) return null;
-    return d.toISOString();
-  } catch {
-    return null;
   }
 }
 
 /**
  * Fetches complete Thunderbird status including versions and milestone dates.
- * Aggregates data from product-details, FTP, GitHub, and Google Calendar.
- * Matches calendar events to each channel's version.
+ * Aggregates every configured source (by default product-details, the
+ * Android nightly listing, GitHub tags and the release calendar).
+ * Each upstream is served from the per-source cache, so repeated calls only
+ * hit the network once a source's TTL has expired. Sources fail independently:
+ * a broken upstream leaves its channels empty and is reported in `sources`,
+ * while the remaining channels are still returned. The last successful value
+ * of each source is persisted to disk and served (flagged stale) after a
+ * restart until that source can be fetched again.
+ * Calendar events are classified into per-version milestone timelines; each
+ * channel carries its major version so clients can look up its timeline in
+ * `timelines[platform][major]`. `countdowns` lists the next upcoming
+ * milestone each channel is heading for. Freshly fetched versions are
+ * recorded in the release history. Channels with a build time (the Android
+ * nightly) are flagged `stale` once they have not been rebuilt for their
+ * `staleAfterDays`. Channels with release notes link them in `notesUrl`.
+ * One-off callers such as the command-line client ask for `fresh` data:
+ * every source is then fetched before returning, and neither snapshots nor
+ * history are read from or written to the data directory.
  *
- * @returns {Promise<Object>} Object containing fetchedAt timestamp, channels data, and events array
- * @throws {Error} If any required data source fails
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Fetch every source now and leave the data directory alone
+ * @returns {Promise<Object>} Object containing fetchedAt timestamp, channels data, milestone timelines, countdowns, events array, source health and cache metadata
  */
-export async function getStatus() {
-  const [desktopVersions, androidVersions, events] = await Promise.all([
-    getVersions(),
-    getAndroidVersions(),
-    getCalendarEvents()
-  ]);
+export async function getStatus({ fresh = false } = {}) {
+  const configured = configuredSources();
+  // Sources that describe the channels (desktop builds) wait for the versions.
+  const values = await Promise.all(configured.map(source => (source.adapter.describesChannels ? null : loadSource(source, fresh))));
+  const context = { channels: channelVersions(buildChannels(configured, values)) };
+  await Promise.all(configured.map(async (source, i) => {
+    if (source.adapter.describesChannels) values[i] = await loadSource(source, fresh, context);
+  }));
+  const channels = buildChannels(configured, values);
+  flagStaleBuilds(channels);
+  linkReleaseNotes(channels);
+  const events = values.flatMap(value => value?.events || []);
+  if (values.filter(value => value?.events).length > 1) events.sort((a, b) => a.start.localeCompare(b.start));
 
-  const channels = {
-    desktop: {
-      daily: { version: desktopVersions.daily, milestone: null },
-      release: { version: desktopVersions.release, milestone: null },
-      beta: { version: desktopVersions.beta, milestone: null },
-      esr_current: { version: desktopVersions.esr_current, milestone: null },
-      esr_next: { version: desktopVersions.esr_next, milestone: null }
-    },
-    android: {
-      release: { version: androidVersions.release, milestone: null },
-      beta: { version: androidVersions.beta, milestone: null },
-      daily: { version: androidVersions.daily, milestone: null }
-    }
-  };
-
-  for (const key of Object.keys(channels.desktop)) {
-    const record = channels.desktop[key];
-    const ev = findBestDesktopEvent(events, record.version);
-    record.milestone = ev ? ev.start : null;
-    if (ev) record.eventSummary = ev.summary;
-  }
-
-  for (const key of Object.keys(channels.android)) {
-    const record = channels.android[key];
-    const ev = findBestAndroidEvent(events, record.version);
-    record.milestone = ev ? ev.start : null;
-    if (ev) record.eventSummary = ev.summary;
+  const timelines = buildTimelines(events);
+  tagPhases(timelines);
+  const sources = describeSources(configured);
+  if (!fresh) {
+    recordObservation(freshChannels(channels, sources)).catch(err => {
+      console.error('Failed to record history:', err.message);
+    });
   }
 
   return {
     fetchedAt: new Date().toISOString(),
+    stale: Object.values(sources).some(src => src.stale || src.status === 'degraded'),
     channels,
+    timelines,
+    countdowns: computeCountdowns(channels, timelines),
     events,
+    sources,
+    // Release notes are cached per version on demand; they are not a source.
+    cache: getCacheInfo(key => !key.startsWith(NOTES_CACHE_PREFIX)),
   };
 }
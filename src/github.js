@@ -0,0 +1,97 @@
+// Helpers for the thunderbird-android GitHub repository: conditional and
+// paginated API reads, and tag-name parsing.
+
+import { upstreamFetch } from "./upstream.js";
+
+export const GITHUB_HEADERS = {
+  'Accept': 'application/vnd.github+json',
+  'User-Agent': 'thunderbird-version-tracker'
+};
+
+// Safety net against runaway pagination.
+const MAX_PAGES = 20;
+
+// Last response per URL, replayed when GitHub answers a conditional request
+// with 304 Not Modified. Those answers do not count against the rate limit.
+const conditionalCache = new Map();
+
+/**
+ * GETs one GitHub API URL, sending If-None-Match when an earlier response
+ * carried an ETag.
+ *
+ * @param {string} url - API URL
+ * @returns {Promise<Object>} { data, next } with the parsed JSON and the rel="next" URL
+ * @throws {Error} If the request fails
+ */
+export async function fetchGitHub(url) {
+  const previous = conditionalCache.get(url);
+  const headers = previous ? { ...GITHUB_HEADERS, 'If-None-Match': previous.etag } : GITHUB_HEADERS;
+  const res = await upstreamFetch(url, { method: 'GET', headers });
+  if (res.status === 304 && previous) return previous.page;
+  if (!res.ok) throw new Error('Failed to fetch ' + url + ': ' + res.status);
+  const page = { data: await res.json(), next: nextPageUrl(res.headers.get('link')) };
+  const etag = res.headers.get('etag');
+  if (etag) conditionalCache.set(url, { etag, page });
+  return page;
+}
+
+/**
+ * Fetches every page of a GitHub list endpoint by following `Link: rel="next"`.
+ * Unchanged pages are revalidated with their ETag instead of re-downloaded.
+ *
+ * @param {string} url - First page URL (should include per_page=100)
+ * @returns {Promise<Array>} Concatenated items of all pages
+ * @throws {Error} If any page request fails or returns a non-array payload
+ */
+export async function fetchAllPages(url) {
+  const items = [];
+  let next = url;
+  for (let page = 0; next && page < MAX_PAGES; page++) {
+    const { data, next: following } = await fetchGitHub(next);
+    if (!Array.isArray(data)) throw new Error('Unexpected GitHub payload from ' + next);
+    items.push(...data);
+    next = following;
+  }
+  return items;
+}
+
+/**
+ * Extracts the rel="next" URL from a GitHub Link header.
+ *
+ * @param {string|null} header - Link header value
+ * @returns {string|null} Next page URL or null on the last page
+ */
+function nextPageUrl(header) {
+  if (!header) return null;
+  for (const part of header.split(',')) {
+    const m = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+/**
+ * Converts a GitHub tag name to a version string.
+ * Examples: THUNDERBIRD_14_0 -> "14.0", THUNDERBIRD_14_0b1 -> "14.0b1"
+ *
+ * @param {string} tag - GitHub tag name (e.g., "THUNDERBIRD_14_0b1")
+ * @returns {string|null} Formatted version string or null if invalid
+ */
+export function parseAndroidTagToVersion(tag) {
+  if (!tag || !tag.startsWith('THUNDERBIRD_')) return null;
+  const parts = tag.replace(/^THUNDERBIRD_/, '').split('_');
+  if (parts.length === 0) return null;
+  const [major, ...rest] = parts;
+  let version = major;
+  for (const raw of rest) {
+    const lower = raw.toLowerCase();
+    const prereleaseMatch = lower.match(/^(\d+)([ab])(\d+)$/);
+    if (prereleaseMatch) {
+      const [, num, phase, build] = prereleaseMatch;
+      version += `.${num}${phase}${build}`;
+    } else {
+      version += `.${raw}`;
+    }
+  }
+  return version;
+}
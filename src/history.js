@@ -0,0 +1,299 @@
+// Release history per channel.
+// Every version the fetcher observes is recorded with the time it was first
+// seen, and the record is backfilled from product-details' history files and
+// the thunderbird-android GitHub tags/releases so older versions have their
+// real ship dates. The history is persisted with the other JSON stores.
+
+import { readStore, writeStore } from './store.js';
+import { fetchAllPages, parseAndroidTagToVersion } from './github.js';
+import { sourceConfig } from './config.js';
+import { upstreamFetch } from './upstream.js';
+import { compareVersions, isBetaVersion, isReleaseVersion } from './versions.js';
+
+const HISTORY_STORE = 'history';
+
+export const HISTORY_CHANNELS = [
+  'desktop.release',
+  'desktop.beta',
+  'desktop.esr',
+  'desktop.daily',
+  'android.release',
+  'android.beta',
+  'android.daily',
+];
+
+// Upstream history changes slowly; re-run the backfill once a day by default.
+const BACKFILL_TTL_MS = (Number(process.env.HISTORY_BACKFILL_TTL) || 24 * 60 * 60) * 1000;
+// After a failed backfill, wait this long before trying again.
+const BACKFILL_RETRY_MS = 30 * 1000;
+
+let history = null;
+let loading = null;
+// The backfill in flight, when the next one is due and whether one has
+// succeeded since startup. Kept here rather than in the cache, whose keys
+// are reported as upstream sources.
+let backfilling = null;
+let nextBackfillAt = 0;
+let backfilled = false;
+
+/**
+ * Loads the persisted history once and keeps it in memory.
+ *
+ * @returns {Promise<Object>} History with channels map and backfilledAt
+ */
+async function loadHistory() {
+  if (!loading) {
+    loading = readStore(HISTORY_STORE, null).then(stored => {
+      history = { channels: {}, backfilledAt: stored?.backfilledAt || null };
+      for (const key of HISTORY_CHANNELS) {
+        history.channels[key] = Array.isArray(stored?.channels?.[key]) ? stored.channels[key] : [];
+      }
+    });
+  }
+  await loading;
+  return history;
+}
+
+/**
+ * Maps a status channel to its history channel. Both ESR channels share
+ * one history, since a version moves from "next" to "current" without
+ * shipping again.
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - Status channel key (e.g. "esr_current")
+ * @returns {string} History channel key (e.g. "desktop.esr")
+ */
+export function historyKeyFor(platform, channel) {
+  if (platform === 'desktop' && channel.startsWith('esr')) return 'desktop.esr';
+  return `${platform}.${channel}`;
+}
+
+/**
+ * Resolves user input such as "desktop.beta", "android:release", "esr" or
+ * "esr_current" to a history channel key. Bare channel names mean desktop.
+ *
+ * @param {string} input - Channel name from a query string
+ * @returns {string|null} History channel key, or null if unknown
+ */
+export function resolveHistoryChannel(input) {
+  if (!input) return null;
+  const [first, second] = String(input).toLowerCase().split(/[.:/]/);
+  const key = second ? historyKeyFor(first, second) : historyKeyFor('desktop', first);
+  return HISTORY_CHANNELS.includes(key) ? key : null;
+}
+
+/**
+ * Adds an entry to a channel list, or upgrades an observed entry with the
+ * published date from an upstream source.
+ *
+ * @param {Array<Object>} list - Channel history entries
+ * @param {Object} entry - { version, date, source }
+ * @returns {boolean} True if the list changed
+ */
+function mergeEntry(list, entry) {
+  const existing = list.find(e => e.version === entry.version);
+  if (!existing) {
+    list.push(entry);
+    return true;
+  }
+  if (existing.source === 'observed' && entry.source !== 'observed') {
+    existing.date = entry.date;
+    existing.source = entry.source;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Sorts every channel newest first.
+ *
+ * @param {Object} data - History object
+ */
+function sortHistory(data) {
+  for (const list of Object.values(data.channels)) {
+    list.sort((a, b) => b.date.localeCompare(a.date) || compareVersions(b.version, a.version));
+  }
+}
+
+/**
+ * Records the versions currently on each channel. Versions already in the
+ * history keep their original date.
+ *
+ * @param {Object} channels - Channel records from getStatus()
+ * @param {Date} [at] - Observation time
+ * @returns {Promise<boolean>} True if any new version was recorded
+ */
+export async function recordObservation(channels, at = new Date()) {
+  const data = await loadHistory();
+  let changed = false;
+  for (const [platform, group] of Object.entries(channels || {})) {
+    for (const [channel, record] of Object.entries(group || {})) {
+      const list = data.channels[historyKeyFor(platform, channel)];
+      if (!list || !record?.version) continue;
+      changed = mergeEntry(list, { version: record.version, date: at.toISOString(), source: 'observed' }) || changed;
+    }
+  }
+  if (changed) {
+    sortHistory(data);
+    await writeStore(HISTORY_STORE, data);
+  }
+  return changed;
+}
+
+/**
+ * Fetches one product-details history file.
+ *
+ * @param {string} name - File name without extension (e.g. "thunderbird_history_major_releases")
+ * @returns {Promise<Object>} Map of version to "YYYY-MM-DD" date
+ * @throws {Error} If the request fails
+ */
+async function fetchProductDetailsFile(name) {
+  // The history files live next to the configured thunderbird_versions.json.
+  const url = new URL(`${name}.json`, sourceConfig('productDetails').url);
+  const res = await upstreamFetch(url, { method: 'GET' });
+  if (!res.ok) throw new Error(`Failed to fetch ${name}: ` + res.status);
+  return res.json();
+}
+
+/**
+ * Builds desktop history entries from product-details.
+ * Betas come from the development releases file and majors from the major
+ * releases file. Stability (dot) releases are ESR when their version says so
+ * or when a newer major had already shipped by their date, which is what
+ * distinguishes an ESR point release from a regular one.
+ *
+ * @returns {Promise<Array<Object>>} Entries with channel, version, date and source
+ */
+async function fetchDesktopHistory() {
+  const [majors, stability, development] = await Promise.all([
+    fetchProductDetailsFile('thunderbird_history_major_releases'),
+    fetchProductDetailsFile('thunderbird_history_stability_releases'),
+    fetchProductDetailsFile('thunderbird_history_development_releases'),
+  ]);
+  const toIso = date => `${date}T00:00:00.000Z`;
+  const entries = [];
+  const majorDates = Object.entries(majors || {}).map(([version, date]) => [parseInt(version, 10), date]);
+
+  for (const [version, date] of Object.entries(majors || {})) {
+    const channel = /esr$/.test(version) ? 'desktop.esr' : 'desktop.release';
+    entries.push({ channel, version, date: toIso(date), source: 'product-details' });
+  }
+  for (const [version, date] of Object.entries(development || {})) {
+    if (!/b\d+$/.test(version)) continue;
+    entries.push({ channel: 'desktop.beta', version, date: toIso(date), source: 'product-details' });
+  }
+  for (const [version, date] of Object.entries(stability || {})) {
+    const major = parseInt(version, 10);
+    const superseded = majorDates.some(([m, d]) => m > major && d <= date);
+    if (/esr$/.test(version) || superseded) {
+      // Match the "140.4.0esr" form product-details uses for the live ESR.
+      entries.push({ channel: 'desktop.esr', version: version.replace(/(esr)?$/, 'esr'), date: toIso(date), source: 'product-details' });
+    } else {
+      entries.push({ channel: 'desktop.release', version, date: toIso(date), source: 'product-details' });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Builds Android history entries from every page of GitHub tags, dated by the
+ * matching GitHub release. Tags without a published release have no ship
+ * date and are skipped.
+ *
+ * @returns {Promise<Array<Object>>} Entries with channel, version, date and source
+ */
+async function fetchAndroidHistory() {
+  const { url, releasesUrl } = sourceConfig('androidTags');
+  const [tags, releases] = await Promise.all([
+    fetchAllPages(url),
+    fetchAllPages(releasesUrl),
+  ]);
+  const published = new Map(releases.map(r => [r.tag_name, r.published_at]));
+  const entries = [];
+  for (const tag of tags) {
+    const version = parseAndroidTagToVersion(tag?.name);
+    const date = published.get(tag?.name);
+    if (!version || !date) continue;
+    let channel = null;
+    if (isBetaVersion(version)) channel = 'android.beta';
+    else if (isReleaseVersion(version)) channel = 'android.release';
+    if (!channel) continue;
+    entries.push({ channel, version, date: new Date(date).toISOString(), source: 'github' });
+  }
+  return entries;
+}
+
+/**
+ * Merges upstream history into the stored history. Each upstream is
+ * independent; a failing one is logged and the other is still merged.
+ *
+ * @param {boolean} [persist] - Whether to write the merged history to disk
+ * @returns {Promise<string>} ISO time of the backfill
+ */
+export async function backfillHistory(persist = true) {
+  const data = await loadHistory();
+  const results = await Promise.allSettled([fetchDesktopHistory(), fetchAndroidHistory()]);
+  let changed = false;
+  let succeeded = false;
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error('History backfill failed:', result.reason?.message);
+      continue;
+    }
+    succeeded = true;
+    for (const { channel, ...entry } of result.value) {
+      changed = mergeEntry(data.channels[channel], entry) || changed;
+    }
+  }
+  if (!succeeded) throw new Error('All history backfill sources failed');
+  data.backfilledAt = new Date().toISOString();
+  if (changed) sortHistory(data);
+  if (persist) await writeStore(HISTORY_STORE, data);
+  return data.backfilledAt;
+}
+
+/**
+ * Starts a backfill if one is due and none is running. Failures are logged
+ * and retried after BACKFILL_RETRY_MS.
+ *
+ * @param {boolean} persist - Whether to write the merged history to disk
+ * @returns {Promise<void>|null} The backfill in flight, or null if none is running
+ */
+function startBackfill(persist) {
+  if (!backfilling && Date.now() >= nextBackfillAt) {
+    backfilling = backfillHistory(persist)
+      .then(() => {
+        backfilled = true;
+        nextBackfillAt = Date.now() + BACKFILL_TTL_MS;
+      }, err => {
+        console.error('History backfill unavailable:', err.message);
+        nextBackfillAt = Date.now() + BACKFILL_RETRY_MS;
+      })
+      .finally(() => {
+        backfilling = null;
+      });
+  }
+  return backfilling;
+}
+
+/**
+ * Returns the release history, backfilling from upstream at most once per
+ * HISTORY_BACKFILL_TTL. Until a backfill has succeeded callers wait for it;
+ * later ones run in the background. A failed backfill still returns the
+ * recorded history. One-off callers such as the command-line client can
+ * leave the stored history untouched.
+ *
+ * @param {string} [channelKey] - History channel key; all channels if omitted
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.persist] - Whether a backfill writes the history to disk
+ * @returns {Promise<Object>} { channel, entries, backfilledAt } for one channel, or { channels, backfilledAt }
+ */
+export async function getHistory(channelKey, { persist = true } = {}) {
+  const data = await loadHistory();
+  const backfill = startBackfill(persist);
+  if (backfill && !backfilled) await backfill;
+  if (channelKey) {
+    return { channel: channelKey, entries: data.channels[channelKey] || [], backfilledAt: data.backfilledAt };
+  }
+  return { channels: data.channels, backfilledAt: data.backfilledAt };
+}
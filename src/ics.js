@@ -0,0 +1,576 @@
+// RFC 5545 (iCalendar) parsing for the release calendar feed.
+// Handles line unfolding, property parameters, text escapes, TZID-qualified and
+// floating times, all-day dates, RRULE/EXDATE expansion within a window and
+// RECURRENCE-ID overrides. Timezones are resolved with Intl, so VTIMEZONE
+// blocks are not needed as long as TZIDs are IANA names (as Google emits).
+// serializeCalendar() writes events back out as a subscribable feed.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INSTANCES = 2000;
+
+/**
+ * Unfolds continuation lines (CRLF followed by a space or tab) and splits the
+ * feed into logical content lines.
+ *
+ * @param {string} text - Raw ICS text
+ * @returns {Array<string>} Unfolded, non-empty content lines
+ */
+function unfoldLines(text) {
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+}
+
+/**
+ * Parses one content line into its name, parameters and raw value.
+ * Parameter values may be quoted and may themselves contain ':' or ';'.
+ *
+ * @param {string} line - Unfolded content line (e.g. "DTSTART;TZID=Europe/Berlin:20251014T090000")
+ * @returns {Object|null} { name, params, value } or null if the line is malformed
+ */
+export function parseContentLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  const parts = [];
+  let current = '';
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+      current += ch;
+    } else if (!inQuotes && (ch === ';' || ch === ':')) {
+      parts.push(current);
+      current = '';
+      if (ch === ':') break;
+    } else {
+      current += ch;
+    }
+  }
+  if (i >= line.length) return null;
+
+  const [name, ...rawParams] = parts;
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf('=');
+    if (eq === -1) continue;
+    const key = raw.slice(0, eq).toUpperCase();
+    params[key] = raw.slice(eq + 1).replace(/^"(.*)"$/, '$1');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * Reverses RFC 5545 TEXT escaping (\\n, \\N, \\, \\; and \\\\).
+ *
+ * @param {string} value - Escaped TEXT value
+ * @returns {string} Unescaped text
+ */
+export function unescapeText(value = '') {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Returns the UTC offset of a timezone at a given instant, in milliseconds.
+ *
+ * @param {number} utcMs - Instant in epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset such that local = utc + offset
+ */
+function timeZoneOffset(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a timezone to an epoch instant.
+ * Unknown timezones are treated as UTC.
+ *
+ * @param {Object} local - { year, month (1-12), day, hour, minute, second }
+ * @param {string|null} timeZone - IANA timezone name, or null for UTC
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToUtc(local, timeZone) {
+  const naive = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  if (!timeZone || /^(UTC|GMT|Z)$/i.test(timeZone)) return naive;
+  try {
+    const first = naive - timeZoneOffset(naive, timeZone);
+    // Re-check at the candidate instant so times next to a DST switch land right.
+    return naive - timeZoneOffset(first, timeZone);
+  } catch {
+    return naive;
+  }
+}
+
+/**
+ * Parses an ICS DATE or DATE-TIME value.
+ * Date-only values (or VALUE=DATE) are all-day and anchored at UTC midnight of
+ * that calendar date, independent of the server's timezone. Times ending in Z
+ * are UTC, times with a TZID parameter are converted from that zone, and
+ * floating times use the calendar's default timezone (X-WR-TIMEZONE) or UTC.
+ *
+ * @param {string} value - ICS date string (e.g. "20251004T120000Z" or "20251004")
+ * @param {Object} [params] - Property parameters (TZID, VALUE)
+ * @param {string|null} [defaultTz] - Timezone for floating times
+ * @returns {Object|null} { ms, allDay, local, timeZone } or null if unparseable
+ */
+export function parseIcsDate(value, params = {}, defaultTz = null) {
+  if (!value) return null;
+  const m = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  const local = {
+    year: Number(y), month: Number(mo), day: Number(d),
+    hour: Number(h || 0), minute: Number(mi || 0), second: Number(s || 0),
+  };
+  if (local.month < 1 || local.month > 12 || local.day < 1 || local.day > 31) return null;
+
+  if (!h || params.VALUE === 'DATE') {
+    return { ms: Date.UTC(local.year, local.month - 1, local.day), allDay: true, local, timeZone: null };
+  }
+  const timeZone = z ? null : (params.TZID || defaultTz || null);
+  return { ms: zonedTimeToUtc(local, timeZone), allDay: false, local, timeZone };
+}
+
+/**
+ * Parses an ICS DURATION value (e.g. "P1D", "PT1H30M", "-P1W").
+ *
+ * @param {string} value - Duration string
+ * @returns {number|null} Duration in milliseconds, or null if unparseable
+ */
+export function parseDuration(value) {
+  const m = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms = ((Number(w || 0) * 7 + Number(d || 0)) * DAY_MS) +
+    (Number(h || 0) * 3600 + Number(mi || 0) * 60 + Number(s || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parses an RRULE value into its parts.
+ *
+ * @param {string} value - RRULE value (e.g. "FREQ=WEEKLY;COUNT=4;BYDAY=TU")
+ * @returns {Object} Rule with freq, interval, count, until, byDay, byMonthDay, byMonth
+ */
+function parseRule(value) {
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+  for (const part of value.split(';')) {
+    const [key, val = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ': rule.freq = val.toUpperCase(); break;
+      case 'INTERVAL': rule.interval = Math.max(1, Number(val) || 1); break;
+      case 'COUNT': rule.count = Number(val) || null; break;
+      case 'UNTIL': rule.until = val; break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(v => {
+          const dm = v.toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          return dm ? { ordinal: dm[1] ? Number(dm[1]) : null, weekday: WEEKDAYS.indexOf(dm[2]) } : null;
+        }).filter(Boolean);
+        break;
+      case 'BYMONTHDAY': rule.byMonthDay = val.split(',').map(Number).filter(Boolean); break;
+      case 'BYMONTH': rule.byMonth = val.split(',').map(Number).filter(Boolean); break;
+      default: break;
+    }
+  }
+  return rule;
+}
+
+/**
+ * Lists the days of a month matching the rule's BYDAY/BYMONTHDAY parts.
+ * Falls back to the day-of-month of DTSTART when neither is given.
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {Object} rule - Parsed rule
+ * @param {number} startDay - Day-of-month of DTSTART
+ * @returns {Array<number>} Matching days of the month, ascending
+ */
+function monthDays(year, month, rule, startDay) {
+  const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const all = Array.from({ length }, (_, i) => i + 1);
+  const weekdayOf = day => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  let days = null;
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map(d => (d < 0 ? length + d + 1 : d)).filter(d => d >= 1 && d <= length);
+  }
+  if (rule.byDay.length) {
+    const matches = new Set();
+    for (const { ordinal, weekday } of rule.byDay) {
+      const hits = all.filter(day => weekdayOf(day) === weekday);
+      if (ordinal === null) hits.forEach(day => matches.add(day));
+      else {
+        const hit = ordinal > 0 ? hits[ordinal - 1] : hits[hits.length + ordinal];
+        if (hit) matches.add(hit);
+      }
+    }
+    days = days ? days.filter(d => matches.has(d)) : [...matches];
+  }
+  if (!days) days = startDay <= length ? [startDay] : [];
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Generates the local start dates of a recurring event, in order.
+ * Supports FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, BYDAY (with
+ * ordinals for monthly/yearly rules), BYMONTHDAY and BYMONTH. Each yielded
+ * value is a naive UTC timestamp of the local date at DTSTART's time of day.
+ *
+ * @param {Object} rule - Parsed rule
+ * @param {Object} local - Local DTSTART components
+ * @returns {Generator<number>} Naive local timestamps
+ */
+function* ruleDates(rule, local) {
+  const time = ((local.hour * 60 + local.minute) * 60 + local.second) * 1000;
+  const startNaive = Date.UTC(local.year, local.month - 1, local.day) + time;
+  const monthOk = date => !rule.byMonth.length || rule.byMonth.includes(date.getUTCMonth() + 1);
+
+  for (let period = 0; period < MAX_INSTANCES * 4; period++) {
+    let candidates = [];
+    if (rule.freq === 'DAILY') {
+      const naive = startNaive + period * rule.interval * DAY_MS;
+      const date = new Date(naive);
+      const dayOk = !rule.byDay.length || rule.byDay.some(d => d.weekday === date.getUTCDay());
+      const mdOk = !rule.byMonthDay.length || rule.byMonthDay.includes(date.getUTCDate());
+      if (monthOk(date) && dayOk && mdOk) candidates = [naive];
+    } else if (rule.freq === 'WEEKLY') {
+      const startDate = new Date(startNaive);
+      const mondayOffset = (startDate.getUTCDay() + 6) % 7;
+      const weekStart = startNaive - mondayOffset * DAY_MS + period * rule.interval * 7 * DAY_MS;
+      const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [startDate.getUTCDay()];
+      candidates = weekdays
+        .map(wd => weekStart + ((wd + 6) % 7) * DAY_MS)
+        .filter(naive => monthOk(new Date(naive)))
+        .sort((a, b) => a - b);
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = (local.month - 1) + period * rule.interval;
+      const year = local.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (!rule.byMonth.length || rule.byMonth.includes(month)) {
+        candidates = monthDays(year, month, rule, local.day).map(day => Date.UTC(year, month - 1, day) + time);
+      }
+    } else if (rule.freq === 'YEARLY') {
+      const year = local.year + period * rule.interval;
+      const months = rule.byMonth.length ? [...rule.byMonth].sort((a, b) => a - b) : [local.month];
+      for (const month of months) {
+        candidates.push(...monthDays(year, month, rule, local.day).map(day => Date.UTC(year, month - 1, day) + time));
+      }
+    } else {
+      return;
+    }
+    for (const naive of candidates) {
+      if (naive >= startNaive) yield naive;
+    }
+  }
+}
+
+/**
+ * Expands one master VEVENT into its occurrences within a window.
+ * COUNT is honoured from DTSTART even when earlier instances fall outside the
+ * window, as RFC 5545 requires.
+ *
+ * @param {Object} master - Parsed master event (internal form)
+ * @param {number} fromMs - Window start (epoch ms)
+ * @param {number} toMs - Window end (epoch ms)
+ * @param {string|null} defaultTz - Calendar default timezone
+ * @returns {Array<number>} Start instants (epoch ms) of each occurrence
+ */
+function expandRecurrence(master, fromMs, toMs, defaultTz) {
+  const rule = parseRule(master.rrule);
+  const { start } = master;
+  const untilParsed = rule.until ? parseIcsDate(rule.until, {}, start.timeZone || defaultTz) : null;
+  let untilMs = untilParsed ? untilParsed.ms : Infinity;
+  if (untilParsed && untilParsed.allDay && !start.allDay) {
+    untilMs = zonedTimeToUtc({ ...untilParsed.local, hour: 23, minute: 59, second: 59 }, start.timeZone);
+  }
+
+  const starts = [];
+  let produced = 0;
+  for (const naive of ruleDates(rule, start.local)) {
+    const d = new Date(naive);
+    const ms = start.allDay ? naive : zonedTimeToUtc({
+      year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+      hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(),
+    }, start.timeZone);
+    if (ms > untilMs || ms > toMs) break;
+    produced++;
+    if (rule.count && produced > rule.count) break;
+    if (ms >= fromMs) starts.push(ms);
+    if (starts.length >= MAX_INSTANCES) break;
+  }
+  return starts;
+}
+
+/**
+ * Converts an internal event into the public event shape.
+ *
+ * @param {Object} ev - Internal event
+ * @param {number} startMs - Start instant of this occurrence
+ * @param {number|null} recurrenceMs - Original start of the instance, for recurring events
+ * @returns {Object} Public event object
+ */
+function toPublicEvent(ev, startMs, recurrenceMs) {
+  const endMs = ev.durationMs !== null ? startMs + ev.durationMs : null;
+  return {
+    uid: ev.uid,
+    summary: ev.summary,
+    description: ev.description,
+    location: ev.location,
+    url: ev.url,
+    status: ev.status,
+    start: new Date(startMs).toISOString(),
+    end: endMs !== null ? new Date(endMs).toISOString() : null,
+    allDay: ev.start.allDay,
+    recurrenceId: recurrenceMs !== null ? new Date(recurrenceMs).toISOString() : null,
+  };
+}
+
+/**
+ * Parses an iCalendar feed into a sorted list of events.
+ * Recurring events are expanded within [from, to]; single events are kept
+ * regardless of the window. RECURRENCE-ID overrides replace the instance they
+ * target, cancelled events and instances are dropped, and repeated UIDs for the
+ * same start are collapsed into one event.
+ *
+ * @param {string} text - Raw ICS text
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string|number} [options.from] - Expansion window start (default: two years ago)
+ * @param {Date|string|number} [options.to] - Expansion window end (default: two years ahead)
+ * @returns {Array<Object>} Events with uid, summary, description, location, url, status, start, end, allDay and recurrenceId
+ */
+export function parseCalendar(text, options = {}) {
+  const now = Date.now();
+  const fromMs = options.from !== undefined ? new Date(options.from).getTime() : now - 2 * 365 * DAY_MS;
+  const toMs = options.to !== undefined ? new Date(options.to).getTime() : now + 2 * 365 * DAY_MS;
+
+  let defaultTz = null;
+  const rawEvents = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of unfoldLines(text || '')) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase());
+      if (prop.value.toUpperCase() === 'VEVENT') current = { props: [] };
+      continue;
+    }
+    if (prop.name === 'END') {
+      const ended = stack.pop();
+      if (ended === 'VEVENT' && current) {
+        rawEvents.push(current);
+        current = null;
+      }
+      continue;
+    }
+    const inside = stack[stack.length - 1];
+    if (inside === 'VCALENDAR' && prop.name === 'X-WR-TIMEZONE') defaultTz = prop.value.trim() || null;
+    if (inside === 'VEVENT' && current) current.props.push(prop);
+  }
+
+  const masters = [];
+  const overrides = [];
+  for (const raw of rawEvents) {
+    const ev = buildEvent(raw.props, defaultTz);
+    if (!ev) continue;
+    if (ev.recurrenceId) overrides.push(ev);
+    else masters.push(ev);
+  }
+
+  const byKey = new Map();
+  const keyOf = (uid, ms) => `${uid}|${ms}`;
+
+  for (const ev of masters) {
+    if (ev.rrule) {
+      const instances = new Set(expandRecurrence(ev, fromMs, toMs, defaultTz));
+      for (const ms of ev.rdates) if (ms >= fromMs && ms <= toMs) instances.add(ms);
+      for (const ms of instances) {
+        if (ev.exdates.has(ms)) continue;
+        byKey.set(keyOf(ev.uid, ms), { ev, startMs: ms, recurrenceMs: ms });
+      }
+    } else {
+      byKey.set(keyOf(ev.uid, ev.start.ms), { ev, startMs: ev.start.ms, recurrenceMs: null });
+    }
+  }
+
+  for (const ov of overrides) {
+    const key = keyOf(ov.uid, ov.recurrenceId.ms);
+    byKey.delete(key);
+    byKey.set(key, { ev: ov, startMs: ov.start.ms, recurrenceMs: ov.recurrenceId.ms });
+  }
+
+  const events = [];
+  for (const { ev, startMs, recurrenceMs } of byKey.values()) {
+    if (ev.status === 'CANCELLED') continue;
+    events.push(toPublicEvent(ev, startMs, recurrenceMs));
+  }
+  events.sort((a, b) => a.start.localeCompare(b.start));
+  return events;
+}
+
+/**
+ * Builds the internal representation of one VEVENT from its properties.
+ *
+ * @param {Array<Object>} props - Parsed content lines of the VEVENT
+ * @param {string|null} defaultTz - Calendar default timezone
+ * @returns {Object|null} Internal event, or null if it has no usable DTSTART
+ */
+function buildEvent(props, defaultTz) {
+  const ev = {
+    uid: null, summary: '', description: '', location: '', url: null, status: null,
+    start: null, durationMs: null, rrule: null, rdates: [], exdates: new Set(), recurrenceId: null,
+  };
+  let end = null;
+  let duration = null;
+
+  for (const { name, params, value } of props) {
+    switch (name) {
+      case 'UID': ev.uid = value.trim(); break;
+      case 'SUMMARY': ev.summary = unescapeText(value); break;
+      case 'DESCRIPTION': ev.description = unescapeText(value); break;
+      case 'LOCATION': ev.location = unescapeText(value); break;
+      case 'URL': ev.url = value.trim() || null; break;
+      case 'STATUS': ev.status = value.trim().toUpperCase() || null; break;
+      case 'DTSTART': ev.start = parseIcsDate(value, params, defaultTz); break;
+      case 'DTEND': end = parseIcsDate(value, params, defaultTz); break;
+      case 'DURATION': duration = parseDuration(value.trim()); break;
+      case 'RRULE': ev.rrule = value; break;
+      case 'RDATE':
+        for (const v of value.split(',')) {
+          const parsed = parseIcsDate(v, params, defaultTz);
+          if (parsed) ev.rdates.push(parsed.ms);
+        }
+        break;
+      case 'EXDATE':
+        for (const v of value.split(',')) {
+          const parsed = parseIcsDate(v, params, defaultTz);
+          if (parsed) ev.exdates.add(parsed.ms);
+        }
+        break;
+      case 'RECURRENCE-ID': ev.recurrenceId = parseIcsDate(value, params, defaultTz); break;
+      default: break;
+    }
+  }
+
+  if (!ev.start) return null;
+  if (!ev.uid) ev.uid = `${ev.start.ms}-${ev.summary}`;
+  if (end) ev.durationMs = end.ms - ev.start.ms;
+  else if (duration !== null) ev.durationMs = duration;
+  else if (ev.start.allDay) ev.durationMs = DAY_MS;
+  return ev;
+}
+
+/**
+ * Applies RFC 5545 TEXT escaping (backslash, semicolon, comma and newlines).
+ *
+ * @param {string} value - Plain text
+ * @returns {string} Escaped TEXT value
+ */
+export function escapeText(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into chunks of at most 75 octets, continuing each
+ * chunk on a new line that starts with a space. Multi-byte characters are
+ * never split.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+export function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines lose one octet to the leading space.
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += ch;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Formats an instant as an iCalendar DATE or UTC DATE-TIME value.
+ *
+ * @param {string|number|Date} value - ISO string, epoch milliseconds or Date
+ * @param {boolean} [allDay] - Format as a DATE (all-day events are anchored at UTC midnight)
+ * @returns {string} e.g. "20251014" or "20251014T090000Z"
+ */
+export function formatIcsDate(value, allDay = false) {
+  const iso = new Date(value).toISOString();
+  const date = iso.slice(0, 10).replace(/-/g, '');
+  return allDay ? date : `${date}T${iso.slice(11, 19).replace(/:/g, '')}Z`;
+}
+
+/**
+ * Serializes events into an iCalendar feed.
+ *
+ * @param {Array<Object>} events - Events with uid, summary, start, optional end, allDay, description and url
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar name shown by clients (X-WR-CALNAME)
+ * @param {string} [options.description] - Calendar description (X-WR-CALDESC)
+ * @param {string} [options.alarm] - VALARM trigger duration, e.g. "-P1D"; omit for no reminder
+ * @param {Date} [options.stamp] - DTSTAMP for every event (default: now)
+ * @returns {string} ICS text with CRLF line endings
+ */
+export function serializeCalendar(events, options = {}) {
+  const stamp = formatIcsDate(options.stamp || new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Thunderbird Train Tracker//Milestones//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  if (options.description) lines.push(`X-WR-CALDESC:${escapeText(options.description)}`);
+
+  for (const event of events || []) {
+    const dateParam = event.allDay ? ';VALUE=DATE' : '';
+    const end = event.end || (event.allDay ? Date.parse(event.start) + DAY_MS : null);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART${dateParam}:${formatIcsDate(event.start, event.allDay)}`,
+    );
+    if (end) lines.push(`DTEND${dateParam}:${formatIcsDate(end, event.allDay)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.allDay) lines.push('TRANSP:TRANSPARENT');
+    if (options.alarm) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${options.alarm}`,
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        'END:VALARM',
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,116 @@
+// Parser for HTTP directory listings, such as archive.mozilla.org's table
+// listings and Apache/nginx autoindex pages. Every linked entry is returned
+// with its size, last-modified time and absolute URL, and build artifacts are
+// classified (APK per ABI, AAB, checksum, signature).
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+const ABIS = ['arm64-v8a', 'armeabi-v7a', 'x86_64', 'x86', 'universal'];
+
+/**
+ * Decodes the few HTML entities listings use in names.
+ *
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses a listing timestamp ("21-Oct-2025 04:12", "2025-10-21 04:12:05").
+ * Listings give no zone; archive.mozilla.org and most servers use UTC.
+ *
+ * @param {string} text - Row text following the link
+ * @returns {string|null} ISO timestamp, or null if the row has none
+ */
+function parseListingDate(text) {
+  let m = text.match(/\b(\d{1,2})-([A-Za-z]{3})-(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (m && m[2].toLowerCase() in MONTHS) {
+    return new Date(Date.UTC(Number(m[3]), MONTHS[m[2].toLowerCase()], Number(m[1]), Number(m[4]), Number(m[5]), Number(m[6] || 0))).toISOString();
+  }
+  m = text.match(/\b(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (m) {
+    return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6] || 0))).toISOString();
+  }
+  return null;
+}
+
+/**
+ * Parses a listing size ("38M", "1.2K", "97") into bytes. Suffixed sizes
+ * are rounded by the server, so the result is approximate.
+ *
+ * @param {string} text - Row text following the link, with the date removed
+ * @returns {number|null} Size in bytes, or null if the row has none
+ */
+function parseListingSize(text) {
+  const m = text.match(/(?:^|\s)(\d+(?:\.\d+)?)\s?([KMGT]?)i?B?(?=\s|$)/i);
+  if (!m) return null;
+  return Math.round(Number(m[1]) * SIZE_UNITS[m[2].toLowerCase()]);
+}
+
+/**
+ * Classifies a build artifact by file name.
+ *
+ * @param {string} name - File name
+ * @returns {Object} { kind: 'apk'|'aab'|'checksum'|'signature'|'other', abi }
+ */
+export function classifyArtifact(name) {
+  const lower = name.toLowerCase();
+  let kind = 'other';
+  if (/\.(sha256|sha512|md5|checksums?)$/.test(lower)) kind = 'checksum';
+  else if (/\.(asc|sig)$/.test(lower)) kind = 'signature';
+  else if (lower.endsWith('.apk')) kind = 'apk';
+  else if (lower.endsWith('.aab')) kind = 'aab';
+  // x86_64 is listed before x86 so the longer name wins.
+  const abi = ABIS.find(a => lower.includes(a)) || null;
+  return { kind, abi };
+}
+
+/**
+ * Parses a directory listing into its entries. Parent directory links are
+ * skipped.
+ *
+ * @param {string} html - Listing HTML
+ * @param {string} baseUrl - URL of the listing, used to resolve links
+ * @returns {Array<Object>} Entries with name, url, type ('file'|'dir'), size (bytes or null), lastModified (ISO or null), kind and abi
+ */
+export function parseDirectoryListing(html, baseUrl) {
+  const chunks = /<tr[\s>]/i.test(html) ? html.split(/<tr[\s>]/i) : html.split(/\r?\n/);
+  const entries = [];
+  const seen = new Set();
+
+  for (const chunk of chunks) {
+    const link = chunk.match(/<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/i);
+    if (!link) continue;
+    const href = decodeEntities(link[1]);
+    const label = decodeEntities(link[2].replace(/<[^>]*>/g, '')).trim();
+    if (label === '..' || /^parent directory$/i.test(label) || href.startsWith('?')) continue;
+
+    let url;
+    let name;
+    try {
+      url = new URL(href, baseUrl).href;
+      name = decodeURIComponent(url.replace(/\/$/, '').split('/').pop());
+    } catch {
+      // A malformed link (e.g. a stray "%") loses its entry, not the listing.
+      continue;
+    }
+    if (seen.has(url) || url === new URL('..', baseUrl).href) continue;
+    seen.add(url);
+
+    const type = href.endsWith('/') ? 'dir' : 'file';
+    const rest = decodeEntities(chunk.slice(link.index + link[0].length).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ');
+    const lastModified = parseListingDate(rest);
+    const size = type === 'file'
+      ? parseListingSize(rest.replace(/\b\d{1,2}-[A-Za-z]{3}-\d{4}\s+[\d:]+|\b\d{4}-\d{2}-\d{2}[ T][\d:]+/, ' '))
+      : null;
+    entries.push({ name, url, type, size, lastModified, ...(type === 'file' ? classifyArtifact(name) : { kind: 'dir', abi: null }) });
+  }
+  return entries;
+}
@@ -0,0 +1,134 @@
+// Minimal Markdown renderer for GitHub release bodies.
+// Covers what release notes use: ATX headings, bullet and numbered lists,
+// fenced code, block quotes, paragraphs, and inline code, links, bare URLs,
+// bold and italics. Raw HTML in the source is escaped, not rendered; the
+// result is still meant to be passed through sanitizeHtml().
+
+import { escapeHtml, safeUrl } from "./sanitize.js";
+
+/**
+ * Renders inline Markdown in one line of text.
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  // Code spans are cut out first so their contents stay literal.
+  const codes = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codes.push(`<code>${code}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  const links = [];
+  const keepLink = (label, href) => {
+    const url = safeUrl(href);
+    if (!url) return label;
+    links.push(`<a href="${escapeHtml(url)}">${label}</a>`);
+    return `\u0001${links.length - 1}\u0001`;
+  };
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => keepLink(label, href))
+    .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,;:!?)]/g, url => keepLink(url, url))
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+  return html
+    .replace(/\u0001(\d+)\u0001/g, (_, i) => links[i])
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => codes[i]);
+}
+
+/**
+ * Renders a Markdown document to HTML.
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) out.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) out.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+  const flushQuote = () => {
+    if (quote.length) out.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+    quote = [];
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i]);
+      out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      flushList();
+      quote.push(line.replace(/^\s*>\s?/, ''));
+      continue;
+    }
+    flushQuote();
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      // Headings start at h3 to sit under the modal title.
+      const level = Math.min(6, heading[1].length + 2);
+      out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      continue;
+    }
+
+    const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const tag = item[1] ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(item[3]);
+      continue;
+    }
+
+    if (list && /^\s+\S/.test(line)) {
+      // Indented continuation of the previous list item.
+      list.items[list.items.length - 1] += ' ' + line.trim();
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
+  }
+  flush();
+  return out.join('\n');
+}
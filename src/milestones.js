@@ -0,0 +1,296 @@
+// Turns raw calendar events into typed milestones so neither the server nor
+// the browser has to pattern-match summaries on their own.
+// A milestone records which platform and major version it belongs to, what
+// kind of milestone it is (merge day, beta N, release, ESR dot release, ...)
+// and when it happens.
+
+// Kind detection, checked in order; the first match wins.
+const KIND_RULES = [
+  { kind: 'string-freeze', test: /string\s*freeze/i },
+  { kind: 'soft-freeze', test: /soft\s*(code\s*)?freeze/i },
+  { kind: 'code-freeze', test: /(code|feature)\s*freeze/i },
+  { kind: 'merge-day', test: /\bmerge\b/i },
+  { kind: 'release-candidate', test: /\brc\d*\b|release\s+candidate/i },
+];
+
+const KIND_LABELS = {
+  'string-freeze': 'String freeze',
+  'soft-freeze': 'Soft code freeze',
+  'code-freeze': 'Code freeze',
+  'merge-day': 'Merge day',
+  'release-candidate': 'Release candidate',
+  nightly: 'Nightly',
+  beta: 'Beta',
+  release: 'Release',
+  'dot-release': 'Dot release',
+  'esr-release': 'ESR release',
+  other: 'Milestone',
+};
+
+// Major versions with optional minor/patch and a phase suffix, e.g. 145,
+// 145.0b3, 140.4.1esr, 12.0rc1. Four-digit years never match.
+const VERSION_RE = /\b(\d{1,3})(?:\.(\d+))?(?:\.(\d+))?(a\d+|b\d+|esr|rc\d*)?\b/gi;
+
+/**
+ * Checks if a calendar event summary is related to an Android milestone.
+ *
+ * @param {string} summary - The event summary text to check
+ * @returns {boolean} True if the summary indicates an Android milestone
+ */
+export function isAndroidMilestoneSummary(summary = "") {
+  if (!summary) return false;
+  const text = summary.toString();
+  return /^(TfA|TFA)\b/i.test(text) ||
+    /Thunderbird\s*(for\s+)?Android/i.test(text) ||
+    /\bTbA\b/i.test(text);
+}
+
+/**
+ * Extracts every version token from a summary.
+ *
+ * @param {string} summary - Event summary
+ * @returns {Array<Object>} Tokens with major, version (as written) and suffix
+ */
+function findVersions(summary) {
+  const found = [];
+  for (const m of summary.matchAll(VERSION_RE)) {
+    const [text, major, minor, , suffix] = m;
+    // A bare number only counts as a version when it looks like a desktop
+    // major or follows a product name; this skips things like "Beta 3".
+    if (minor === undefined && !suffix) {
+      const before = summary.slice(0, m.index);
+      if (Number(major) < 20 && !/(thunderbird|tfa|tba|android)\s*$/i.test(before)) continue;
+    }
+    found.push({ major, version: text, suffix: suffix ? suffix.toLowerCase() : '' });
+  }
+  return found;
+}
+
+/**
+ * Determines the milestone kind and beta number for a summary.
+ *
+ * @param {string} summary - Event summary
+ * @param {Object|null} token - First version token found in the summary
+ * @returns {Object} { kind, beta } where beta is the beta build number or null
+ */
+function detectKind(summary, token) {
+  for (const rule of KIND_RULES) {
+    if (rule.test.test(summary)) return { kind: rule.kind, beta: null };
+  }
+  const suffix = token ? token.suffix : '';
+  if (suffix.startsWith('rc')) return { kind: 'release-candidate', beta: null };
+  const betaMatch = suffix.match(/^b(\d+)$/) || summary.match(/\bbeta\s*(\d+)\b/i);
+  if (betaMatch) return { kind: 'beta', beta: Number(betaMatch[1]) };
+  if (suffix.startsWith('a') || /\bnightly\b/i.test(summary)) return { kind: 'nightly', beta: null };
+  if (suffix === 'esr' || /\besr\b/i.test(summary)) return { kind: 'esr-release', beta: null };
+  if (token && /^\d+\.\d+\.\d+/.test(token.version)) return { kind: 'dot-release', beta: null };
+  if (/\b(release|ship|launch)/i.test(summary) || (token && /^\d+\.0$/.test(token.version))) {
+    return { kind: 'release', beta: null };
+  }
+  return { kind: 'other', beta: null };
+}
+
+/**
+ * Builds a short human-readable label for a milestone.
+ *
+ * @param {string} kind - Milestone kind
+ * @param {number|null} beta - Beta build number
+ * @param {string|null} version - Version as written in the summary
+ * @returns {string} Label such as "Beta 3" or "ESR release 140.4.0esr"
+ */
+function labelFor(kind, beta, version) {
+  if (kind === 'beta' && beta !== null) return `Beta ${beta}`;
+  if ((kind === 'esr-release' || kind === 'dot-release') && version) return `${KIND_LABELS[kind]} ${version}`;
+  return KIND_LABELS[kind];
+}
+
+/**
+ * Classifies a calendar event into typed milestones.
+ * Most events yield a single milestone for the first version they mention;
+ * merge days yield one per major they name (e.g. "Merge day: 146 Nightly,
+ * 145 Beta"). Events that mention no version are ignored.
+ *
+ * @param {Object} event - Parsed calendar event
+ * @returns {Array<Object>} Milestones with platform, major, version, kind, beta, label, date, end, allDay, summary and uid
+ */
+export function classifyEvent(event) {
+  const summary = event?.summary || '';
+  if (!summary || !event.start) return [];
+  const tokens = findVersions(summary);
+  if (tokens.length === 0) return [];
+
+  const platform = isAndroidMilestoneSummary(summary) ? 'android' : 'desktop';
+  const { kind, beta } = detectKind(summary, tokens[0]);
+  const targets = kind === 'merge-day' ? tokens : tokens.slice(0, 1);
+  const seen = new Set();
+
+  const milestones = [];
+  for (const token of targets) {
+    if (seen.has(token.major)) continue;
+    seen.add(token.major);
+    const exact = /\./.test(token.version) || token.suffix ? token.version : null;
+    milestones.push({
+      platform,
+      major: token.major,
+      version: exact,
+      kind,
+      beta,
+      label: labelFor(kind, beta, exact),
+      date: event.start,
+      end: event.end || null,
+      allDay: Boolean(event.allDay),
+      summary,
+      uid: event.uid || null,
+    });
+  }
+  return milestones;
+}
+
+/**
+ * Groups all classified milestones into per-platform, per-major timelines.
+ *
+ * @param {Array<Object>} events - Parsed calendar events
+ * @returns {Object} { desktop: { [major]: milestones[] }, android: { [major]: milestones[] } }, each sorted by date
+ */
+export function buildTimelines(events) {
+  const timelines = { desktop: {}, android: {} };
+  for (const event of events || []) {
+    for (const milestone of classifyEvent(event)) {
+      const byMajor = timelines[milestone.platform];
+      if (!byMajor[milestone.major]) byMajor[milestone.major] = [];
+      byMajor[milestone.major].push(milestone);
+    }
+  }
+  for (const byMajor of Object.values(timelines)) {
+    for (const list of Object.values(byMajor)) {
+      list.sort((a, b) => a.date.localeCompare(b.date));
+    }
+  }
+  return timelines;
+}
+
+/**
+ * Extracts the major version number from a version string.
+ *
+ * @param {string} version - Version string (e.g., "132.0b3")
+ * @returns {string|null} The major version number or null if not found
+ */
+export function extractMajor(version) {
+  if (!version) return null;
+  const m = version.match(/(\d+)/);
+  return m ? m[1] : null;
+}
+
+// Which milestone each channel counts down to. `majorOffset` picks the train
+// relative to the channel's current major; `kinds` are tried in order.
+const COUNTDOWN_TARGETS = {
+  desktop: {
+    release: { majorOffset: 1, kinds: ['release'], name: 'Thunderbird' },
+    beta: { majorOffset: 0, kinds: ['beta', 'release-candidate', 'release'], name: 'Thunderbird Beta' },
+    daily: { majorOffset: 0, kinds: ['merge-day'], name: 'Thunderbird Daily' },
+    esr_current: { majorOffset: 0, kinds: ['esr-release'], name: 'Thunderbird ESR' },
+    esr_next: { majorOffset: 0, kinds: ['esr-release'], name: 'Thunderbird ESR' },
+  },
+  android: {
+    release: { majorOffset: 1, kinds: ['release'], name: 'Thunderbird for Android' },
+    beta: { majorOffset: 0, kinds: ['beta', 'release-candidate', 'release'], name: 'Thunderbird for Android Beta' },
+    daily: { majorOffset: 0, kinds: ['merge-day'], name: 'Thunderbird for Android Daily' },
+  },
+};
+
+/**
+ * Finds the next upcoming milestone each channel is heading for: the next
+ * major release for release channels, the next beta build (or the release)
+ * for beta, the next merge day for daily and the next dot release for ESR.
+ * Milestones later today are still included so clients can show a
+ * "released today" state. Nothing is hardcoded; a channel without a
+ * matching calendar entry simply has no countdown.
+ *
+ * @param {Object} channels - Channel records from getStatus() (with major)
+ * @param {Object} timelines - Timelines from buildTimelines()
+ * @param {Date} [now] - Reference time
+ * @returns {Array<Object>} Countdowns with platform, channel, title, version, kind, label, date, allDay and summary, soonest first
+ */
+export function computeCountdowns(channels, timelines, now = new Date()) {
+  const todayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+  const tomorrowStart = new Date(Date.parse(todayStart) + 24 * 60 * 60 * 1000).toISOString();
+  const countdowns = [];
+
+  for (const [platform, targets] of Object.entries(COUNTDOWN_TARGETS)) {
+    for (const [channel, target] of Object.entries(targets)) {
+      const record = channels?.[platform]?.[channel];
+      if (!record || !record.major) continue;
+      const major = String(Number(record.major) + target.majorOffset);
+      const upcoming = (timelines?.[platform]?.[major] || []).filter(m => m.date >= todayStart);
+
+      // A milestone of the channel's own version dated today wins, so the
+      // day a release ships still shows as "released today" after
+      // product-details has already moved the channel to it.
+      let next = (timelines?.[platform]?.[record.major] || []).find(m =>
+        m.date >= todayStart && m.date < tomorrowStart && target.kinds.includes(m.kind) &&
+        (!m.version || m.version === record.version));
+      for (const kind of target.kinds) {
+        if (next) break;
+        next = upcoming.find(m => m.kind === kind && m.version !== record.version);
+      }
+      if (!next) continue;
+
+      const trainMajor = next.major;
+      const version = next.version || (next.kind === 'merge-day' ? trainMajor : `${trainMajor}.0`);
+      countdowns.push({
+        platform,
+        channel,
+        title: `${target.name} ${version}`,
+        version,
+        kind: next.kind,
+        label: next.label,
+        date: next.date,
+        allDay: next.allDay,
+        summary: next.summary,
+      });
+    }
+  }
+
+  countdowns.sort((a, b) => a.date.localeCompare(b.date));
+  return countdowns;
+}
+
+// Milestone kinds that matter to someone following a channel, used to filter
+// timelines (e.g. for per-channel calendar subscriptions).
+export const CHANNEL_KINDS = {
+  release: ['release', 'release-candidate', 'dot-release'],
+  beta: ['beta', 'release-candidate', 'merge-day'],
+  daily: ['nightly', 'merge-day', 'string-freeze', 'soft-freeze', 'code-freeze'],
+  esr: ['esr-release'],
+};
+
+export const MILESTONE_KINDS = Object.keys(KIND_LABELS);
+
+/**
+ * Flattens timelines into one list of milestones, filtered by platform,
+ * channel and kind. Filters left empty match everything; `kinds` and the
+ * channel's kinds must both match when both are given.
+ *
+ * @param {Object} timelines - Timelines from buildTimelines()
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.platform] - "desktop" or "android"
+ * @param {string} [filter.channel] - Key of CHANNEL_KINDS (e.g. "esr")
+ * @param {Array<string>} [filter.kinds] - Milestone kinds to keep
+ * @returns {Array<Object>} Milestones sorted by date
+ */
+export function selectMilestones(timelines, { platform, channel, kinds } = {}) {
+  const channelKinds = channel ? CHANNEL_KINDS[channel] || [] : null;
+  const selected = [];
+  for (const [name, byMajor] of Object.entries(timelines || {})) {
+    if (platform && name !== platform) continue;
+    for (const milestones of Object.values(byMajor || {})) {
+      for (const m of milestones) {
+        if (channelKinds && !channelKinds.includes(m.kind)) continue;
+        if (kinds?.length && !kinds.includes(m.kind)) continue;
+        selected.push(m);
+      }
+    }
+  }
+  selected.sort((a, b) => a.date.localeCompare(b.date));
+  return selected;
+}
@@ -0,0 +1,154 @@
+// Release notes for the current version of each channel: the thunderbird.net
+// release notes page for desktop release, beta and ESR, and the GitHub
+// release body for Android tags. Notes are sanitized to a small HTML subset
+// before they reach the page and cached per version.
+
+import { cached, evictCache } from './cache.js';
+import { sourceConfig } from './config.js';
+import { fetchAllPages } from './github.js';
+import { renderMarkdown } from './markdown.js';
+import { sanitizeHtml } from './sanitize.js';
+import { fetchText } from './sources/http.js';
+
+// Notes are edited after a release ships, so they are refetched every few
+// hours (NOTES_TTL, seconds).
+const NOTES_TTL_MS = (Number(process.env.NOTES_TTL) || 6 * 60 * 60) * 1000;
+// Notes of this many versions stay cached (NOTES_CACHE_SIZE); every release
+// adds versions, so the least recently read ones are dropped.
+const NOTES_CACHE_SIZE = Number(process.env.NOTES_CACHE_SIZE) || 20;
+export const NOTES_CACHE_PREFIX = 'notes:';
+// Cache keys of the cached notes, least recently read first.
+const notesKeys = new Set();
+// thunderbird.net notes page; {version} is the notes version (e.g. "145.0beta").
+const DESKTOP_NOTES_URL = process.env.DESKTOP_NOTES_URL || 'https://www.thunderbird.net/en-US/thunderbird/{version}/releasenotes/';
+// GitHub release page of an Android tag, which carries both the notes and the APKs.
+const ANDROID_RELEASE_URL = process.env.ANDROID_RELEASE_URL || 'https://github.com/thunderbird/thunderbird-android/releases/tag/{tag}';
+
+/**
+ * Maps a desktop version to the version its notes are published under: all
+ * betas of a major share one "beta" page.
+ *
+ * @param {string} version - e.g. "145.0b3", "144.0.1" or "140.4.0esr"
+ * @returns {string} e.g. "145.0beta", "144.0.1" or "140.4.0esr"
+ */
+export function desktopNotesVersion(version) {
+  return String(version).replace(/^(\d+\.\d+)b\d+$/, '$1beta');
+}
+
+/**
+ * Returns the release notes page of a channel's current version.
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - Channel key (e.g. "esr_current")
+ * @param {Object} record - Channel record from the status
+ * @returns {string|null} URL, or null if the channel has no notes (nightlies, untagged Android builds)
+ */
+export function notesUrlFor(platform, channel, record) {
+  if (!record?.version || channel === 'daily') return null;
+  if (platform === 'android') return record.notesUrl || null;
+  if (platform !== 'desktop') return null;
+  return DESKTOP_NOTES_URL.replace('{version}', encodeURIComponent(desktopNotesVersion(record.version)));
+}
+
+/**
+ * Returns the notes and builds pages of any shipped version, for versions
+ * that are no longer on a channel. Desktop builds are the archive's release
+ * directory; Android builds are attached to the GitHub release of the tag.
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - History channel key (e.g. "desktop.beta")
+ * @param {string} version - e.g. "145.0b3" or "13.0"
+ * @returns {Object} { notesUrl, buildsUrl }, each null if the version has none (nightlies)
+ */
+export function versionLinks(platform, channel, version) {
+  if (!version || channel.endsWith('.daily')) return { notesUrl: null, buildsUrl: null };
+  if (platform === 'android') {
+    const url = ANDROID_RELEASE_URL.replace('{tag}', `THUNDERBIRD_${version.replace(/\./g, '_')}`);
+    return { notesUrl: url, buildsUrl: url };
+  }
+  const archiveUrl = sourceConfig('desktopBuilds')?.url;
+  return {
+    notesUrl: notesUrlFor('desktop', channel, { version }),
+    buildsUrl: archiveUrl ? new URL(`releases/${encodeURIComponent(version)}/`, archiveUrl).href : null,
+  };
+}
+
+/**
+ * Cuts the page chrome off a notes page, keeping <main> (or <body>).
+ *
+ * @param {string} html - Full page HTML
+ * @returns {string} Content HTML
+ */
+function extractContent(html) {
+  const main = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) || html.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i);
+  return main ? main[1] : html;
+}
+
+/**
+ * Fetches and sanitizes a thunderbird.net release notes page.
+ *
+ * @param {string} url - Notes page URL
+ * @returns {Promise<string>} Sanitized HTML
+ * @throws {Error} If the page cannot be fetched or has no content
+ */
+async function fetchDesktopNotes(url) {
+  const html = sanitizeHtml(extractContent(await fetchText(url, 'release notes')), url);
+  if (!html) throw new Error(`Release notes page ${url} has no content`);
+  return html;
+}
+
+/**
+ * Renders the GitHub release body of an Android tag. The releases list is
+ * revalidated with ETags, so this costs no rate limit while unchanged.
+ *
+ * @param {string} tag - Tag name, e.g. "THUNDERBIRD_13_0"
+ * @returns {Promise<string>} Sanitized HTML
+ * @throws {Error} If the releases cannot be fetched or the tag has no release
+ */
+async function fetchAndroidNotes(tag) {
+  const releasesUrl = sourceConfig('androidTags')?.releasesUrl;
+  if (!releasesUrl) throw new Error('No GitHub releases URL configured');
+  const release = (await fetchAllPages(releasesUrl)).find(r => r.tag_name === tag);
+  if (!release) throw new Error(`No GitHub release for ${tag}`);
+  return sanitizeHtml(renderMarkdown(release.body || ''), release.html_url);
+}
+
+/**
+ * Marks a notes cache key as just read and evicts the least recently read
+ * notes beyond NOTES_CACHE_SIZE.
+ *
+ * @param {string} key - Notes cache key
+ */
+function touchNotesKey(key) {
+  notesKeys.delete(key);
+  notesKeys.add(key);
+  for (const oldest of notesKeys) {
+    if (notesKeys.size <= NOTES_CACHE_SIZE) break;
+    notesKeys.delete(oldest);
+    evictCache(oldest);
+  }
+}
+
+/**
+ * Returns the release notes of a channel's current version, cached per
+ * version, for the NOTES_CACHE_SIZE most recently read versions.
+ *
+ * @param {string} platform - "desktop" or "android"
+ * @param {string} channel - Channel key
+ * @param {Object} record - Channel record from the status
+ * @returns {Promise<Object|null>} { platform, channel, version, url, html, fetchedAt }, or null if the channel has no notes
+ * @throws {Error} If the notes cannot be fetched
+ */
+export async function getReleaseNotes(platform, channel, record) {
+  const url = notesUrlFor(platform, channel, record);
+  if (!url) return null;
+  const loader = platform === 'android'
+    ? () => fetchAndroidNotes(record.tag)
+    : () => fetchDesktopNotes(url);
+  const notesVersion = platform === 'desktop' ? desktopNotesVersion(record.version) : record.version;
+  const key = `${NOTES_CACHE_PREFIX}${platform}:${notesVersion}`;
+  // Counted before loading: a failed load also leaves an entry behind.
+  touchNotesKey(key);
+  const entry = await cached(key, NOTES_TTL_MS, loader);
+  return { platform, channel, version: record.version, url, html: entry.value, fetchedAt: entry.fetchedAt };
+}
@@ -0,0 +1,203 @@
+// Delivers channel version changes to configured notification sinks:
+// generic JSON webhooks, chat incoming webhooks (Slack, Matrix hookshot and
+// compatible services, which accept a `text` payload) and SMTP email.
+// Deliveries are retried with backoff, and every delivered change id is
+// logged per sink so a change is never sent to the same sink twice, even
+// across restarts.
+
+import crypto from "crypto";
+import { readStore, writeStore } from "./store.js";
+import { sendMail } from "./smtp.js";
+
+const DELIVERY_STORE = 'notifications';
+const MAX_LOGGED_IDS = 500;
+const MAX_QUEUED = 50;
+const RETRY_ATTEMPTS = Number(process.env.NOTIFY_RETRIES) || 3;
+const RETRY_BASE_MS = 2000;
+// A hung webhook must not stall the other deliveries (NOTIFY_TIMEOUT, seconds).
+const WEBHOOK_TIMEOUT_MS = (Number(process.env.NOTIFY_TIMEOUT) || 10) * 1000;
+
+/**
+ * Splits a comma-separated environment variable into trimmed values.
+ *
+ * @param {string} name - Environment variable name
+ * @returns {Array<string>} Non-empty values
+ */
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Builds a stable, non-secret id for a sink. Webhook URLs usually embed
+ * tokens, so only a hash of them ends up in the delivery log.
+ *
+ * @param {string} type - Sink type
+ * @param {string} target - URL or recipient list
+ * @returns {string} Sink id such as "webhook:1a2b3c4d5e6f"
+ */
+function sinkId(type, target) {
+  return `${type}:${crypto.createHash('sha256').update(target).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * POSTs a JSON payload and fails on non-2xx responses.
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails or times out
+ */
+async function postJson(url, payload) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'thunderbird-version-tracker' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error('Webhook responded ' + res.status);
+}
+
+/**
+ * Reads sink configuration from the environment. A sink's
+ * deliver(changes, markSent) may call markSent(change) as each change gets
+ * through, so a retry only resends what is still missing; otherwise the
+ * whole batch counts as sent once deliver() resolves.
+ * - NOTIFY_WEBHOOK_URLS: generic webhooks, one JSON POST per change
+ * - NOTIFY_CHAT_WEBHOOK_URLS: Slack/Matrix-style webhooks, one `{ text }` POST per batch
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_REQUIRE_TLS, SMTP_USER, SMTP_PASS,
+ *   NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO: one email per batch
+ *
+ * @returns {Array<Object>} Sinks with id, type and deliver(changes, markSent)
+ */
+export function configuredSinks() {
+  const sinks = [];
+
+  for (const url of listFromEnv('NOTIFY_WEBHOOK_URLS')) {
+    sinks.push({
+      id: sinkId('webhook', url),
+      type: 'webhook',
+      async deliver(changes, markSent) {
+        for (const change of changes) {
+          await postJson(url, { type: 'version-change', ...change });
+          markSent(change);
+        }
+      },
+    });
+  }
+
+  for (const url of listFromEnv('NOTIFY_CHAT_WEBHOOK_URLS')) {
+    sinks.push({
+      id: sinkId('chat', url),
+      type: 'chat',
+      deliver: changes => postJson(url, { text: changes.map(c => c.message).join('\n') }),
+    });
+  }
+
+  const recipients = listFromEnv('NOTIFY_EMAIL_TO');
+  if (process.env.SMTP_HOST && recipients.length) {
+    sinks.push({
+      id: sinkId('email', recipients.join(',')),
+      type: 'email',
+      deliver: changes => sendMail({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        requireTLS: process.env.SMTP_REQUIRE_TLS !== 'false',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.NOTIFY_EMAIL_FROM || 'thunderbird-trains@localhost',
+        to: recipients,
+        subject: changes.length === 1
+          ? `Thunderbird trains: ${changes[0].message}`
+          : `Thunderbird trains: ${changes.length} channel changes`,
+        text: changes.map(c => `${c.message} (${c.at})`).join('\n') + '\n',
+      }),
+    });
+  }
+
+  return sinks;
+}
+
+/**
+ * Runs an async function, retrying with exponential backoff.
+ *
+ * @param {Function} fn - Async function to run
+ * @param {number} attempts - Maximum number of attempts
+ * @param {number} baseMs - Delay before the first retry; doubles each time
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} The last error once all attempts failed
+ */
+export async function withRetry(fn, attempts = RETRY_ATTEMPTS, baseMs = RETRY_BASE_MS) {
+  let lastError;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastError = err;
+      if (attempt < attempts - 1) await new Promise(resolve => setTimeout(resolve, baseMs * 2 ** attempt));
+    }
+  }
+  throw lastError;
+}
+
+// The delivery in progress. Deliveries run one at a time, since each reads
+// and rewrites the whole delivery log.
+let delivering = Promise.resolve();
+
+/**
+ * Delivers changes to every configured sink, skipping changes a sink has
+ * already received. Sinks are independent: one failing sink does not stop
+ * the others, and its undelivered changes are queued in the delivery log and
+ * retried with the next batch. Calls are chained, so a slow delivery is
+ * never overtaken by the next poll's.
+ *
+ * @param {Array<Object>} changes - Changes from diffVersions()
+ * @param {Array<Object>} [sinks] - Sinks to deliver to (default: configuredSinks())
+ * @returns {Promise<Object>} Map of sink id to "sent", "skipped" or the error message
+ */
+export function notifyChanges(changes, sinks = configuredSinks()) {
+  const delivery = delivering.then(() => deliverChanges(changes, sinks));
+  delivering = delivery.catch(() => {});
+  return delivery;
+}
+
+/**
+ * Delivers one batch of changes; see notifyChanges().
+ *
+ * @param {Array<Object>} changes - Changes from diffVersions()
+ * @param {Array<Object>} sinks - Sinks to deliver to
+ * @returns {Promise<Object>} Map of sink id to "sent", "skipped" or the error message
+ */
+async function deliverChanges(changes, sinks) {
+  const results = {};
+  if (!changes.length || !sinks.length) return results;
+
+  const log = await readStore(DELIVERY_STORE, null) || {};
+  log.sent = log.sent || {};
+  log.failed = log.failed || {};
+
+  await Promise.all(sinks.map(async sink => {
+    const sent = new Set(log.sent[sink.id] || []);
+    const queued = new Map([...(log.failed[sink.id] || []), ...changes].map(c => [c.id, c]));
+    const pending = [...queued.values()].filter(change => !sent.has(change.id));
+    if (pending.length === 0) {
+      results[sink.id] = 'skipped';
+      return;
+    }
+    const markSent = change => sent.add(change.id);
+    try {
+      await withRetry(() => sink.deliver(pending.filter(change => !sent.has(change.id)), markSent));
+      pending.forEach(markSent);
+      delete log.failed[sink.id];
+      results[sink.id] = 'sent';
+    } catch (err) {
+      console.error(`Notification to ${sink.id} failed:`, err.message);
+      log.failed[sink.id] = pending.filter(change => !sent.has(change.id)).slice(-MAX_QUEUED);
+      results[sink.id] = err.message;
+    }
+    log.sent[sink.id] = [...sent].slice(-MAX_LOGGED_IDS);
+  }));
+
+  await writeStore(DELIVERY_STORE, log);
+  return results;
+}
@@ -0,0 +1,250 @@
+// OpenAPI description of the /api/v1 endpoints, served at
+// /api/v1/openapi.json. The component schemas are also what the tests
+// validate responses against, so the document cannot drift from the code.
+
+const nullable = schema => ({ ...schema, nullable: true });
+
+const PLATFORM = { type: 'string', enum: ['desktop', 'android'] };
+
+const MILESTONE = {
+  type: 'object',
+  required: ['platform', 'major', 'kind', 'label', 'version', 'date', 'allDay', 'summary'],
+  additionalProperties: false,
+  properties: {
+    platform: PLATFORM,
+    major: { type: 'string', example: '145' },
+    kind: {
+      type: 'string',
+      enum: ['merge-day', 'nightly', 'beta', 'release-candidate', 'release', 'dot-release', 'esr-release', 'string-freeze', 'soft-freeze', 'code-freeze', 'other'],
+    },
+    label: { type: 'string', example: 'Beta 3' },
+    version: nullable({ type: 'string', example: '145.0b3' }),
+    date: { type: 'string', format: 'date-time' },
+    allDay: { type: 'boolean' },
+    summary: { type: 'string', description: 'Calendar event summary' },
+  },
+};
+
+const CHANNEL = {
+  type: 'object',
+  required: ['platform', 'channel', 'version', 'major', 'sourceStatus', 'releasedAt', 'builtAt', 'stale', 'notesUrl', 'buildId', 'links'],
+  additionalProperties: false,
+  properties: {
+    platform: PLATFORM,
+    channel: { type: 'string', example: 'beta', description: 'release, beta, daily, esr_current or esr_next (desktop only)' },
+    version: nullable({ type: 'string', example: '145.0b3' }),
+    major: nullable({ type: 'string', example: '145' }),
+    sourceStatus: {
+      type: 'string',
+      enum: ['ok', 'stale', 'degraded', 'error', 'unknown'],
+      description: 'Health of the upstream source the version comes from',
+    },
+    releasedAt: nullable({ type: 'string', format: 'date-time', description: 'Release or tag date, when the source reports one' }),
+    builtAt: nullable({ type: 'string', format: 'date-time', description: 'Build time of nightly builds' }),
+    stale: { type: 'boolean', description: 'True if a nightly has not been rebuilt for longer than expected' },
+    notesUrl: nullable({ type: 'string', format: 'uri' }),
+    buildId: nullable({ type: 'string', example: '20251013180306' }),
+    links: {
+      type: 'object',
+      required: ['self', 'version'],
+      additionalProperties: false,
+      properties: {
+        self: { type: 'string' },
+        version: nullable({ type: 'string' }),
+      },
+    },
+  },
+};
+
+const ERROR = {
+  type: 'object',
+  required: ['error'],
+  properties: { error: { type: 'string' }, detail: { type: 'string' } },
+};
+
+export const SCHEMAS = {
+  Milestone: MILESTONE,
+  Channel: CHANNEL,
+  ChannelList: {
+    type: 'object',
+    required: ['fetchedAt', 'channels'],
+    additionalProperties: false,
+    properties: {
+      fetchedAt: { type: 'string', format: 'date-time' },
+      channels: { type: 'array', items: { $ref: '#/components/schemas/Channel' } },
+    },
+  },
+  ChannelDetail: {
+    type: 'object',
+    required: ['fetchedAt', 'channel', 'nextMilestone', 'milestones'],
+    additionalProperties: false,
+    properties: {
+      fetchedAt: { type: 'string', format: 'date-time' },
+      channel: { $ref: '#/components/schemas/Channel' },
+      nextMilestone: { nullable: true, allOf: [{ $ref: '#/components/schemas/Milestone' }] },
+      milestones: {
+        type: 'array',
+        description: 'Calendar milestones of the channel\'s major',
+        items: { $ref: '#/components/schemas/Milestone' },
+      },
+    },
+  },
+  Version: {
+    type: 'object',
+    required: ['version', 'platform', 'major', 'channels', 'phases', 'history', 'milestones'],
+    additionalProperties: false,
+    properties: {
+      version: { type: 'string', example: '145.0b3' },
+      platform: PLATFORM,
+      major: { type: 'string', example: '145' },
+      channels: {
+        type: 'array',
+        description: 'Channels currently on this version (on this major, for a bare major)',
+        items: { $ref: '#/components/schemas/Channel' },
+      },
+      phases: {
+        type: 'object',
+        description: 'When the major entered each phase, from the calendar',
+        required: ['nightly', 'beta', 'release', 'esr'],
+        additionalProperties: false,
+        properties: {
+          nightly: nullable({ type: 'string', format: 'date-time' }),
+          beta: nullable({ type: 'string', format: 'date-time' }),
+          release: nullable({ type: 'string', format: 'date-time' }),
+          esr: nullable({ type: 'string', format: 'date-time' }),
+        },
+      },
+      history: {
+        type: 'array',
+        description: 'When the version shipped on each channel, from the release history',
+        items: {
+          type: 'object',
+          required: ['channel', 'version', 'date', 'until', 'source', 'notesUrl', 'buildsUrl'],
+          additionalProperties: false,
+          properties: {
+            channel: { type: 'string', example: 'desktop.beta' },
+            version: { type: 'string' },
+            date: { type: 'string', format: 'date-time', description: 'When the version shipped on the channel' },
+            until: nullable({ type: 'string', format: 'date-time', description: 'When a later version replaced it on the channel' }),
+            source: { type: 'string', enum: ['product-details', 'github', 'observed'] },
+            notesUrl: nullable({ type: 'string', format: 'uri' }),
+            buildsUrl: nullable({ type: 'string', format: 'uri', description: 'Archive directory (desktop) or GitHub release (Android) of the version' }),
+          },
+        },
+      },
+      milestones: { type: 'array', items: { $ref: '#/components/schemas/Milestone' } },
+    },
+  },
+  Event: {
+    type: 'object',
+    required: ['uid', 'summary', 'start', 'end', 'allDay', 'platform', 'milestones'],
+    additionalProperties: false,
+    properties: {
+      uid: nullable({ type: 'string' }),
+      summary: { type: 'string' },
+      start: { type: 'string', format: 'date-time' },
+      end: nullable({ type: 'string', format: 'date-time' }),
+      allDay: { type: 'boolean' },
+      platform: PLATFORM,
+      milestones: { type: 'array', items: { $ref: '#/components/schemas/Milestone' } },
+    },
+  },
+  EventList: {
+    type: 'object',
+    required: ['from', 'to', 'platform', 'events'],
+    additionalProperties: false,
+    properties: {
+      from: nullable({ type: 'string', format: 'date-time' }),
+      to: nullable({ type: 'string', format: 'date-time' }),
+      platform: { ...PLATFORM, enum: [...PLATFORM.enum, null], nullable: true },
+      events: { type: 'array', items: { $ref: '#/components/schemas/Event' } },
+    },
+  },
+  Error: ERROR,
+};
+
+/**
+ * A JSON response of a component schema, with its ETag.
+ *
+ * @param {string} description - Response description
+ * @param {string} schema - Component schema name
+ * @returns {Object} OpenAPI response object
+ */
+function jsonResponse(description, schema) {
+  return {
+    description,
+    headers: { ETag: { schema: { type: 'string' }, description: 'Send back in If-None-Match to get a 304 while unchanged' } },
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } },
+  };
+}
+
+const NOT_MODIFIED = { description: 'Not modified since the ETag in If-None-Match' };
+const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+const platformParameter = (where, required, description) => ({ name: 'platform', in: where, required, schema: PLATFORM, description });
+
+export const OPENAPI = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Thunderbird Train Tracker API',
+    version: '1.0.0',
+    description: 'Current Thunderbird versions per channel, per-version milestones and the release calendar. ' +
+      'Every JSON response carries an ETag; send it back in If-None-Match to get a 304 while nothing changed.',
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/channels': {
+      get: {
+        summary: 'Every channel with its current version',
+        operationId: 'listChannels',
+        responses: { 200: jsonResponse('Channels of both platforms', 'ChannelList'), 304: NOT_MODIFIED },
+      },
+    },
+    '/channels/{platform}/{channel}': {
+      get: {
+        summary: 'One channel with its next milestone and the milestones of its major',
+        operationId: 'getChannel',
+        parameters: [
+          platformParameter('path', true),
+          { name: 'channel', in: 'path', required: true, schema: { type: 'string' }, description: 'release, beta, daily, esr (current ESR), esr_current or esr_next' },
+        ],
+        responses: { 200: jsonResponse('The channel', 'ChannelDetail'), 304: NOT_MODIFIED, 404: errorResponse('Unknown channel') },
+      },
+    },
+    '/versions/{version}': {
+      get: {
+        summary: 'Milestones, phase dates, ship dates and current channels of a version or major',
+        operationId: 'getVersion',
+        parameters: [
+          { name: 'version', in: 'path', required: true, schema: { type: 'string' }, example: '145.0b3', description: 'A version (e.g. 145.0b3, 140.4.0esr, 14.0), a bare major (e.g. 145), an Android tag, or either prefixed by a platform (e.g. "TfA 12")' },
+          platformParameter('query', false, 'Defaults to the platform the version names, else the one that knows the major, desktop first'),
+        ],
+        responses: {
+          200: jsonResponse('The version', 'Version'),
+          304: NOT_MODIFIED,
+          400: errorResponse('Not a version, unknown platform, or a platform other than the version names'),
+          404: errorResponse('Nothing is known about the version'),
+        },
+      },
+    },
+    '/events': {
+      get: {
+        summary: 'Calendar events with their milestones, optionally by date range and platform',
+        operationId: 'listEvents',
+        parameters: [
+          { name: 'from', in: 'query', required: false, schema: { type: 'string' }, example: '2025-10-01', description: 'Start day (from its start) or ISO timestamp' },
+          { name: 'to', in: 'query', required: false, schema: { type: 'string' }, example: '2025-10-31', description: 'End day (up to its end) or ISO timestamp' },
+          platformParameter('query', false),
+        ],
+        responses: { 200: jsonResponse('Matching events, by start', 'EventList'), 304: NOT_MODIFIED, 400: errorResponse('Invalid date or platform') },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'This document',
+        operationId: 'getOpenApi',
+        responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } },
+      },
+    },
+  },
+  components: { schemas: SCHEMAS },
+};
@@ -0,0 +1,71 @@
+// Server-side status poller.
+// Calls getStatus() on an interval, independent of browser traffic, and
+// emits the result plus any channel version changes. Other modules
+// (notifications, streaming) subscribe to the emitter.
+
+import { EventEmitter } from "events";
+import { getStatus } from "./fetcher.js";
+import { diffVersions, mergeVersions, versionMap } from "./changes.js";
+import { readStore, writeStore } from "./store.js";
+
+const VERSIONS_STORE = 'last-versions';
+const POLL_INTERVAL_MS = (Number(process.env.POLL_INTERVAL_SECONDS) || 60) * 1000;
+
+/**
+ * Emits:
+ * - "status" (status) after every poll
+ * - "changes" (changes[]) when at least one channel version moved
+ */
+export const poller = new EventEmitter();
+
+let timer = null;
+let previous = null;
+let polling = null;
+
+/**
+ * Runs one poll: fetches status, diffs channel versions against the last
+ * known ones and emits the results. The first poll after a fresh install
+ * only records versions, so it does not announce every channel at once.
+ *
+ * @returns {Promise<Array<Object>>} The detected changes
+ */
+export async function pollOnce() {
+  if (previous === null) previous = await readStore(VERSIONS_STORE, null);
+  const status = await getStatus();
+  const current = versionMap(status.channels);
+  const changes = previous ? diffVersions(previous, current) : [];
+  const merged = mergeVersions(previous, current);
+  if (!previous || changes.length > 0 || Object.keys(merged).length !== Object.keys(previous).length) {
+    await writeStore(VERSIONS_STORE, merged);
+  }
+  previous = merged;
+
+  poller.emit('status', status);
+  if (changes.length > 0) poller.emit('changes', changes);
+  return changes;
+}
+
+/**
+ * Starts polling on POLL_INTERVAL_SECONDS (default 60). Safe to call twice.
+ */
+export function startPoller() {
+  if (timer) return;
+  const run = () => {
+    // Skip a tick rather than overlap a slow poll and report changes twice.
+    if (polling) return;
+    polling = pollOnce()
+      .catch(err => console.error('Status poll failed:', err.message))
+      .finally(() => { polling = null; });
+  };
+  run();
+  timer = setInterval(run, POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+/**
+ * Stops polling.
+ */
+export function stopPoller() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
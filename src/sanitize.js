@@ -0,0 +1,110 @@
+// HTML sanitizer for upstream content shown in the page (release notes).
+// Only a small allowlist of text-formatting tags survives; every attribute
+// except http(s) link targets is dropped, script-like and page-chrome
+// elements are removed with their content, and any other tag is unwrapped
+// to its text. The output is always balanced.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'ul', 'ol', 'li', 'a', 'strong', 'b', 'em', 'i', 'code', 'pre',
+  'blockquote', 'h3', 'h4', 'h5', 'h6',
+]);
+// Page headings are demoted so notes never outrank the modal title.
+const RENAMED_TAGS = { h1: 'h3', h2: 'h3' };
+// Elements removed together with everything inside them.
+const DROPPED_TAGS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg',
+  'math', 'form', 'nav', 'header', 'footer', 'aside', 'button', 'select',
+  'textarea', 'head', 'title',
+];
+const VOID_TAGS = new Set(['br']);
+// Elements whose end tag is optional: a new one closes the open one.
+const SELF_CLOSING_SIBLINGS = new Set(['li', 'p']);
+
+/**
+ * Escapes text for inclusion in HTML.
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Resolves a link target, accepting only http(s) URLs.
+ *
+ * @param {string} href - Raw href attribute value (HTML-escaped)
+ * @param {string} [baseUrl] - URL relative links are resolved against
+ * @returns {string|null} Absolute URL, or null if the link is not allowed
+ */
+export function safeUrl(href, baseUrl) {
+  const raw = href.replace(/&amp;/g, '&').replace(/&#0*58;|&colon;/gi, ':').trim();
+  try {
+    const url = new URL(raw, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sanitizes an HTML fragment for display.
+ *
+ * @param {string} html - Untrusted HTML
+ * @param {string} [baseUrl] - URL relative links are resolved against; without it relative links are dropped
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html, baseUrl) {
+  let source = String(html).replace(/<!--[\s\S]*?(?:-->|$)/g, '');
+  for (const tag of DROPPED_TAGS) {
+    source = source
+      .replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '')
+      .replace(new RegExp(`<${tag}\\b[^>]*>`, 'gi'), '');
+  }
+
+  const out = [];
+  const open = [];
+  const tokens = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>|([^<]+)|</g;
+  let m;
+  while ((m = tokens.exec(source))) {
+    const [token, closing, rawName, attrs, text] = m;
+    if (text !== undefined) {
+      out.push(text.replace(/>/g, '&gt;').replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;'));
+      continue;
+    }
+    if (token === '<') {
+      out.push('&lt;');
+      continue;
+    }
+    const name = RENAMED_TAGS[rawName.toLowerCase()] || rawName.toLowerCase();
+    if (!ALLOWED_TAGS.has(name)) continue;
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index === -1) continue;
+      while (open.length > index) out.push(`</${open.pop()}>`);
+      continue;
+    }
+    if (VOID_TAGS.has(name)) {
+      out.push(`<${name}>`);
+      continue;
+    }
+    if (SELF_CLOSING_SIBLINGS.has(name) && open[open.length - 1] === name) out.push(`</${open.pop()}>`);
+    if (name === 'a') {
+      const href = attrs.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+      const url = href && safeUrl(href[1] ?? href[2] ?? href[3], baseUrl);
+      // Links without an allowed target keep their text only.
+      if (!url) continue;
+      out.push(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">`);
+    } else {
+      out.push(`<${name}>`);
+    }
+    open.push(name);
+  }
+  while (open.length) out.push(`</${open.pop()}>`);
+  return out.join('').trim();
+}
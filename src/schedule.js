@@ -0,0 +1,269 @@
+// Release schedule projection.
+// Learns each platform's cadence from the calendar (days between major
+// releases, when a major merges to beta relative to its release, when each
+// beta ships after that merge, and whether ESR dot releases ship alongside
+// majors), then lays out the next majors: milestones from the calendar are
+// kept as confirmed, missing ones are projected from the cadence.
+
+import { milestonePhase } from './asof.js';
+import { parseVersion } from './versions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Used until the calendar has two releases to learn from.
+const DEFAULT_CYCLE_DAYS = 28;
+// ESR dot releases this close to a major release ship alongside it.
+const ESR_PAIRING_DAYS = 7;
+
+export const DEFAULT_MAJORS = 6;
+export const MAX_MAJORS = 24;
+
+/**
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * @param {string} from - ISO date
+ * @param {string} to - ISO date
+ * @returns {number} Whole days from `from` to `to`
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * @param {string} iso - ISO date
+ * @param {number} days - Days to add
+ * @returns {string} ISO date
+ */
+function addDays(iso, days) {
+  return new Date(Date.parse(iso) + days * DAY_MS).toISOString();
+}
+
+/**
+ * The major release of a major, from its timeline.
+ *
+ * @param {Array<Object>} milestones - Timeline of one major
+ * @returns {Object|undefined} Release milestone
+ */
+function releaseOf(milestones) {
+  return (milestones || []).find(m => m.kind === 'release');
+}
+
+/**
+ * The merge day that moved a major into a phase.
+ *
+ * @param {Array<Object>} milestones - Timeline of one major
+ * @param {string} phase - "nightly" or "beta"
+ * @returns {Object|undefined} Merge-day milestone
+ */
+function mergeOf(milestones, phase) {
+  return (milestones || []).find(m => m.kind === 'merge-day' && milestonePhase(m) === phase);
+}
+
+/**
+ * Learns a platform's release cadence from its calendar timelines.
+ *
+ * @param {Object} byMajor - Timelines of one platform, keyed by major
+ * @returns {Object} { cycleDays, mergeToBetaDays, betaDays: { [n]: days after the beta merge }, esrAlongside, samples, learned }
+ */
+export function learnCadence(byMajor) {
+  const majors = Object.keys(byMajor || {}).map(Number).sort((a, b) => a - b);
+  const releases = majors
+    .map(major => ({ major, date: releaseOf(byMajor[major])?.date }))
+    .filter(r => r.date);
+
+  const cycles = [];
+  for (let i = 1; i < releases.length; i++) {
+    const gap = releases[i].major - releases[i - 1].major;
+    cycles.push(daysBetween(releases[i - 1].date, releases[i].date) / gap);
+  }
+
+  const mergeToBeta = [];
+  const betaDays = {};
+  for (const major of majors) {
+    const merge = mergeOf(byMajor[major], 'beta');
+    if (!merge) continue;
+    const release = releaseOf(byMajor[major]);
+    if (release) mergeToBeta.push(daysBetween(release.date, merge.date));
+    for (const m of byMajor[major]) {
+      if (m.kind !== 'beta' || m.beta === null) continue;
+      (betaDays[m.beta] ||= []).push(daysBetween(merge.date, m.date));
+    }
+  }
+
+  const esrPairs = [];
+  for (const major of majors) {
+    for (const m of byMajor[major]) {
+      if (m.kind !== 'esr-release') continue;
+      if (releases.some(r => Math.abs(daysBetween(r.date, m.date)) <= ESR_PAIRING_DAYS)) esrPairs.push(m);
+    }
+  }
+
+  const cycleDays = Math.round(median(cycles) ?? DEFAULT_CYCLE_DAYS);
+  return {
+    cycleDays,
+    mergeToBetaDays: median(mergeToBeta),
+    betaDays: Object.fromEntries(Object.entries(betaDays).map(([n, days]) => [n, median(days)])),
+    esrAlongside: esrPairs.length > 0,
+    samples: { releases: releases.length, mergeDays: mergeToBeta.length },
+    learned: cycles.length > 0,
+  };
+}
+
+/**
+ * Formats a milestone for the schedule.
+ *
+ * @param {Object} fields - kind, label, date and optional version, phase, beta and summary
+ * @param {boolean} projected - True if the date is projected
+ * @returns {Object} Schedule milestone
+ */
+function scheduled({ kind, label, date, version = null, phase = null, beta = null, summary = null }, projected) {
+  return { kind, label, date, allDay: true, version, phase, beta, summary, projected };
+}
+
+/**
+ * Latest ESR dot release of every ESR line still shipping around a date.
+ *
+ * @param {Object} byMajor - Timelines of one platform
+ * @param {string} since - ISO date; lines without a release after it are ignored
+ * @returns {Map<string, Object>} ESR major to { minor, date }
+ */
+function activeEsrLines(byMajor, since) {
+  const lines = new Map();
+  for (const [major, milestones] of Object.entries(byMajor || {})) {
+    for (const m of milestones) {
+      const parsed = m.kind === 'esr-release' && parseVersion(m.version);
+      if (!parsed || m.date < since) continue;
+      const line = lines.get(major);
+      if (!line || m.date > line.date) lines.set(major, { minor: parsed.minor, date: m.date });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Lays out the schedule of the next majors of one platform. Releases are
+ * projected from the nearest earlier confirmed release; the beta merge day,
+ * the betas and ESR dot releases from the learned offsets; the nightly merge
+ * day is the previous major's beta merge. Projections of kinds the calendar
+ * never showed (e.g. merge days on Android) are left out. ESR lines are
+ * assumed to keep shipping.
+ *
+ * @param {Object} byMajor - Timelines of one platform, keyed by major
+ * @param {Object} options - Options
+ * @param {number} options.fromMajor - First major to lay out
+ * @param {number} [options.count] - Number of majors
+ * @param {Object} [options.cadence] - Result of learnCadence(); learned if omitted
+ * @returns {Array<Object>} { major, version, release, milestones } per major, where release is { date, projected } or null
+ */
+export function projectSchedule(byMajor, { fromMajor, count = DEFAULT_MAJORS, cadence = learnCadence(byMajor) }) {
+  const timelines = byMajor || {};
+  const confirmedReleases = Object.entries(timelines)
+    .map(([major, milestones]) => ({ major: Number(major), date: releaseOf(milestones)?.date }))
+    .filter(r => r.date)
+    .sort((a, b) => a.major - b.major);
+
+  const releaseDate = major => {
+    const own = confirmedReleases.find(r => r.major === major);
+    if (own) return { date: own.date, projected: false };
+    const anchor = [...confirmedReleases].reverse().find(r => r.major < major) || confirmedReleases.find(r => r.major > major);
+    if (!anchor) return null;
+    return { date: addDays(anchor.date, (major - anchor.major) * cadence.cycleDays), projected: true };
+  };
+
+  const firstRelease = releaseDate(fromMajor);
+  const esrLines = cadence.esrAlongside && firstRelease
+    ? activeEsrLines(timelines, addDays(firstRelease.date, -2 * cadence.cycleDays))
+    : new Map();
+
+  const schedule = [];
+  for (let major = fromMajor; major < fromMajor + count; major++) {
+    const own = timelines[major] || [];
+    const release = releaseDate(major);
+    const milestones = [];
+
+    const confirmed = own.filter(m => ['merge-day', 'beta', 'release-candidate', 'release'].includes(m.kind));
+    for (const m of confirmed) {
+      milestones.push(scheduled({ ...m, phase: m.kind === 'merge-day' ? milestonePhase(m) : null }, false));
+    }
+
+    if (release) {
+      if (release.projected) {
+        milestones.push(scheduled({ kind: 'release', label: 'Release', date: release.date, version: `${major}.0` }, true));
+      }
+      const betaMerge = mergeOf(own, 'beta')?.date ||
+        (cadence.mergeToBetaDays !== null ? addDays(release.date, cadence.mergeToBetaDays) : null);
+      if (cadence.mergeToBetaDays !== null) {
+        if (!mergeOf(own, 'nightly')) {
+          const date = addDays(release.date, cadence.mergeToBetaDays - cadence.cycleDays);
+          milestones.push(scheduled({ kind: 'merge-day', label: 'Merge day', phase: 'nightly', date }, true));
+        }
+        if (!mergeOf(own, 'beta')) {
+          milestones.push(scheduled({ kind: 'merge-day', label: 'Merge day', phase: 'beta', date: betaMerge }, true));
+        }
+      }
+      if (betaMerge) {
+        for (const [n, days] of Object.entries(cadence.betaDays)) {
+          if (own.some(m => m.kind === 'beta' && m.beta === Number(n))) continue;
+          milestones.push(scheduled({ kind: 'beta', label: `Beta ${n}`, beta: Number(n), version: `${major}.0b${n}`, date: addDays(betaMerge, days) }, true));
+        }
+      }
+
+      for (const [esrMajor, line] of esrLines) {
+        const alongside = (timelines[esrMajor] || []).find(m =>
+          m.kind === 'esr-release' && Math.abs(daysBetween(release.date, m.date)) <= ESR_PAIRING_DAYS);
+        if (alongside) {
+          milestones.push(scheduled(alongside, false));
+          const parsed = parseVersion(alongside.version);
+          if (parsed) esrLines.set(esrMajor, { minor: parsed.minor, date: alongside.date });
+        } else if (release.date > addDays(line.date, cadence.cycleDays / 2)) {
+          const version = `${esrMajor}.${line.minor + 1}.0esr`;
+          milestones.push(scheduled({ kind: 'esr-release', label: `ESR release ${version}`, version, date: release.date }, true));
+          esrLines.set(esrMajor, { minor: line.minor + 1, date: release.date });
+        }
+      }
+    }
+
+    milestones.sort((a, b) => a.date.localeCompare(b.date) || a.kind.localeCompare(b.kind));
+    schedule.push({ major: String(major), version: `${major}.0`, release, milestones });
+  }
+  return schedule;
+}
+
+/**
+ * Builds the /api/schedule response: the cadence and the next majors of
+ * each platform, starting with the major after the one on release.
+ *
+ * @param {Object} timelines - Timelines from buildTimelines()
+ * @param {Object} channels - Channel records from getStatus()
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.platforms] - Platforms to include
+ * @param {number} [options.count] - Majors per platform
+ * @param {Date} [options.now] - Reference time
+ * @returns {Object} { generatedAt, platforms: { [platform]: { cadence, trains } } }
+ */
+export function buildSchedule(timelines, channels, { platforms = ['desktop', 'android'], count = DEFAULT_MAJORS, now = new Date() } = {}) {
+  const result = { generatedAt: now.toISOString(), platforms: {} };
+  for (const platform of platforms) {
+    const byMajor = timelines?.[platform] || {};
+    const cadence = learnCadence(byMajor);
+    // A release source that is down reports `major: null`; Number(null) is 0.
+    let current = Number.parseInt(channels?.[platform]?.release?.major, 10);
+    if (Number.isNaN(current)) {
+      const shipped = Object.entries(byMajor)
+        .filter(([, milestones]) => releaseOf(milestones)?.date <= now.toISOString())
+        .map(([major]) => Number(major));
+      current = shipped.length ? Math.max(...shipped) : NaN;
+    }
+    const trains = Number.isFinite(current) ? projectSchedule(byMajor, { fromMajor: current + 1, count, cadence }) : [];
+    result.platforms[platform] = { cadence, trains };
+  }
+  return result;
+}
@@ -0,0 +1,216 @@
+// Minimal SMTP client for notification emails, so the tracker needs no mail
+// library. Supports implicit TLS (port 465), STARTTLS, AUTH PLAIN and a
+// single plain-text message per connection. Credentials are only sent over
+// TLS unless the caller opts out.
+
+import net from "net";
+import tls from "tls";
+import os from "os";
+
+const TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Wraps a socket so SMTP replies can be awaited one at a time.
+ * Multi-line replies ("250-...", then "250 ...") resolve as one reply.
+ *
+ * @param {net.Socket} socket - Connected socket
+ * @returns {Function} next() resolving to { code, text }
+ */
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  });
+  socket.on('error', err => { failure = err; settle(); });
+  socket.on('close', () => { failure = failure || new Error('SMTP connection closed'); settle(); });
+
+  return () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    settle();
+  });
+}
+
+/**
+ * Opens a socket, plain or TLS, and waits until it is connected.
+ *
+ * @param {Object} options - { host, port, secure }
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Upgrades a plain socket to TLS after STARTTLS.
+ *
+ * @param {net.Socket} socket - Plain socket
+ * @param {string} host - Server name for certificate checks
+ * @returns {Promise<tls.TLSSocket>} Encrypted socket
+ */
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+    secure.setTimeout(TIMEOUT_MS, () => secure.destroy(new Error('SMTP timeout')));
+    secure.once('error', reject);
+  });
+}
+
+/**
+ * Makes a value safe for a header line: CR and LF are replaced so it cannot
+ * start another header, and non-ASCII text is RFC 2047 encoded as UTF-8
+ * base64 words. Words are split between characters and kept under the
+ * 75 character limit.
+ *
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+export function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    // 45 bytes of UTF-8 make 60 base64 characters, plus 12 for the "=?UTF-8?B?...?=" wrapper.
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * Extracts the bare address of a mailbox, for the SMTP envelope.
+ *
+ * @param {string} mailbox - e.g. "Tracker <trains@example.org>" or "trains@example.org"
+ * @returns {string} e.g. "trains@example.org"
+ */
+export function mailboxAddress(mailbox) {
+  const text = String(mailbox).replace(/[\r\n]+/g, '');
+  const angle = text.match(/<([^<>]*)>\s*$/);
+  return (angle ? angle[1] : text).trim();
+}
+
+/**
+ * Formats a mailbox for an address header, encoding only its display name.
+ *
+ * @param {string} mailbox - e.g. "Zug-Tracker <trains@example.org>"
+ * @returns {string} Header-safe mailbox
+ */
+function formatMailbox(mailbox) {
+  const address = mailboxAddress(mailbox);
+  const name = String(mailbox).replace(/[\r\n]+/g, ' ').replace(/<[^<>]*>\s*$/, '').trim();
+  return name && name !== address ? `${encodeHeader(name)} <${address}>` : address;
+}
+
+/**
+ * Builds an RFC 5322 message with dot-stuffing applied.
+ *
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string} Message data terminated for the DATA command
+ */
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${formatMailbox(from)}`,
+    `To: ${to.map(formatMailbox).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Sends one plain-text email.
+ *
+ * @param {Object} options - Connection and message options
+ * @param {string} options.host - SMTP server host
+ * @param {number} [options.port] - Port (default 465 when secure, else 587)
+ * @param {boolean} [options.secure] - Use implicit TLS
+ * @param {boolean} [options.requireTLS] - Refuse to send credentials over a connection without TLS (default true)
+ * @param {string} [options.user] - Username for AUTH PLAIN
+ * @param {string} [options.pass] - Password for AUTH PLAIN
+ * @param {string} options.from - Sender, a bare address or "Name <address>"
+ * @param {Array<string>} options.to - Recipients
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @returns {Promise<void>} Resolves once the server accepted the message
+ * @throws {Error} If the server rejects any step, or would get credentials in plain text
+ */
+export async function sendMail(options) {
+  const { host, secure = false, requireTLS = true, user, pass, from, to } = options;
+  const port = options.port || (secure ? 465 : 587);
+  let socket = await connect({ host, port, secure });
+  let next = replyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(line + '\r\n');
+    const reply = await next();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = secure;
+    if (!secure && /^STARTTLS$/mi.test(ehlo.text)) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket = await upgrade(socket, host);
+      next = replyReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+    if (user && !encrypted && requireTLS) {
+      throw new Error(`SMTP server ${host} does not offer STARTTLS; not sending credentials in plain text`);
+    }
+    if (user) {
+      const token = Buffer.from(`\u0000${user}\u0000${pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235]);
+    }
+    await command(`MAIL FROM:<${mailboxAddress(from)}>`, [250]);
+    for (const rcpt of to) await command(`RCPT TO:<${mailboxAddress(rcpt)}>`, [250, 251]);
+    await command('DATA', [354]);
+    socket.write(buildMessage(options));
+    await command(null, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
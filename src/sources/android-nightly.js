@@ -0,0 +1,93 @@
+// Android nightly build from the archive.mozilla.org directory listing of
+// the latest-main nightly: its version, build time and every artifact
+// (per-ABI APKs, AAB, checksums) with size and download URL.
+
+import { fetchText } from "./http.js";
+import { parseDirectoryListing } from "../listing.js";
+import { highestVersion } from "../versions.js";
+
+// Days without a new build after which the nightly is flagged stale.
+const DEFAULT_STALE_DAYS = 3;
+const BUILD_KINDS = new Set(['apk', 'aab']);
+
+/**
+ * Extracts the version from a nightly artifact name.
+ *
+ * @param {string} name - e.g. "thunderbird-15.0a1-arm64-v8a.apk"
+ * @returns {string|null} e.g. "15.0a1"
+ */
+function artifactVersion(name) {
+  const match = name.match(/^thunderbird-(\d+\.\d+a\d+)\b/i);
+  return match ? match[1] : null;
+}
+
+export const androidNightlyAdapter = {
+  type: 'android-nightly',
+  channels: { android: ['daily'] },
+
+  /**
+   * @param {Object} options - Source config with url
+   * @returns {Promise<string>} Listing HTML
+   */
+  fetch(options) {
+    return fetchText(options.url, 'Android nightly listing');
+  },
+
+  /**
+   * @param {string} raw - Listing HTML
+   * @param {Object} [options] - Source config; its url resolves relative links
+   * @returns {Array<Object>} Files in the listing, from parseDirectoryListing()
+   */
+  parse(raw, options = {}) {
+    return parseDirectoryListing(raw, options.url || 'https://localhost/')
+      .filter(entry => entry.type === 'file');
+  },
+
+  /**
+   * The build time is the newest modification time of the version's APKs
+   * and AABs; the listing has no build ID.
+   *
+   * @param {Array<Object>} files - Listed files
+   * @param {Object} [options] - Source config with optional staleDays
+   * @returns {Object} { channels: { android }, details: { android } } where details carry builtAt, staleAfterDays, listingUrl and artifacts
+   */
+  normalize(files, options = {}) {
+    const version = highestVersion(files.filter(f => BUILD_KINDS.has(f.kind)).map(f => artifactVersion(f.name)).filter(Boolean));
+    if (!version) return { channels: { android: { daily: null } } };
+
+    const artifacts = files
+      .filter(f => artifactVersion(f.name) === version)
+      .map(({ name, url, size, lastModified, kind, abi }) => ({ name, url, size, lastModified, kind, abi }));
+    const builtAt = artifacts
+      .filter(a => BUILD_KINDS.has(a.kind) && a.lastModified)
+      .map(a => a.lastModified)
+      .sort()
+      .pop() || null;
+    const staleDays = Number(options.staleDays ?? DEFAULT_STALE_DAYS);
+
+    return {
+      channels: { android: { daily: version } },
+      details: {
+        android: {
+          daily: {
+            builtAt,
+            staleAfterDays: Number.isFinite(staleDays) ? staleDays : DEFAULT_STALE_DAYS,
+            listingUrl: options.url || null,
+            artifacts,
+          },
+        },
+      },
+    };
+  },
+
+  /**
+   * A listing without any nightly build (e.g. an error page or a listing
+   * caught mid-upload) keeps the last good build instead.
+   *
+   * @param {Object} value - Normalized value
+   * @returns {string|null} Problem description, or null if healthy
+   */
+  health(value) {
+    return value.channels.android.daily ? null : 'Android nightly listing has no build';
+  },
+};
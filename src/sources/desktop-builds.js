@@ -0,0 +1,279 @@
+// Desktop build metadata for the versions product-details lists: build ID,
+// source changeset, release date, locale count and per-platform download
+// links. Builds are read from the archive.mozilla.org directory listings
+// (the latest candidates build of each version, the latest comm-central
+// nightly), locales from product-details' thunderbird_primary_builds.json and
+// release dates from its thunderbird.json. This source adds details to the
+// channels product-details provides; it does not report versions itself, and
+// is handed the versions the other sources found. Finished platform listings
+// and build info files do not change, so a refresh only re-reads the
+// candidates and build directories of each version.
+
+import { fetchText } from "./http.js";
+import { productDetailsAdapter } from "./product-details.js";
+import { sourceConfig } from "../config.js";
+import { parseDirectoryListing } from "../listing.js";
+
+// Desktop build platforms in display order, as named in the archive.
+export const DESKTOP_PLATFORMS = {
+  'win64': 'Windows 64-bit',
+  'win64-aarch64': 'Windows ARM64',
+  'win32': 'Windows 32-bit',
+  'mac': 'macOS',
+  'linux-x86_64': 'Linux 64-bit',
+  'linux-i686': 'Linux 32-bit',
+};
+// Platforms whose en-US build info is tried, in order, for the build ID.
+const BUILD_INFO_PLATFORMS = ['linux-x86_64', 'win64', 'mac'];
+const INSTALLER_RE = /(\.exe|\.dmg|\.tar\.xz|\.tar\.bz2)$/i;
+
+// Finished platform listings and build info of the current candidates
+// builds, by URL.
+const finished = new Map();
+
+/**
+ * Fetches and parses a directory listing.
+ *
+ * @param {string} url - Listing URL, ending in "/"
+ * @param {string} label - What is listed, for error messages
+ * @returns {Promise<Array<Object>>} Entries from parseDirectoryListing()
+ */
+async function fetchListing(url, label) {
+  return parseDirectoryListing(await fetchText(url, label), url);
+}
+
+/**
+ * Fetches a JSON document.
+ *
+ * @param {string} url - URL to fetch
+ * @param {string} label - What is fetched, for error messages
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(url, label) {
+  return JSON.parse(await fetchText(url, label));
+}
+
+/**
+ * Picks the installer from a platform's en-US listing: the Windows setup
+ * executable, the macOS disk image or the Linux tarball.
+ *
+ * @param {Array<Object>} files - Listing entries
+ * @returns {Object|null} Listing entry, or null if there is none
+ */
+function pickInstaller(files) {
+  return files.find(f => f.type === 'file' && INSTALLER_RE.test(f.name) && !/stub|partial/i.test(f.name)) || null;
+}
+
+/**
+ * Reads the latest candidates build of a release, beta or ESR version: its
+ * platforms, en-US installers and build info.
+ *
+ * @param {string} archiveUrl - Base of the Thunderbird archive
+ * @param {string} version - Version, e.g. "145.0b3"
+ * @returns {Promise<Object>} { buildUrl, buildNumber, installers: { [platform]: entry }, buildInfo }
+ * @throws {Error} If the version has no candidates build
+ */
+async function fetchCandidateBuild(archiveUrl, version) {
+  const candidatesUrl = new URL(`candidates/${version}-candidates/`, archiveUrl).href;
+  const builds = (await fetchListing(candidatesUrl, `${version} candidates`))
+    .map(entry => ({ entry, number: Number(entry.name.match(/^build(\d+)$/)?.[1]) }))
+    .filter(({ entry, number }) => entry.type === 'dir' && number > 0)
+    .sort((a, b) => b.number - a.number);
+  if (!builds.length) throw new Error(`No candidates build of ${version}`);
+  const buildUrl = builds[0].entry.url;
+
+  const platforms = (await fetchListing(buildUrl, `${version} build${builds[0].number}`))
+    .filter(entry => entry.type === 'dir' && entry.name in DESKTOP_PLATFORMS)
+    .map(entry => entry.name);
+  const listings = await Promise.all(platforms.map(async platform => {
+    const url = new URL(`${platform}/en-US/`, buildUrl).href;
+    if (finished.has(url)) return finished.get(url);
+    const files = await fetchListing(url, `${version} ${platform}`).catch(() => []);
+    // A platform is finished once its installer is there.
+    if (pickInstaller(files)) finished.set(url, files);
+    return files;
+  }));
+
+  const installers = {};
+  platforms.forEach((platform, i) => {
+    const installer = pickInstaller(listings[i]);
+    if (installer) installers[platform] = installer;
+  });
+
+  let buildInfo = null;
+  for (const platform of BUILD_INFO_PLATFORMS) {
+    const index = platforms.indexOf(platform);
+    const info = index >= 0 && listings[index].find(f => f.name === `thunderbird-${version}.json`);
+    if (!info) continue;
+    if (!finished.has(info.url)) finished.set(info.url, await fetchJson(info.url, `${version} build info`));
+    buildInfo = finished.get(info.url);
+    break;
+  }
+  return { buildUrl, buildNumber: builds[0].number, installers, buildInfo };
+}
+
+/**
+ * Reads the latest comm-central nightly of a version: its en-US installers,
+ * build info and the locales it was repacked in.
+ *
+ * @param {string} archiveUrl - Base of the Thunderbird archive
+ * @param {string} version - Nightly version, e.g. "146.0a1"
+ * @returns {Promise<Object>} { buildUrl, installers, buildInfo, locales }
+ */
+async function fetchNightlyBuild(archiveUrl, version) {
+  const buildUrl = new URL('nightly/latest-comm-central/', archiveUrl).href;
+  const files = await fetchListing(buildUrl, 'nightly builds');
+  const prefix = `thunderbird-${version}.en-US.`;
+
+  const installers = {};
+  let buildInfo = null;
+  for (const file of files) {
+    if (!file.name.startsWith(prefix)) continue;
+    const [platform, ...rest] = file.name.slice(prefix.length).split('.');
+    if (!(platform in DESKTOP_PLATFORMS)) continue;
+    const ext = '.' + rest.join('.');
+    if (INSTALLER_RE.test(ext) && !/stub/i.test(ext) && !installers[platform]) installers[platform] = file;
+    if (ext === '.json' && !buildInfo && BUILD_INFO_PLATFORMS.includes(platform)) {
+      buildInfo = await fetchJson(file.url, 'nightly build info');
+    }
+  }
+
+  // Repacks are named thunderbird-<version>.<locale>.<platform>.<ext>.
+  let locales = null;
+  try {
+    const l10n = await fetchListing(new URL('nightly/latest-comm-central-l10n/', archiveUrl).href, 'nightly repacks');
+    const names = new Set(l10n
+      .map(f => f.name.match(new RegExp(`^thunderbird-${version.replace(/\./g, '\\.')}\\.([A-Za-z-]+)\\.`))?.[1])
+      .filter(Boolean));
+    names.add('en-US');
+    locales = names.size;
+  } catch (err) {
+    console.error('Failed to list nightly repacks:', err.message);
+  }
+  return { buildUrl, installers, buildInfo, locales };
+}
+
+/**
+ * Counts the locales product-details lists a version in.
+ *
+ * @param {Object} primaryBuilds - thunderbird_primary_builds.json
+ * @param {string} version - Version
+ * @returns {number|null} Locale count, or null if the version is not listed
+ */
+function countLocales(primaryBuilds, version) {
+  const count = Object.values(primaryBuilds || {}).filter(builds => builds && version in builds).length;
+  return count || null;
+}
+
+export const desktopBuildsAdapter = {
+  type: 'desktop-builds',
+
+  // Loaded after the sources that report versions, whose versions fetch() gets.
+  describesChannels: true,
+
+  /**
+   * Reads the build of each current desktop version. The versions come from
+   * the other sources; only when none of them knows a desktop version are
+   * they read from product-details here. A channel whose build cannot be
+   * read is reported with its error; the others are still returned.
+   *
+   * @param {Object} options - Source config with url (the archive base) and optional versionsUrl
+   * @param {Object} [context] - { channels: { [platform]: { [channel]: version } } } from the other sources
+   * @returns {Promise<Object>} { versions, releases, primaryBuilds, builds }
+   */
+  async fetch(options, context = {}) {
+    const versionsUrl = options.versionsUrl || sourceConfig('productDetails')?.url;
+    if (!versionsUrl) throw new Error('No product-details URL for desktop builds');
+    const known = context.channels?.desktop;
+    const [channels, releases, primaryBuilds] = await Promise.all([
+      Object.values(known || {}).some(Boolean)
+        ? known
+        : fetchJson(versionsUrl, 'product details').then(versions => productDetailsAdapter.normalize(versions).channels.desktop),
+      fetchJson(new URL('thunderbird.json', versionsUrl).href, 'product-details releases'),
+      fetchJson(new URL('thunderbird_primary_builds.json', versionsUrl).href, 'product-details primary builds'),
+    ]);
+
+    const current = Object.values(channels).filter(Boolean).map(version => new URL(`candidates/${version}-candidates/`, options.url).href);
+    for (const url of finished.keys()) {
+      if (!current.some(prefix => url.startsWith(prefix))) finished.delete(url);
+    }
+    const builds = {};
+    await Promise.all(Object.entries(channels).map(async ([channel, version]) => {
+      if (!version) return;
+      try {
+        const build = channel === 'daily'
+          ? await fetchNightlyBuild(options.url, version)
+          : await fetchCandidateBuild(options.url, version);
+        builds[channel] = { version, ...build };
+      } catch (err) {
+        builds[channel] = { version, error: err.message };
+      }
+    }));
+    return { versions: channels, releases: releases?.releases || {}, primaryBuilds, builds };
+  },
+
+  /**
+   * @param {Object} raw - { versions, releases, primaryBuilds, builds }
+   * @returns {Object} The same data, validated
+   * @throws {Error} If the builds are missing
+   */
+  parse(raw) {
+    if (!raw?.builds || typeof raw.builds !== 'object') throw new Error('Unexpected desktop builds payload');
+    return raw;
+  },
+
+  /**
+   * Shipped versions link to their releases/ directory, unshipped ones to
+   * the candidates build. Platforms without an en-US installer are listed
+   * as unavailable.
+   *
+   * @param {Object} parsed - { versions, releases, primaryBuilds, builds }
+   * @param {Object} [options] - Source config with url
+   * @returns {Object} { details: { desktop } } with each channel's version and build
+   */
+  normalize({ releases, primaryBuilds, builds }, options = {}) {
+    const desktop = {};
+    for (const [channel, build] of Object.entries(builds)) {
+      if (build.error) {
+        desktop[channel] = { version: build.version, build: { error: build.error } };
+        continue;
+      }
+      const release = releases[`thunderbird-${build.version}`] || null;
+      const shippedUrl = release && options.url ? new URL(`releases/${build.version}/`, options.url).href : null;
+      const platforms = Object.entries(DESKTOP_PLATFORMS).map(([platform, label]) => {
+        const installer = build.installers[platform];
+        if (!installer) return { platform, label, available: false };
+        const url = shippedUrl && channel !== 'daily'
+          ? new URL(installer.url.slice(build.buildUrl.length), shippedUrl).href
+          : installer.url;
+        return { platform, label, available: true, name: installer.name, url, size: installer.size };
+      });
+      desktop[channel] = {
+        version: build.version,
+        build: {
+          buildId: build.buildInfo?.buildid || null,
+          buildNumber: build.buildNumber || null,
+          changeset: build.buildInfo?.moz_source_stamp || null,
+          repository: build.buildInfo?.moz_source_repo || null,
+          releaseDate: release?.date || null,
+          locales: channel === 'daily' ? build.locales : countLocales(primaryBuilds, build.version),
+          buildUrl: build.buildUrl,
+          platforms,
+        },
+      };
+    }
+    return { details: { desktop } };
+  },
+
+  /**
+   * @param {Object} value - Normalized value
+   * @returns {string|null} Problem description, or null if healthy
+   */
+  health(value) {
+    const channels = Object.values(value.details.desktop);
+    if (channels.length && channels.every(channel => channel.build.error)) {
+      return `No desktop builds found (${channels[0].build.error})`;
+    }
+    return null;
+  },
+};
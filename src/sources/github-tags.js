@@ -0,0 +1,94 @@
+// Android release and beta versions from the thunderbird-android GitHub tags.
+// Every page of tags is read (with ETag revalidation) because GitHub does not
+// list tags in version order, and the highest beta and release are picked by
+// version comparison. The releases API supplies each version's publish date
+// and release notes URL.
+
+import { fetchAllPages, fetchGitHub, parseAndroidTagToVersion } from "../github.js";
+import { compareVersions, isBetaVersion, isReleaseVersion } from "../versions.js";
+
+/**
+ * Picks the highest beta (or release candidate) and release tag.
+ *
+ * @param {Array<Object>} tags - GitHub tag objects
+ * @returns {Object} { release, beta }, each a tag object or null
+ */
+function pickTags(tags) {
+  let release = null;
+  let beta = null;
+  for (const tag of tags) {
+    const version = parseAndroidTagToVersion(tag?.name);
+    if (!version) continue;
+    if (isReleaseVersion(version) && (!release || compareVersions(version, release.version) > 0)) {
+      release = { ...tag, version };
+    }
+    if (isBetaVersion(version) && (!beta || compareVersions(version, beta.version) > 0)) {
+      beta = { ...tag, version };
+    }
+  }
+  return { release, beta };
+}
+
+export const githubTagsAdapter = {
+  type: 'github-tags',
+  channels: { android: ['release', 'beta'] },
+
+  /**
+   * Collects all tag and release pages. Tags picked for a channel that have
+   * no GitHub release are dated by their commit instead; a failed commit
+   * lookup only loses the date.
+   *
+   * @param {Object} options - Source config with url and releasesUrl
+   * @returns {Promise<Object>} { tags, releases, commitDates }
+   */
+  async fetch(options) {
+    const [tags, releases] = await Promise.all([
+      fetchAllPages(options.url),
+      options.releasesUrl ? fetchAllPages(options.releasesUrl) : [],
+    ]);
+    const released = new Set(releases.map(r => r.tag_name));
+    const commitDates = {};
+    for (const tag of Object.values(pickTags(tags))) {
+      if (!tag || released.has(tag.name) || !tag.commit?.url) continue;
+      try {
+        const { data } = await fetchGitHub(tag.commit.url);
+        commitDates[tag.name] = data?.commit?.committer?.date || null;
+      } catch (err) {
+        console.error(`Failed to date tag ${tag.name}:`, err.message);
+      }
+    }
+    return { tags, releases, commitDates };
+  },
+
+  /**
+   * @param {Object} raw - { tags, releases, commitDates }
+   * @returns {Object} The same collections, validated
+   * @throws {Error} If the tags are not a list
+   */
+  parse(raw) {
+    if (!Array.isArray(raw?.tags)) throw new Error('Unexpected Android tags payload');
+    return { tags: raw.tags, releases: raw.releases || [], commitDates: raw.commitDates || {} };
+  },
+
+  /**
+   * @param {Object} parsed - { tags, releases, commitDates }
+   * @returns {Object} { channels: { android }, details: { android } } where details carry tag, date and notesUrl
+   */
+  normalize({ tags, releases, commitDates }) {
+    const byTag = new Map(releases.map(r => [r.tag_name, r]));
+    const picked = pickTags(tags);
+    const channels = {};
+    const details = {};
+    for (const [channel, tag] of Object.entries(picked)) {
+      channels[channel] = tag ? tag.version : null;
+      if (!tag) continue;
+      const release = byTag.get(tag.name);
+      details[channel] = {
+        tag: tag.name,
+        date: release?.published_at || commitDates[tag.name] || null,
+        notesUrl: release?.html_url || null,
+      };
+    }
+    return { channels: { android: channels }, details: { android: details } };
+  },
+};
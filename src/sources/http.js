@@ -0,0 +1,18 @@
+// Shared HTTP helper for source adapters.
+
+import { upstreamFetch } from "../upstream.js";
+
+/**
+ * Fetches a URL as text and fails on non-2xx responses.
+ *
+ * @param {string} url - URL to fetch
+ * @param {string} label - What is being fetched, for error messages (e.g. "product details")
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<string>} Response body
+ * @throws {Error} If the request fails
+ */
+export async function fetchText(url, label, headers = {}) {
+  const res = await upstreamFetch(url, { method: 'GET', headers });
+  if (!res.ok) throw new Error(`Failed to fetch ${label}: ` + res.status);
+  return res.text();
+}
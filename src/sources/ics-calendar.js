@@ -0,0 +1,37 @@
+// Milestone events from an iCalendar feed. Several calendars can be
+// configured; their events are merged.
+
+import { fetchText } from "./http.js";
+import { parseCalendar } from "../ics.js";
+
+export const icsCalendarAdapter = {
+  type: 'ics-calendar',
+
+  /**
+   * @param {Object} options - Source config with url
+   * @returns {Promise<string>} Raw ICS text
+   */
+  fetch(options) {
+    return fetchText(options.url, 'calendar');
+  },
+
+  /**
+   * Recurring events are expanded and cancelled events dropped by parseCalendar().
+   *
+   * @param {string} raw - Raw ICS text
+   * @returns {Array<Object>} Events sorted by start
+   * @throws {Error} If the body is not an iCalendar feed
+   */
+  parse(raw) {
+    if (!/BEGIN:VCALENDAR/i.test(raw)) throw new Error('Calendar response is not an iCalendar feed');
+    return parseCalendar(raw);
+  },
+
+  /**
+   * @param {Array<Object>} events - Parsed events
+   * @returns {Object} { events }
+   */
+  normalize(events) {
+    return { events };
+  },
+};
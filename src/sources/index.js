@@ -0,0 +1,86 @@
+// Source adapter registry.
+// Every upstream is loaded through an adapter with the same three steps:
+// fetch(options) returns the raw response (text, or the collected pages of a
+// paginated API), parse(raw, options) turns it into structured data, and
+// normalize(parsed, options) maps that onto the common shape
+// `{ channels?: { [platform]: { [channel]: version } }, details?: { [platform]:
+// { [channel]: {...} } }, events?: [] }`, where details are extra fields for a
+// channel's record (e.g. its release date). An optional fourth step,
+// health(value, options), returns a problem description when the data looks
+// wrong, so the last good value is kept instead. Adapters that provide
+// versions list them in `channels` ({ [platform]: [channel, ...] }) so the
+// channels still appear, empty, while the source is down. Adapters that only
+// describe other sources' channels set `describesChannels`: they load after
+// the others, and fetch(options, { channels }) gets the versions those found.
+// Sources are instances of an adapter configured in src/config.js.
+
+import { getConfig } from "../config.js";
+import { productDetailsAdapter } from "./product-details.js";
+import { androidNightlyAdapter } from "./android-nightly.js";
+import { githubTagsAdapter } from "./github-tags.js";
+import { icsCalendarAdapter } from "./ics-calendar.js";
+import { desktopBuildsAdapter } from "./desktop-builds.js";
+
+const adapters = new Map();
+
+/**
+ * Registers a source adapter under its `type`, replacing any adapter of the
+ * same type.
+ *
+ * @param {Object} adapter - Adapter with type, fetch, parse, normalize and optional health, channels and describesChannels
+ * @throws {Error} If the adapter is missing a required member
+ */
+export function registerAdapter(adapter) {
+  for (const member of ['fetch', 'parse', 'normalize']) {
+    if (typeof adapter?.[member] !== 'function') throw new Error(`Adapter ${adapter?.type} has no ${member}()`);
+  }
+  if (!adapter.type) throw new Error('Adapter has no type');
+  adapters.set(adapter.type, adapter);
+}
+
+/**
+ * Looks up a registered adapter.
+ *
+ * @param {string} type - Adapter type (e.g. "ics-calendar")
+ * @returns {Object|null} Adapter, or null if none is registered
+ */
+export function getAdapter(type) {
+  return adapters.get(type) || null;
+}
+
+for (const adapter of [productDetailsAdapter, androidNightlyAdapter, githubTagsAdapter, icsCalendarAdapter, desktopBuildsAdapter]) {
+  registerAdapter(adapter);
+}
+
+/**
+ * Lists the enabled sources from the configuration, in config order.
+ *
+ * @returns {Array<Object>} Sources with key, adapter and options (the source config)
+ * @throws {Error} If a source names an adapter that is not registered
+ */
+export function configuredSources() {
+  const sources = [];
+  for (const [key, options] of Object.entries(getConfig().sources)) {
+    if (!options.enabled) continue;
+    const adapter = getAdapter(options.adapter);
+    if (!adapter) throw new Error(`Source "${key}" uses unknown adapter "${options.adapter}"`);
+    sources.push({ key, adapter, options });
+  }
+  return sources;
+}
+
+/**
+ * Runs a source through its adapter's fetch, parse, normalize and health steps.
+ *
+ * @param {Object} source - Source from configuredSources()
+ * @param {Object} [context] - Passed to fetch(); { channels } for adapters that describe channels
+ * @returns {Promise<Object>} Normalized value
+ * @throws {Error} If any step fails or the health check reports a problem
+ */
+export async function loadFromAdapter({ adapter, options }, context = {}) {
+  const raw = await adapter.fetch(options, context);
+  const value = adapter.normalize(adapter.parse(raw, options), options);
+  const problem = adapter.health ? adapter.health(value, options) : null;
+  if (problem) throw new Error(problem);
+  return value;
+}
@@ -0,0 +1,54 @@
+// Desktop channel versions from Mozilla product-details
+// (thunderbird_versions.json).
+
+import { fetchText } from "./http.js";
+
+export const productDetailsAdapter = {
+  type: 'product-details',
+  channels: { desktop: ['daily', 'release', 'beta', 'esr_current', 'esr_next'] },
+
+  /**
+   * @param {Object} options - Source config with url
+   * @returns {Promise<string>} Raw JSON text
+   */
+  fetch(options) {
+    return fetchText(options.url, 'product details');
+  },
+
+  /**
+   * @param {string} raw - Raw JSON text
+   * @returns {Object} product-details versions object
+   */
+  parse(raw) {
+    return JSON.parse(raw);
+  },
+
+  /**
+   * @param {Object} data - product-details versions object
+   * @returns {Object} { channels: { desktop } }
+   */
+  normalize(data) {
+    return {
+      channels: {
+        desktop: {
+          daily: data.LATEST_THUNDERBIRD_NIGHTLY_VERSION || null,
+          release: data.LATEST_THUNDERBIRD_VERSION || null,
+          beta: data.LATEST_THUNDERBIRD_DEVEL_VERSION || null,
+          esr_current: data.THUNDERBIRD_ESR || null,
+          esr_next: data.THUNDERBIRD_ESR_NEXT || null,
+        },
+      },
+    };
+  },
+
+  /**
+   * A file without a release version is not product-details (e.g. a mirror
+   * serving an error page as JSON); keep the last good data instead.
+   *
+   * @param {Object} value - Normalized value
+   * @returns {string|null} Problem description, or null if healthy
+   */
+  health(value) {
+    return value.channels.desktop.release ? null : 'product-details has no release version';
+  },
+};
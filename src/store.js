@@ -0,0 +1,65 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Small JSON file store under DATA_DIR (default: ./data next to src/).
+// Writes go to a temporary file that is renamed over the target, so a crash
+// mid-write never leaves a truncated store behind.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Writes to the same file are chained so they land in call order.
+const pendingWrites = new Map();
+
+/**
+ * Resolves the on-disk path of a named store.
+ *
+ * @param {string} name - Store name without extension (e.g. "last-known-good")
+ * @returns {string} Absolute path to the JSON file
+ */
+function storePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+/**
+ * Reads a named JSON store.
+ *
+ * @param {string} name - Store name without extension
+ * @param {*} fallback - Value returned when the store is missing or unreadable
+ * @returns {Promise<*>} Parsed store contents or the fallback
+ */
+export async function readStore(name, fallback = null) {
+  try {
+    const raw = await fs.readFile(storePath(name), 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read store ${name}:`, err.message);
+    return fallback;
+  }
+}
+
+/**
+ * Atomically replaces a named JSON store.
+ *
+ * @param {string} name - Store name without extension
+ * @param {*} data - JSON-serialisable contents
+ * @returns {Promise<void>} Resolves once the data is on disk
+ */
+export function writeStore(name, data) {
+  const previous = pendingWrites.get(name) || Promise.resolve();
+  const next = previous.then(async () => {
+    const target = storePath(name);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, target);
+  });
+  const settled = next.catch(err => {
+    console.error(`Failed to write store ${name}:`, err.message);
+  });
+  pendingWrites.set(name, settled);
+  return settled;
+}
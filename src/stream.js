@@ -0,0 +1,102 @@
+// Server-Sent Events stream of status updates.
+// Browsers subscribe to GET /api/stream instead of polling /api/status. The
+// stream sends the current status on connect, then a new status whenever the
+// background poller sees something on the page change, plus a "changes"
+// event for every channel version move.
+
+import { getStatus } from "./fetcher.js";
+import { poller } from "./poller.js";
+
+// Keeps proxies from closing idle connections (STREAM_HEARTBEAT, seconds).
+const HEARTBEAT_MS = (Number(process.env.STREAM_HEARTBEAT) || 25) * 1000;
+const RETRY_MS = 5000;
+
+const clients = new Set();
+let lastFingerprint = null;
+
+/**
+ * Reduces a status to the parts the page renders, so polls that only moved
+ * timestamps or latencies are not pushed to every client.
+ *
+ * @param {Object} status - Status object from getStatus()
+ * @returns {string} Comparable fingerprint
+ */
+function fingerprint(status) {
+  const sources = {};
+  for (const [name, health] of Object.entries(status.sources || {})) {
+    sources[name] = [health.status, health.error];
+  }
+  return JSON.stringify([status.channels, status.timelines, status.countdowns, sources]);
+}
+
+/**
+ * Writes one SSE event to a client.
+ *
+ * @param {Object} res - Express response of a stream client
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Sends an event to every connected client.
+ *
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ */
+function broadcast(event, data) {
+  for (const res of clients) send(res, event, data);
+}
+
+poller.on('status', status => {
+  const current = fingerprint(status);
+  if (current === lastFingerprint) return;
+  lastFingerprint = current;
+  broadcast('status', status);
+});
+
+poller.on('changes', changes => broadcast('changes', changes));
+
+/**
+ * Counts the connected stream clients.
+ *
+ * @returns {number} Open streams
+ */
+export function clientCount() {
+  return clients.size;
+}
+
+/**
+ * Express handler for GET /api/stream. Keeps the response open, sends the
+ * current status straight away and a comment line every STREAM_HEARTBEAT
+ * seconds so proxies do not close an idle connection.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export async function streamStatus(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  clients.add(res);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+
+  try {
+    const status = await getStatus();
+    if (clients.has(res)) send(res, 'status', status);
+  } catch (err) {
+    console.error('Error fetching status for stream', err);
+    if (clients.has(res)) send(res, 'status-error', { error: 'Failed to fetch status', detail: err.message });
+  }
+}
@@ -0,0 +1,146 @@
+// Single entry point for upstream HTTP requests, with an offline fixture mode.
+// FIXTURE_MODE=record fetches normally and saves every response under
+// FIXTURE_DIR (default test/fixtures/upstream) with a manifest.json mapping
+// each URL to its file; FIXTURE_MODE=replay serves those files instead of
+// touching the network, and fails for URLs that were never recorded.
+
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'upstream');
+const MANIFEST = 'manifest.json';
+// Response headers worth keeping in a recording (pagination and validators).
+const RECORDED_HEADERS = ['content-type', 'link', 'etag', 'last-modified'];
+
+// Statuses whose responses cannot have a body; Response() throws if given one.
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+let manifestCache = null;
+let recording = Promise.resolve();
+
+/**
+ * Returns the fixture directory.
+ *
+ * @returns {string} Absolute path
+ */
+function fixtureDir() {
+  return path.resolve(process.env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+}
+
+/**
+ * Reads the fixture manifest, once per directory.
+ *
+ * @returns {Promise<Object>} Map of URL to { file, status, headers }
+ */
+async function readManifest() {
+  const dir = fixtureDir();
+  if (manifestCache?.dir !== dir) {
+    let entries = {};
+    try {
+      entries = JSON.parse(await fs.readFile(path.join(dir, MANIFEST), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    manifestCache = { dir, entries };
+  }
+  return manifestCache.entries;
+}
+
+/**
+ * Derives a readable, unique fixture file name from a URL, e.g.
+ * "product-details.mozilla.org_1.0_thunderbird_versions-3f2a9c1b.json".
+ *
+ * @param {string} url - Request URL
+ * @param {string} contentType - Response content type
+ * @returns {string} File name
+ */
+function fixtureName(url, contentType) {
+  const { hostname, pathname } = new URL(url);
+  const stem = `${hostname}${pathname}`.replace(/\.[a-z]+$/i, '').replace(/[^a-z0-9.-]+/gi, '_').replace(/_+$/, '').slice(0, 80);
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 8);
+  let ext = '.txt';
+  if (/json/.test(contentType)) ext = '.json';
+  else if (/calendar/.test(contentType) || /\.ics$/i.test(pathname)) ext = '.ics';
+  else if (/html/.test(contentType)) ext = '.html';
+  return `${stem}-${hash}${ext}`;
+}
+
+/**
+ * Builds a Response, leaving out the body for statuses that have none.
+ *
+ * @param {Buffer} body - Response body
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Response} Response
+ */
+function buildResponse(body, status, headers) {
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers });
+}
+
+/**
+ * Serves a request from the recorded fixtures.
+ *
+ * @param {string} url - Request URL
+ * @returns {Promise<Response>} Recorded response
+ * @throws {Error} If the URL has no recording
+ */
+async function replay(url) {
+  const entry = (await readManifest())[url];
+  if (!entry) throw new Error(`No fixture recorded for ${url}`);
+  const body = await fs.readFile(path.join(fixtureDir(), entry.file));
+  return buildResponse(body, entry.status || 200, entry.headers || {});
+}
+
+/**
+ * Fetches a request and saves the response as a fixture.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options
+ * @returns {Promise<Response>} The live response
+ */
+async function record(url, init) {
+  const res = await fetch(url, init);
+  const body = Buffer.from(await res.arrayBuffer());
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = res.headers.get(name);
+    if (value) headers[name] = value;
+  }
+  const file = fixtureName(url, headers['content-type'] || '');
+
+  // Manifest updates are chained so concurrent recordings do not race.
+  recording = recording.then(async () => {
+    const dir = fixtureDir();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, file), body);
+    const manifest = await readManifest();
+    manifest[url] = { file, status: res.status, headers };
+    const sorted = Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)));
+    await fs.writeFile(path.join(dir, MANIFEST), JSON.stringify(sorted, null, 2) + '\n');
+  }).catch(err => console.error(`Failed to record fixture for ${url}:`, err.message));
+  await recording;
+
+  return buildResponse(body, res.status, headers);
+}
+
+/**
+ * fetch() for upstream sources. Behaves like the global fetch unless
+ * FIXTURE_MODE is "record" or "replay".
+ *
+ * @param {string|URL} url - Request URL
+ * @param {Object} [init] - fetch() options
+ * @returns {Promise<Response>} Response
+ * @throws {Error} If the request fails, or in replay mode if there is no fixture
+ */
+export function upstreamFetch(url, init = {}) {
+  const href = String(url);
+  const mode = process.env.FIXTURE_MODE;
+  if (mode === 'replay') return replay(href);
+  if (mode === 'record') return record(href, init);
+  return fetch(href, init);
+}
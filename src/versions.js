@@ -0,0 +1,124 @@
+// Thunderbird version parsing and ordering.
+// Understands dotted versions with an optional phase suffix ("145.0a1",
+// "14.0b3", "14.0rc1", "140.4.0esr") and Android tag names
+// ("THUNDERBIRD_14_0b3"). Within one version number, alpha < beta < release
+// candidate < release; ESR versions order like releases.
+
+import { parseAndroidTagToVersion } from "./github.js";
+
+const VERSION_RE = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.?(a|b|rc|esr)(\d*))?$/i;
+const PHASE_RANK = { a: 0, b: 1, rc: 2, esr: 3, release: 3 };
+
+/**
+ * Parses a version string or Android tag name.
+ *
+ * @param {string} input - e.g. "14.0b3", "140.4.0esr" or "THUNDERBIRD_14_0b3"
+ * @returns {Object|null} { version, major, minor, patch, phase ('a'|'b'|'rc'|'esr'|'release'), phaseNumber } or null if unparseable
+ */
+export function parseVersion(input) {
+  if (!input) return null;
+  const text = String(input).startsWith('THUNDERBIRD_') ? parseAndroidTagToVersion(input) : String(input).trim();
+  const m = text && text.match(VERSION_RE);
+  if (!m) return null;
+  const [, major, minor, patch, phase, phaseNumber] = m;
+  return {
+    version: text,
+    major: Number(major),
+    minor: Number(minor || 0),
+    patch: Number(patch || 0),
+    phase: phase ? phase.toLowerCase() : 'release',
+    phaseNumber: phaseNumber ? Number(phaseNumber) : 0,
+  };
+}
+
+/**
+ * Compares two versions for sorting. Unparseable versions sort first.
+ *
+ * @param {string} a - Version or tag name
+ * @param {string} b - Version or tag name
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) return (va ? 1 : 0) - (vb ? 1 : 0);
+  return va.major - vb.major ||
+    va.minor - vb.minor ||
+    va.patch - vb.patch ||
+    PHASE_RANK[va.phase] - PHASE_RANK[vb.phase] ||
+    va.phaseNumber - vb.phaseNumber;
+}
+
+/**
+ * True for beta and release candidate versions.
+ *
+ * @param {string} version - Version or tag name
+ * @returns {boolean} Whether the version is a pre-release shipped to beta
+ */
+export function isBetaVersion(version) {
+  const phase = parseVersion(version)?.phase;
+  return phase === 'b' || phase === 'rc';
+}
+
+/**
+ * True for final releases (including ESR).
+ *
+ * @param {string} version - Version or tag name
+ * @returns {boolean} Whether the version is a release
+ */
+export function isReleaseVersion(version) {
+  const phase = parseVersion(version)?.phase;
+  return phase === 'release' || phase === 'esr';
+}
+
+/**
+ * Returns the highest of a list of versions.
+ *
+ * @param {Array<string>} versions - Versions or tag names
+ * @returns {string|null} The highest one, as given, or null for an empty list
+ */
+export function highestVersion(versions) {
+  let best = null;
+  for (const version of versions) {
+    if (parseVersion(version) && (best === null || compareVersions(version, best) > 0)) best = version;
+  }
+  return best;
+}
+
+// Prefixes naming a platform in a search, e.g. "TfA 12" or "Thunderbird 140".
+const QUERY_PLATFORMS = [
+  [/^(?:tfa|thunderbird\s+for\s+android|android)\b\s*/i, 'android'],
+  [/^(?:thunderbird|tb|desktop)\b\s*/i, 'desktop'],
+];
+
+/**
+ * Parses what a user types to look up a version: a version ("145.0b2",
+ * "140.3.1esr"), a bare major ("140"), an Android tag, or either prefixed by
+ * a platform name ("TfA 12", "Thunderbird 140").
+ *
+ * @param {string} input - Search text
+ * @returns {Object|null} { version, major, bareMajor, platform } where platform is null unless the input names one, or null if unparseable
+ */
+export function parseVersionQuery(input) {
+  let text = String(input ?? '').trim();
+  let platform = null;
+  if (text.startsWith('THUNDERBIRD_')) {
+    platform = 'android';
+  } else {
+    for (const [re, name] of QUERY_PLATFORMS) {
+      if (re.test(text)) {
+        platform = name;
+        text = text.replace(re, '');
+        break;
+      }
+    }
+  }
+  const parsed = parseVersion(text.replace(/^v(?=\d)/i, ''));
+  if (!parsed) return null;
+  return {
+    version: parsed.version,
+    major: String(parsed.major),
+    bareMajor: /^\d+$/.test(parsed.version),
+    platform,
+  };
+}
@@ -0,0 +1,455 @@
+// Integration tests of /api/status against a local stub of every upstream.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { startStubUpstream } from './helpers/stub-upstream.js';
+import { validateSchema } from './helpers/schema.js';
+import { OPENAPI } from '../src/openapi.js';
+
+const UPSTREAM = {
+  productDetails: 'https://product-details.mozilla.org/1.0/thunderbird_versions.json',
+  androidNightly: 'https://ftp.mozilla.org/pub/thunderbird-mobile/android/nightly/latest-main/',
+  androidTags: 'https://api.github.com/repos/thunderbird/thunderbird-android/tags?per_page=100',
+  androidReleases: 'https://api.github.com/repos/thunderbird/thunderbird-android/releases?per_page=100',
+  desktopArchive: 'https://archive.mozilla.org/pub/thunderbird/',
+  desktopNotes: 'https://www.thunderbird.net/en-US/thunderbird/',
+  calendar: 'https://calendar.google.com/calendar/ical/c_f7b7f2cea6f65593ef05afaf2abfcfb48f87e25794468cd4a19d16495d17b6d1%40group.calendar.google.com/public/basic.ics',
+};
+
+let stub;
+let server;
+let baseUrl;
+let clearCache;
+
+before(async () => {
+  stub = await startStubUpstream();
+  // Configuration and the data directory are read when the modules load.
+  Object.assign(process.env, {
+    DATA_DIR: mkdtempSync(path.join(tmpdir(), 'tracker-data-')),
+    TRACKER_CONFIG: '',
+    PRODUCT_DETAILS_URL: stub.url(UPSTREAM.productDetails),
+    ANDROID_NIGHTLY_URL: stub.url(UPSTREAM.androidNightly),
+    ANDROID_TAGS_URL: stub.url(UPSTREAM.androidTags),
+    ANDROID_RELEASES_URL: stub.url(UPSTREAM.androidReleases),
+    DESKTOP_ARCHIVE_URL: stub.url(UPSTREAM.desktopArchive),
+    DESKTOP_NOTES_URL: stub.url(UPSTREAM.desktopNotes) + '{version}/releasenotes/',
+    CALENDAR_ICS_URL: stub.url(UPSTREAM.calendar),
+    CACHE_TTL_PRODUCT_DETAILS: '0',
+    NOTES_CACHE_SIZE: '2',
+    STREAM_HEARTBEAT: '0.05',
+  });
+  const { createApp } = await import('../src/app.js');
+  ({ clearCache } = await import('../src/cache.js'));
+  server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await stub.close();
+});
+
+beforeEach(() => {
+  stub.reset();
+  clearCache();
+});
+
+async function getStatus() {
+  const res = await fetch(`${baseUrl}/api/status`);
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+const versions = channels => Object.fromEntries(
+  Object.entries(channels).map(([platform, group]) => [platform, Object.fromEntries(
+    Object.entries(group).map(([key, record]) => [key, record.version])
+  )])
+);
+
+test('serves every channel, timeline and countdown from healthy upstreams', async () => {
+  const status = await getStatus();
+  assert.deepEqual(versions(status.channels), {
+    desktop: { daily: '146.0a1', release: '144.0.1', beta: '145.0b3', esr_current: '140.4.0esr', esr_next: null },
+    android: { daily: '15.0a1', release: '13.0', beta: '14.0b2' },
+  });
+  assert.equal(status.channels.android.release.date, '2025-09-29T13:05:40Z');
+  assert.equal(status.channels.android.beta.notesUrl, 'https://github.com/thunderbird/thunderbird-android/releases/tag/THUNDERBIRD_14_0b2');
+  const daily = status.channels.android.daily;
+  assert.equal(daily.builtAt, '2025-10-21T04:12:00.000Z');
+  assert.equal(daily.stale, true);
+  assert.deepEqual(daily.artifacts.filter(a => a.kind === 'apk').map(a => a.abi), ['arm64-v8a', 'armeabi-v7a', 'x86_64']);
+  assert.equal(daily.artifacts.length, 8);
+  const beta = status.channels.desktop.beta.build;
+  assert.equal(beta.buildId, '20251013180306');
+  assert.equal(beta.releaseDate, '2025-10-16');
+  assert.equal(beta.locales, 10);
+  const win64 = beta.platforms.find(p => p.platform === 'win64');
+  assert.equal(win64.url, stub.url(`${UPSTREAM.desktopArchive}releases/145.0b3/win64/en-US/Thunderbird%20Setup%20145.0b3.exe`));
+  assert.equal(beta.platforms.find(p => p.platform === 'win32').available, false);
+  assert.equal(status.channels.desktop.daily.build.buildId, '20251021095623');
+  for (const source of Object.values(status.sources)) assert.equal(source.status, 'ok');
+  assert.equal(status.stale, false);
+  assert.equal(status.events.length, 12);
+  assert.deepEqual(status.timelines.desktop['145'].map(m => m.kind), ['merge-day', 'beta', 'beta', 'release']);
+  assert.deepEqual(status.timelines.desktop['145'].map(m => m.phase), ['beta', 'beta', 'beta', 'release']);
+  assert.ok(status.timelines.android['14'].some(m => m.kind === 'release'));
+});
+
+test('a failing upstream only empties its own channels', async () => {
+  stub.override(UPSTREAM.productDetails, { status: 503, body: 'Service Unavailable' });
+  const status = await getStatus();
+  assert.equal(status.sources.productDetails.status, 'error');
+  assert.match(status.sources.productDetails.error, /503/);
+  assert.equal(status.channels.desktop.release.version, null);
+  assert.equal(status.channels.android.release.version, '13.0');
+  assert.equal(status.sources.calendar.status, 'ok');
+});
+
+test('a desktop build that cannot be found only loses its own details', async () => {
+  stub.override(`${UPSTREAM.desktopArchive}candidates/140.4.0esr-candidates/`, { status: 404, body: 'Not found' });
+  const status = await getStatus();
+  assert.equal(status.sources.desktopBuilds.status, 'ok');
+  assert.match(status.channels.desktop.esr_current.build.error, /404/);
+  assert.equal(status.channels.desktop.esr_current.version, '140.4.0esr');
+  assert.equal(status.channels.desktop.release.build.buildNumber, 2);
+});
+
+test('desktop builds reuse the product-details versions and finished listings', async () => {
+  const local = upstream => new URL(stub.url(upstream)).pathname + new URL(stub.url(upstream)).search;
+  await getStatus();
+  clearCache();
+  const start = stub.requests.length;
+  const status = await getStatus();
+  const requested = stub.requests.slice(start);
+  assert.equal(status.channels.desktop.beta.build.buildId, '20251013180306');
+  assert.equal(requested.filter(url => url === local(UPSTREAM.productDetails)).length, 1);
+  assert.ok(requested.includes(local(`${UPSTREAM.desktopArchive}candidates/145.0b3-candidates/build1/`)));
+  assert.deepEqual(requested.filter(url => /-candidates\/build\d+\/.+/.test(url)), []);
+});
+
+test('malformed payloads are reported as source errors', async () => {
+  stub.override(UPSTREAM.androidTags, { status: 200, headers: { 'Content-Type': 'application/json' }, body: '{"message":"API rate limit exceeded"}' });
+  stub.override(UPSTREAM.calendar, { status: 200, headers: { 'Content-Type': 'text/html' }, body: '<html>Sign in</html>' });
+  stub.override(UPSTREAM.productDetails, { status: 200, body: '{"LATEST_THUNDERBIRD_VERSION": ' });
+  const status = await getStatus();
+  assert.equal(status.sources.androidTags.status, 'error');
+  assert.match(status.sources.androidTags.error, /Unexpected GitHub payload/);
+  assert.equal(status.sources.calendar.status, 'error');
+  assert.deepEqual(status.events, []);
+  assert.deepEqual(status.countdowns, []);
+  assert.equal(status.sources.productDetails.status, 'error');
+  assert.equal(status.sources.androidNightly.status, 'ok');
+  assert.equal(status.channels.android.daily.version, '15.0a1');
+});
+
+test('an upstream that fails after a success is served degraded with its last value', async () => {
+  await getStatus();
+  stub.override(UPSTREAM.productDetails, { status: 500, body: 'Internal Server Error' });
+  // The expired value is served while a background refresh runs and fails.
+  let status = await getStatus();
+  for (let i = 0; i < 50 && status.sources.productDetails.status !== 'degraded'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    status = await getStatus();
+  }
+  assert.equal(status.sources.productDetails.status, 'degraded');
+  assert.equal(status.channels.desktop.release.version, '144.0.1');
+  assert.equal(status.stale, true);
+});
+
+test('a restart during an outage serves the last-known-good snapshot as stale', async () => {
+  await getStatus();
+  // Let the snapshot write of that request settle.
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const snapshot = JSON.parse(readFileSync(path.join(process.env.DATA_DIR, 'last-known-good.json'), 'utf8')).productDetails;
+  assert.equal(snapshot.value.channels.desktop.release, '144.0.1');
+
+  clearCache();
+  stub.override(UPSTREAM.productDetails, { status: 503, body: 'Service Unavailable' });
+  // A second instance of the fetcher starts like a restarted server.
+  const { getStatus: getStatusAfterRestart } = await import('../src/fetcher.js?restart');
+  const status = await getStatusAfterRestart();
+  assert.equal(status.channels.desktop.release.version, '144.0.1');
+  assert.equal(status.sources.productDetails.status, 'stale');
+  assert.equal(status.sources.productDetails.stale, true);
+  assert.equal(status.sources.productDetails.lastSuccess, snapshot.fetchedAt);
+  assert.equal(status.stale, true);
+});
+
+/**
+ * Reads server-sent events from a stream until `until` accepts what arrived.
+ *
+ * @param {Object} reader - Reader of the response body
+ * @param {Function} until - Called with the events so far
+ * @returns {Promise<Array<Object>>} Events { event, data } and comments { comment }
+ */
+async function readEvents(reader, until) {
+  const events = [];
+  let buffer = '';
+  while (!until(events)) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += new TextDecoder().decode(value);
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (block.startsWith(':')) {
+        events.push({ comment: block.slice(1).trim() });
+        continue;
+      }
+      const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+      if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+    }
+  }
+  return events;
+}
+
+test('streams the status on connect, pushes changes, beats and forgets closed clients', async () => {
+  const { poller } = await import('../src/poller.js');
+  const { clientCount } = await import('../src/stream.js');
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/api/stream`, { signal: controller.signal });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const reader = res.body.getReader();
+  const hasEvent = name => events => events.some(e => e.event === name);
+
+  let events = await readEvents(reader, hasEvent('status'));
+  const status = events.find(e => e.event === 'status').data;
+  assert.equal(status.channels.desktop.release.version, '144.0.1');
+  assert.equal(clientCount(), 1);
+
+  // A poll that changed nothing the page shows is not pushed; a change is.
+  poller.emit('status', { ...status, fetchedAt: new Date().toISOString() });
+  poller.emit('status', { ...status, fetchedAt: new Date().toISOString() });
+  const moved = structuredClone(status);
+  moved.channels.desktop.release.version = '144.0.2';
+  poller.emit('status', moved);
+  poller.emit('changes', [{ id: 'c1', message: 'Desktop release moved from 144.0.1 to 144.0.2' }]);
+  events = await readEvents(reader, hasEvent('changes'));
+  const pushed = events.filter(e => e.event === 'status');
+  assert.ok(pushed.length <= 2, 'an unchanged status is pushed once at most');
+  assert.equal(pushed[pushed.length - 1].data.channels.desktop.release.version, '144.0.2');
+  assert.deepEqual(events.find(e => e.event === 'changes').data.map(c => c.id), ['c1']);
+
+  events = await readEvents(reader, events => events.some(e => e.comment === 'heartbeat'));
+  assert.ok(events.some(e => e.comment === 'heartbeat'));
+
+  controller.abort();
+  for (let i = 0; i < 50 && clientCount() > 0; i++) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(clientCount(), 0);
+});
+
+test('unknown routes and bad parameters return client errors', async () => {
+  assert.equal((await fetch(`${baseUrl}/api/history?channel=aurora`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/calendar.ics?platform=ios`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/calendar.ics?channel=constructor`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/calendar/nope.ics`)).status, 404);
+});
+
+test('serves sanitized release notes of desktop and Android versions', async () => {
+  let res = await fetch(`${baseUrl}/api/notes/desktop/beta`);
+  assert.equal(res.status, 200);
+  const desktop = await res.json();
+  assert.equal(desktop.version, '145.0b3');
+  assert.equal(desktop.url, stub.url(`${UPSTREAM.desktopNotes}145.0beta/releasenotes/`));
+  assert.match(desktop.html, /<h3>Version 145\.0beta/);
+  assert.match(desktop.html, /Exchange Web Services support for <strong>address books<\/strong>/);
+  assert.doesNotMatch(desktop.html, /<script|onclick|javascript:|Download|contributors/);
+
+  res = await fetch(`${baseUrl}/api/notes/android/release`);
+  assert.equal(res.status, 200);
+  const android = await res.json();
+  assert.equal(android.url, 'https://github.com/thunderbird/thunderbird-android/releases/tag/THUNDERBIRD_13_0');
+  assert.match(android.html, /<li>Unified inbox is now <strong>on by default<\/strong><\/li>/);
+  assert.match(android.html, /&lt;script&gt;/);
+
+  const status = await getStatus();
+  assert.equal(status.channels.desktop.release.notesUrl, stub.url(`${UPSTREAM.desktopNotes}144.0.1/releasenotes/`));
+});
+
+test('release notes report missing channels and upstream failures', async () => {
+  assert.equal((await fetch(`${baseUrl}/api/notes/desktop/daily`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/api/notes/desktop/nope`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/api/notes/android/beta`)).status, 200);
+  const res = await fetch(`${baseUrl}/api/notes/desktop/release`);
+  assert.equal(res.status, 502);
+  assert.match((await res.json()).detail, /404/);
+});
+
+test('keeps the notes of the most recently read versions only, outside the status cache info', async () => {
+  const betaNotes = stub.url(`${UPSTREAM.desktopNotes}145.0beta/releasenotes/`).replace(/^http:\/\/[^/]+/, '');
+  const fetches = () => stub.requests.filter(url => url === betaNotes).length;
+  const before = fetches();
+  for (const path of ['desktop/beta', 'android/release', 'desktop/beta', 'android/beta', 'android/release', 'desktop/beta']) {
+    assert.equal((await fetch(`${baseUrl}/api/notes/${path}`)).status, 200);
+  }
+  // desktop/beta is read again from the cache, then dropped once two other versions were read.
+  assert.equal(fetches() - before, 2);
+
+  const status = await getStatus();
+  assert.ok(Object.keys(status.cache).length > 0);
+  assert.ok(Object.keys(status.cache).every(key => !key.startsWith('notes:')));
+});
+
+test('the command-line client waits for fresh data and leaves the data directory alone', async () => {
+  const { runCli, EXIT_OK } = await import('../src/cli.js');
+  await getStatus();
+  // Let the snapshot and history writes of the server's request settle.
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const files = () => Object.fromEntries(readdirSync(process.env.DATA_DIR).map(name => [name, readFileSync(path.join(process.env.DATA_DIR, name), 'utf8')]));
+  const stored = files();
+  assert.ok(stored['last-known-good.json'] && stored['history.json']);
+
+  const details = JSON.parse(readFileSync(new URL('./fixtures/upstream/product-details.mozilla.org_1.0_thunderbird_versions-41473501.json', import.meta.url), 'utf8'));
+  stub.override(UPSTREAM.productDetails, { status: 200, body: JSON.stringify({ ...details, LATEST_THUNDERBIRD_DEVEL_VERSION: '145.0b4' }) });
+  let out = '';
+  const io = { stdout: { write: text => { out += text; } }, stderr: { write: () => {} }, env: {} };
+  assert.equal(await runCli(['status', 'beta'], io), EXIT_OK);
+  assert.equal(out, '145.0b4\n');
+  assert.equal(await runCli(['history', 'android.release', '--format', 'plain'], io), EXIT_OK);
+  assert.match(out, /\t13\.0\tgithub\n/);
+  assert.deepEqual(files(), stored);
+});
+
+test('reconstructs the channels and trains of a past date', async () => {
+  let res = await fetch(`${baseUrl}/api/as-of?date=2025-10-25`);
+  assert.equal(res.status, 200);
+  const asOf = await res.json();
+  assert.equal(asOf.asOf, '2025-10-25T23:59:59.999Z');
+  assert.deepEqual(asOf.trains.desktop.map(t => [t.phase, t.major]), [['nightly', '146'], ['beta', '145'], ['release', '144'], ['esr', '140']]);
+  assert.equal(asOf.channels.desktop.beta.major, '145');
+  assert.equal(asOf.channels.android.beta.version, '14.0b2');
+
+  res = await fetch(`${baseUrl}/api/as-of?date=yesterday`);
+  assert.equal(res.status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/as-of`)).status, 400);
+});
+
+test('projects the release schedule of the next majors', async () => {
+  let res = await fetch(`${baseUrl}/api/schedule?platform=desktop&majors=4`);
+  assert.equal(res.status, 200);
+  const schedule = await res.json();
+  assert.deepEqual(Object.keys(schedule.platforms), ['desktop']);
+  const { cadence, trains } = schedule.platforms.desktop;
+  assert.equal(cadence.cycleDays, 28);
+  assert.deepEqual(trains.map(t => [t.major, t.release.date.slice(0, 10), t.release.projected]), [
+    ['145', '2025-11-11', false],
+    ['146', '2025-12-09', true],
+    ['147', '2026-01-06', true],
+    ['148', '2026-02-03', true],
+  ]);
+  const merge = trains[1].milestones.find(m => m.kind === 'merge-day' && m.phase === 'beta');
+  assert.deepEqual([merge.date.slice(0, 10), merge.projected], ['2025-11-03', false]);
+
+  res = await fetch(`${baseUrl}/api/schedule`);
+  assert.deepEqual(Object.keys((await res.json()).platforms), ['desktop', 'android']);
+  assert.equal((await fetch(`${baseUrl}/api/schedule?platform=ios`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/schedule?majors=25`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/schedule?majors=two`)).status, 400);
+});
+
+test('serves channel badges as SVG', async () => {
+  let res = await fetch(`${baseUrl}/badge/desktop/beta.svg`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.match(res.headers.get('cache-control'), /max-age=300/);
+  assert.match(await res.text(), /<title>thunderbird beta: 145\.0b3<\/title>/);
+
+  res = await fetch(`${baseUrl}/badge/desktop/esr.svg`);
+  assert.match(await res.text(), /<title>thunderbird esr: 140\.\d+\.\d+esr<\/title>/);
+
+  res = await fetch(`${baseUrl}/badge/android/nightly.svg`);
+  assert.equal(res.status, 404);
+  assert.match(await res.text(), /unknown channel/);
+});
+
+/**
+ * Fetches a /api/v1 resource and checks it against its OpenAPI schema.
+ *
+ * @param {string} path - Path under /api/v1
+ * @param {string} schema - Component schema name
+ * @returns {Promise<Object>} { res, body }
+ */
+async function getV1(path, schema) {
+  const res = await fetch(`${baseUrl}/api/v1${path}`);
+  assert.equal(res.status, 200, path);
+  const body = await res.json();
+  assert.deepEqual(validateSchema(body, { $ref: `#/components/schemas/${schema}` }, OPENAPI), []);
+  return { res, body };
+}
+
+test('serves channels and versions under /api/v1 matching the OpenAPI schemas', async () => {
+  const { body: list } = await getV1('/channels', 'ChannelList');
+  const beta = list.channels.find(c => c.platform === 'desktop' && c.channel === 'beta');
+  assert.equal(beta.version, '145.0b3');
+  assert.equal(beta.buildId, '20251013180306');
+  assert.equal(beta.links.version, '/api/v1/versions/145.0b3?platform=desktop');
+
+  const { body: esr } = await getV1('/channels/desktop/esr', 'ChannelDetail');
+  assert.equal(esr.channel.channel, 'esr_current');
+  assert.ok(esr.milestones.every(m => m.major === '140'));
+  await getV1('/channels/android/daily', 'ChannelDetail');
+  assert.equal((await fetch(`${baseUrl}/api/v1/channels/android/esr_current`)).status, 404);
+
+  const { body: version } = await getV1('/versions/145.0b3', 'Version');
+  assert.equal(version.platform, 'desktop');
+  assert.deepEqual(version.channels.map(c => c.channel), ['beta']);
+  assert.equal(version.phases.beta, '2025-10-06T00:00:00.000Z');
+  assert.equal(version.phases.release, '2025-11-11T00:00:00.000Z');
+
+  const { body: android } = await getV1('/versions/14', 'Version');
+  assert.equal(android.platform, 'android');
+  assert.deepEqual(android.channels.map(c => c.channel), ['beta']);
+  const { body: tfa } = await getV1(`/versions/${encodeURIComponent('TfA 13')}`, 'Version');
+  assert.equal(tfa.platform, 'android');
+  assert.equal(tfa.version, '13');
+  assert.deepEqual(tfa.history.map(({ channel, version, until }) => [channel, version, until]), [
+    ['android.beta', '13.0b4', '2025-10-13T14:40:52.000Z'],
+    ['android.release', '13.0', null],
+  ]);
+  assert.equal(tfa.history[1].notesUrl, 'https://github.com/thunderbird/thunderbird-android/releases/tag/THUNDERBIRD_13_0');
+  assert.equal((await fetch(`${baseUrl}/api/v1/versions/${encodeURIComponent('TfA 13')}?platform=desktop`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/v1/versions/banana`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/v1/versions/99.0`)).status, 404);
+});
+
+test('filters /api/v1/events by date range and platform', async () => {
+  const { body } = await getV1('/events?from=2025-10-21&to=2025-10-22', 'EventList');
+  assert.deepEqual(body.events.map(e => e.summary), ['Thunderbird 145.0b3', 'Thunderbird 140.4.0esr', 'TfA 13.0 Release']);
+  assert.equal(body.from, '2025-10-21T00:00:00.000Z');
+  assert.equal(body.to, '2025-10-22T23:59:59.999Z');
+
+  const { body: android } = await getV1('/events?platform=android', 'EventList');
+  assert.ok(android.events.length > 0 && android.events.every(e => e.platform === 'android'));
+  assert.equal((await fetch(`${baseUrl}/api/v1/events?from=soon`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/v1/events?platform=ios`)).status, 400);
+});
+
+test('answers /api/v1 revalidation with 304 and allows cross-origin reads', async () => {
+  let res = await fetch(`${baseUrl}/api/v1/channels`, { headers: { Origin: 'https://wiki.example' } });
+  const etag = res.headers.get('etag');
+  assert.match(etag, /^"[\w-]+"$/);
+  assert.equal(res.headers.get('access-control-allow-origin'), '*');
+  assert.match(res.headers.get('access-control-expose-headers'), /ETag/);
+
+  res = await fetch(`${baseUrl}/api/v1/channels`, { headers: { 'If-None-Match': etag } });
+  assert.equal(res.status, 304);
+
+  res = await fetch(`${baseUrl}/api/v1/channels`, { method: 'OPTIONS', headers: { Origin: 'https://wiki.example', 'Access-Control-Request-Method': 'GET' } });
+  assert.equal(res.status, 204);
+  assert.match(res.headers.get('access-control-allow-methods'), /GET/);
+});
+
+test('serves its OpenAPI document', async () => {
+  const res = await fetch(`${baseUrl}/api/v1/openapi.json`);
+  assert.equal(res.status, 200);
+  const doc = await res.json();
+  assert.equal(doc.openapi, '3.0.3');
+  assert.deepEqual(Object.keys(doc.paths), ['/channels', '/channels/{platform}/{channel}', '/versions/{version}', '/events', '/openapi.json']);
+  assert.equal((await fetch(`${baseUrl}/api/v1/nothing`)).status, 404);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTimelines } from '../src/milestones.js';
+import { parseAsOfDate, milestonePhase, trainsAsOf, channelsAsOf, buildAsOf } from '../src/asof.js';
+
+const event = (summary, day) => ({ uid: summary, summary, start: `${day}T00:00:00.000Z`, allDay: true });
+const timelines = buildTimelines([
+  event('Merge Day - 145 Nightly, 144 Beta', '2025-09-08'),
+  event('Thunderbird 144.0b1', '2025-09-09'),
+  event('Thunderbird 143.0 Release', '2025-09-16'),
+  event('Thunderbird 144.0b2', '2025-09-16'),
+  event('Merge Day - 146 Nightly, 145 Beta', '2025-10-06'),
+  event('Thunderbird 144.0 Release', '2025-10-14'),
+  event('Thunderbird 140.4.0esr', '2025-10-14'),
+  event('TfA 13.0 Release', '2025-09-29'),
+]);
+
+test('parseAsOfDate takes the end of a day or an exact time', () => {
+  assert.equal(parseAsOfDate('2025-09-01').toISOString(), '2025-09-01T23:59:59.999Z');
+  assert.equal(parseAsOfDate('2025-09-01T08:00:00Z').toISOString(), '2025-09-01T08:00:00.000Z');
+  assert.equal(parseAsOfDate('2025-02-30'), null);
+  assert.equal(parseAsOfDate('last month'), null);
+  assert.equal(parseAsOfDate(undefined), null);
+});
+
+test('milestonePhase reads where a merge day moved each major', () => {
+  const [nightly, beta] = timelines.desktop['145'];
+  assert.equal(milestonePhase(nightly), 'nightly');
+  assert.equal(milestonePhase(beta), 'beta');
+  assert.equal(milestonePhase(timelines.desktop['140'][0]), 'esr');
+});
+
+test('trainsAsOf finds the train in each phase on a day', () => {
+  const trains = trainsAsOf(timelines, parseAsOfDate('2025-09-20'));
+  assert.deepEqual(trains.desktop.map(t => [t.phase, t.major, t.milestone.label]), [
+    ['nightly', '145', 'Merge day'],
+    ['beta', '144', 'Beta 2'],
+    ['release', '143', 'Release'],
+  ]);
+  assert.equal(trains.desktop[1].next.label, 'Release');
+  assert.deepEqual(trains.android.map(t => [t.phase, t.major]), []);
+
+  const later = trainsAsOf(timelines, parseAsOfDate('2025-10-14'));
+  assert.deepEqual(later.desktop.map(t => [t.phase, t.major]), [['nightly', '146'], ['beta', '145'], ['release', '144'], ['esr', '140']]);
+  assert.deepEqual(later.android.map(t => [t.phase, t.major]), [['release', '13']]);
+});
+
+test('channelsAsOf prefers recorded versions and falls back to the calendar', () => {
+  const history = {
+    channels: {
+      'desktop.beta': [
+        { version: '144.0b3', date: '2025-09-23T00:00:00.000Z', source: 'product-details' },
+        { version: '144.0b2', date: '2025-09-16T00:00:00.000Z', source: 'product-details' },
+      ],
+      'android.release': [{ version: '12.0', date: '2025-08-01T00:00:00.000Z', source: 'github' }],
+    },
+  };
+  const at = parseAsOfDate('2025-09-20');
+  const channels = channelsAsOf(history, at, trainsAsOf(timelines, at));
+  assert.deepEqual(channels.desktop.beta, { version: '144.0b2', major: '144', since: '2025-09-16T00:00:00.000Z', source: 'product-details' });
+  assert.deepEqual(channels.desktop.daily, { version: null, major: '145', since: '2025-09-08T00:00:00.000Z', source: 'calendar' });
+  assert.equal(channels.desktop.esr, null);
+  assert.equal(channels.android.release.version, '12.0');
+
+  const result = buildAsOf({ ...history, backfilledAt: '2025-10-01T00:00:00.000Z' }, timelines, at);
+  assert.equal(result.asOf, '2025-09-20T23:59:59.999Z');
+  assert.equal(result.historyBackfilledAt, '2025-10-01T00:00:00.000Z');
+});
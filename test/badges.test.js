@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderBadge, channelBadge, resolveBadgeChannel } from '../src/badges.js';
+
+test('channelBadge labels the channel and colors it by health', () => {
+  assert.deepEqual(channelBadge('desktop', 'beta', { version: '145.0b3' }, { status: 'ok' }), {
+    label: 'thunderbird beta',
+    message: '145.0b3',
+    color: '#007ec6',
+  });
+  assert.equal(channelBadge('android', 'release', { version: '13.0' }).label, 'thunderbird android release');
+  assert.equal(channelBadge('desktop', 'esr_next', { version: '140.4.0esr' }).label, 'thunderbird next esr');
+  assert.equal(channelBadge('desktop', 'release', { version: '144.0.1' }, { status: 'degraded' }).color, '#dfb317');
+  assert.equal(channelBadge('android', 'daily', { version: '15.0a1', stale: true }).color, '#dfb317');
+  assert.deepEqual(channelBadge('desktop', 'esr_next', { version: null }), {
+    label: 'thunderbird next esr',
+    message: 'unknown',
+    color: '#9f9f9f',
+  });
+  assert.equal(resolveBadgeChannel('esr'), 'esr_current');
+});
+
+test('renderBadge sizes both halves to their text and escapes it', () => {
+  const svg = renderBadge({ label: 'thunderbird beta', message: '<b>&', color: '#007ec6' });
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="\d+" height="20"/);
+  assert.match(svg, /aria-label="thunderbird beta: &lt;b&gt;&amp;"/);
+  assert.doesNotMatch(svg, /<b>/);
+
+  const short = renderBadge({ label: 'thunderbird beta', message: '1', color: '#4c1' });
+  const long = renderBadge({ label: 'thunderbird beta', message: '145.0b3', color: '#4c1' });
+  const width = svg => Number(svg.match(/width="(\d+)"/)[1]);
+  assert.ok(width(long) > width(short));
+});
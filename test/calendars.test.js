@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMilestoneCalendar, parseCalendarQuery } from '../src/calendars.js';
+import { buildTimelines } from '../src/milestones.js';
+import { parseCalendar } from '../src/ics.js';
+
+const event = (uid, summary, start) => ({ uid, summary, start, end: null, allDay: true });
+const timelines = buildTimelines([
+  event('merge', 'Merge day: 146 Nightly, 145 Beta', '2025-10-13T00:00:00.000Z'),
+  event('beta', 'Thunderbird 145.0b3', '2025-10-14T00:00:00.000Z'),
+  event('esr', 'Thunderbird 140.4.1esr', '2025-10-21T00:00:00.000Z'),
+  event('tfa', 'Thunderbird for Android 13.0 Release', '2025-10-22T00:00:00.000Z'),
+]);
+const WINDOW = { from: '2025-01-01T00:00:00Z', to: '2026-12-31T00:00:00Z' };
+const summaries = ics => parseCalendar(ics, WINDOW).map(e => e.summary);
+
+test('buildMilestoneCalendar filters by platform and channel', () => {
+  assert.deepEqual(summaries(buildMilestoneCalendar(timelines, { platform: 'desktop', channel: 'esr' })), ['Thunderbird 140.4.1esr']);
+  assert.deepEqual(summaries(buildMilestoneCalendar(timelines, { platform: 'android' })), ['Thunderbird for Android 13.0 Release']);
+  assert.deepEqual(
+    summaries(buildMilestoneCalendar(timelines, { platform: 'desktop', channel: 'beta' })),
+    ['Merge day: 146 Nightly, 145 Beta', 'Thunderbird 145.0b3']
+  );
+});
+
+test('buildMilestoneCalendar exports multi-major events once with stable UIDs', () => {
+  const ics = buildMilestoneCalendar(timelines, { kinds: ['merge-day'] });
+  const events = parseCalendar(ics, WINDOW);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].uid, '20251013-merge');
+  assert.equal(events[0].description, 'Desktop 145: Merge day\nDesktop 146: Merge day');
+  assert.match(ics, /X-WR-CALNAME:Thunderbird milestones/);
+});
+
+test('parseCalendarQuery validates parameters', () => {
+  assert.deepEqual(parseCalendarQuery({ platform: 'desktop', kind: 'beta, release' }), { filter: { platform: 'desktop', kinds: ['beta', 'release'] } });
+  assert.ok(parseCalendarQuery({ platform: 'ios' }).error);
+  assert.ok(parseCalendarQuery({ channel: 'aurora' }).error);
+  assert.ok(parseCalendarQuery({ channel: 'constructor' }).error);
+  assert.ok(parseCalendarQuery({ channel: 'toString' }).error);
+  assert.ok(parseCalendarQuery({ kind: 'beta,party' }).error);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { versionMap, diffVersions, mergeVersions } from '../src/changes.js';
+
+const at = new Date('2025-10-21T12:00:00Z');
+
+test('versionMap flattens channel records', () => {
+  const channels = {
+    desktop: { beta: { version: '145.0b3', major: '145' }, daily: null },
+    android: { release: { version: '13.0', major: '13' } },
+  };
+  assert.deepEqual(versionMap(channels), { 'desktop.beta': '145.0b3', 'desktop.daily': null, 'android.release': '13.0' });
+});
+
+test('diffVersions reports moved channels with stable ids', () => {
+  const changes = diffVersions(
+    { 'desktop.beta': '145.0b2', 'desktop.release': '144.0', 'android.release': '13.0' },
+    { 'desktop.beta': '145.0b3', 'desktop.release': '144.0', 'android.release': null, 'android.beta': '14.0b1' },
+    at
+  );
+  assert.deepEqual(changes.map(c => [c.id, c.message]), [
+    ['desktop.beta:145.0b2->145.0b3', 'Desktop beta moved from 145.0b2 to 145.0b3'],
+    ['android.beta:->14.0b1', 'Android beta is now 14.0b1'],
+  ]);
+  assert.equal(changes[0].at, at.toISOString());
+});
+
+test('mergeVersions keeps previous versions for empty channels', () => {
+  assert.deepEqual(
+    mergeVersions({ 'android.release': '13.0', 'desktop.beta': '145.0b2' }, { 'android.release': null, 'desktop.beta': '145.0b3' }),
+    { 'android.release': '13.0', 'desktop.beta': '145.0b3' }
+  );
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCli, formatResult, resolveStatusChannel, EXIT_OK, EXIT_FAILURE, EXIT_USAGE, EXIT_NOT_FOUND } from '../src/cli.js';
+
+const STATUS = {
+  channels: {
+    desktop: {
+      release: { version: '144.0.1', major: '144', source: 'productDetails' },
+      esr_current: { version: '140.4.0esr', major: '140', source: 'productDetails' },
+      esr_next: { version: null, major: null, source: 'productDetails' },
+    },
+    android: { beta: { version: '14.0b2', major: '14', source: 'androidTags' } },
+  },
+  sources: { productDetails: { status: 'ok' }, androidTags: { status: 'degraded' } },
+  timelines: {
+    desktop: {
+      145: [
+        { kind: 'beta', label: 'Beta 3', date: '2025-10-21T00:00:00.000Z', summary: 'Thunderbird 145.0b3' },
+        { kind: 'release', label: 'Release', date: '2025-11-11T00:00:00.000Z', summary: 'Thunderbird 145.0 Release' },
+      ],
+    },
+    android: {},
+  },
+};
+const SCHEDULE = {
+  platforms: {
+    desktop: { trains: [{ version: '145.0', release: { date: '2025-11-11T00:00:00.000Z', projected: false } }] },
+    android: { trains: [{ version: '14.0', release: { date: '2025-11-19T00:00:00.000Z', projected: true } }] },
+  },
+};
+
+/**
+ * Runs the CLI against a fake tracker answering from canned responses.
+ *
+ * @param {Array<string>} argv - Arguments
+ * @param {Object} [routes] - Path (with query) to [status, body]
+ * @returns {Promise<Object>} { code, out, err, requested }
+ */
+async function run(argv, routes = {}) {
+  let out = '';
+  let err = '';
+  const requested = [];
+  const responses = { '/api/status': [200, STATUS], '/api/schedule?majors=1': [200, SCHEDULE], ...routes };
+  const fakeFetch = async (url) => {
+    requested.push(url.pathname + url.search);
+    const [status, body] = responses[url.pathname + url.search] || [404, { error: 'Not found' }];
+    return { ok: status < 400, status, statusText: '', json: async () => body };
+  };
+  const code = await runCli([...argv, '--server', 'http://tracker.test'], {
+    stdout: { write: s => { out += s; } },
+    stderr: { write: s => { err += s; } },
+    env: {},
+    fetch: fakeFetch,
+    now: new Date('2025-10-25T00:00:00Z'),
+  });
+  return { code, out, err, requested };
+}
+
+test('status prints a table, or just the version of one channel', async () => {
+  let result = await run(['status']);
+  assert.equal(result.code, EXIT_OK);
+  const lines = result.out.trimEnd().split('\n');
+  assert.match(lines[0], /^Platform\s+Channel\s+Version\s+Source$/);
+  assert.match(lines[2], /^desktop\s+release\s+144\.0\.1\s+ok$/);
+  assert.match(lines[5], /^android\s+beta\s+14\.0b2\s+degraded$/);
+
+  result = await run(['status', 'esr']);
+  assert.equal(result.out, '140.4.0esr\n');
+
+  result = await run(['status', 'android.beta', '--json']);
+  assert.deepEqual(JSON.parse(result.out), { platform: 'android', channel: 'beta', version: '14.0b2', major: '14', source: 'androidTags' });
+
+  assert.equal((await run(['status', 'esr_next'])).code, EXIT_NOT_FOUND);
+  assert.equal((await run(['status', 'aurora'])).code, EXIT_USAGE);
+});
+
+test('next-release counts down to the next major of each platform', async () => {
+  const result = await run(['next-release', '--format', 'plain']);
+  assert.equal(result.code, EXIT_OK);
+  assert.equal(result.out, 'desktop\t145.0\t2025-11-11\t17\tno\nandroid\t14.0\t2025-11-19\t25\tyes\n');
+  assert.equal((await run(['next-release', '-p', 'android', '-f', 'plain'])).out.split('\n').length, 2);
+});
+
+test('milestones lists the calendar entries of a major', async () => {
+  const result = await run(['milestones', '145.0b3', '-f', 'plain']);
+  assert.equal(result.out, '2025-10-21\tBeta 3\tThunderbird 145.0b3\n2025-11-11\tRelease\tThunderbird 145.0 Release\n');
+  assert.equal((await run(['milestones', '150'])).code, EXIT_NOT_FOUND);
+  assert.equal((await run(['milestones'])).code, EXIT_USAGE);
+});
+
+test('history and as-of validate their argument before asking the server', async () => {
+  const entries = [
+    { version: '140.4.0esr', date: '2025-10-14T00:00:00.000Z', source: 'product-details' },
+    { version: '140.3.0esr', date: '2025-09-16T00:00:00.000Z', source: 'product-details' },
+  ];
+  let result = await run(['history', 'esr', '-n', '1', '-f', 'plain'], {
+    '/api/history?channel=desktop.esr': [200, { channel: 'desktop.esr', entries }],
+  });
+  assert.equal(result.out, '2025-10-14\t140.4.0esr\tproduct-details\n');
+
+  result = await run(['history', 'aurora']);
+  assert.equal(result.code, EXIT_USAGE);
+  assert.deepEqual(result.requested, []);
+
+  result = await run(['as-of', '2025-02-30']);
+  assert.equal(result.code, EXIT_USAGE);
+  assert.deepEqual(result.requested, []);
+
+  result = await run(['as-of', '2025-10-25', '-f', 'plain'], {
+    '/api/as-of?date=2025-10-25': [200, { channels: { desktop: { beta: { version: null, major: '145', since: '2025-10-06T00:00:00.000Z', source: 'calendar' } } } }],
+  });
+  assert.equal(result.out, 'desktop\tbeta\t145 (calendar)\t2025-10-06\n');
+});
+
+test('usage errors and server failures map to exit codes', async () => {
+  assert.equal((await run([])).code, EXIT_USAGE);
+  assert.equal((await run(['deploy'])).code, EXIT_USAGE);
+  assert.equal((await run(['status', '--format', 'xml'])).code, EXIT_USAGE);
+  assert.equal((await run(['status', '--verbose'])).code, EXIT_USAGE);
+
+  const result = await run(['status'], { '/api/status': [500, { error: 'Failed to fetch status' }] });
+  assert.equal(result.code, EXIT_FAILURE);
+  assert.match(result.err, /answered 500: Failed to fetch status/);
+
+  const badDate = await run(['as-of', '2025-10-25'], { '/api/as-of?date=2025-10-25': [400, { error: 'Invalid date' }] });
+  assert.equal(badDate.code, EXIT_USAGE);
+  for (const status of [401, 403, 404, 429]) {
+    const refused = await run(['status'], { '/api/status': [status, {}] });
+    assert.equal(refused.code, EXIT_FAILURE, `HTTP ${status}`);
+  }
+
+  const help = await run(['--help']);
+  assert.equal(help.code, EXIT_OK);
+  assert.match(help.out, /^Usage: tb-trains/);
+});
+
+test('formatResult aligns table columns', () => {
+  const result = { columns: ['A', 'Long'], rows: [['xyz', '1'], ['q', '22']] };
+  assert.equal(formatResult(result, 'table'), 'A    Long\n---  ----\nxyz  1\nq    22\n');
+  assert.deepEqual(resolveStatusChannel('Android:Release'), ['android', 'release']);
+});
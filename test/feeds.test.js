@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+let releasesFeed;
+let milestonesFeed;
+let recordMilestonesSeen;
+
+before(async () => {
+  // The data directory is read when the modules load.
+  process.env.DATA_DIR = mkdtempSync(path.join(tmpdir(), 'tracker-feeds-'));
+  ({ releasesFeed, milestonesFeed, recordMilestonesSeen } = await import('../src/feeds.js'));
+});
+
+const base = 'https://trains.example';
+
+test('releasesFeed has one entry per version per channel with stable ids', () => {
+  const history = {
+    channels: {
+      'desktop.beta': [
+        { version: '145.0b3', date: '2025-10-21T00:00:00.000Z', source: 'product-details' },
+        { version: '145.0b2', date: '2025-10-17T00:00:00.000Z', source: 'product-details' },
+      ],
+      'android.release': [{ version: '13.0', date: '2025-10-20T09:30:00.000Z', source: 'observed' }],
+    },
+  };
+  const xml = releasesFeed(history, base);
+  assert.equal(xml.match(/<entry>/g).length, 3);
+  assert.match(xml, /<id>urn:thunderbird-trains:release:desktop\.beta:145\.0b3<\/id>/);
+  assert.match(xml, /Desktop beta moved from 145\.0b2 to 145\.0b3\. Released October 21, 2025\./);
+  assert.match(xml, /<updated>2025-10-21T00:00:00.000Z<\/updated>/);
+  assert.ok(xml.indexOf('145.0b3') < xml.indexOf('android.release'), 'newest entry first');
+  assert.equal(releasesFeed(history, base), xml);
+});
+
+const milestone = (date, kind, label, summary) => ({
+  platform: 'desktop', major: '146', version: null, kind, label, date, allDay: true, summary, uid: `uid-${kind}`,
+});
+
+test('milestonesFeed lists upcoming milestones only and escapes text', () => {
+  const timelines = {
+    desktop: {
+      146: [
+        milestone('2025-10-10T00:00:00.000Z', 'merge-day', 'Merge day', 'Merge day'),
+        milestone('2025-10-28T00:00:00.000Z', 'string-freeze', 'String freeze', 'Thunderbird 146 <String> Freeze & co'),
+      ],
+    },
+    android: {},
+  };
+  const xml = milestonesFeed(timelines, base, new Date('2025-10-21T12:00:00Z'));
+  assert.equal(xml.match(/<entry>/g).length, 1);
+  assert.match(xml, /urn:thunderbird-trains:milestone:uid-string-freeze:desktop:146:string-freeze:2025-10-28/);
+  assert.match(xml, /Thunderbird 146 &lt;String&gt; Freeze &amp; co/);
+});
+
+test('milestonesFeed dates entries by when they were first seen, not in the future', async () => {
+  const timelines = {
+    desktop: {
+      146: [
+        milestone('2025-11-10T00:00:00.000Z', 'merge-day', 'Merge day', 'Merge day'),
+        milestone('2025-10-28T00:00:00.000Z', 'string-freeze', 'String freeze', 'String freeze'),
+      ],
+    },
+  };
+  const firstSeen = await recordMilestonesSeen(timelines, new Date('2025-10-20T08:00:00Z'));
+  const now = new Date('2025-10-21T12:00:00Z');
+  const seenAt = await recordMilestonesSeen(timelines, now);
+  assert.deepEqual(seenAt, firstSeen);
+
+  const xml = milestonesFeed(timelines, base, now, seenAt);
+  const updated = [...xml.matchAll(/<updated>([^<]+)<\/updated>/g)].map(m => m[1]);
+  assert.deepEqual(updated, ['2025-10-20T08:00:00.000Z', '2025-10-20T08:00:00.000Z', '2025-10-20T08:00:00.000Z']);
+  assert.ok(xml.indexOf('String freeze on') < xml.indexOf('Merge day on'), 'soonest milestone first');
+  assert.match(xml, /Merge day \(November 10, 2025\)\./);
+
+  // A rescheduled milestone is a new entry, seen now; the old one is forgotten.
+  timelines.desktop[146][0] = milestone('2025-11-12T00:00:00.000Z', 'merge-day', 'Merge day', 'Merge day');
+  const later = new Date('2025-10-22T12:00:00Z');
+  const rescheduled = await recordMilestonesSeen(timelines, later);
+  assert.deepEqual(Object.values(rescheduled).sort(), ['2025-10-20T08:00:00.000Z', later.toISOString()]);
+  assert.match(milestonesFeed(timelines, base, later, rescheduled), new RegExp(`<updated>${later.toISOString()}</updated>`));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { parseAndroidTagToVersion, fetchAllPages, fetchGitHub } from '../src/github.js';
+
+test('parseAndroidTagToVersion converts tag names to versions', () => {
+  assert.equal(parseAndroidTagToVersion('THUNDERBIRD_14_0'), '14.0');
+  assert.equal(parseAndroidTagToVersion('THUNDERBIRD_14_0b1'), '14.0b1');
+  assert.equal(parseAndroidTagToVersion('THUNDERBIRD_13_0_1'), '13.0.1');
+  assert.equal(parseAndroidTagToVersion('THUNDERBIRD_15_0a1'), '15.0a1');
+  assert.equal(parseAndroidTagToVersion('K9MAIL_6_800'), null);
+  assert.equal(parseAndroidTagToVersion(''), null);
+  assert.equal(parseAndroidTagToVersion(undefined), null);
+});
+
+test('fetchAllPages follows Link rel="next" headers', async () => {
+  const server = http.createServer((req, res) => {
+    const page = Number(new URL(req.url, 'http://x').searchParams.get('page') || 1);
+    const headers = { 'Content-Type': 'application/json' };
+    if (page < 3) {
+      const next = `http://127.0.0.1:${server.address().port}/tags?page=${page + 1}`;
+      headers.Link = `<${next}>; rel="next", <http://127.0.0.1/tags?page=3>; rel="last"`;
+    }
+    res.writeHead(200, headers).end(JSON.stringify([{ name: `tag-${page}` }]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const items = await fetchAllPages(`http://127.0.0.1:${server.address().port}/tags`);
+    assert.deepEqual(items.map(t => t.name), ['tag-1', 'tag-2', 'tag-3']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('fetchGitHub revalidates with If-None-Match and reuses 304 responses', async () => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.headers['if-none-match'] || null);
+    if (req.headers['if-none-match'] === '"abc"') {
+      res.writeHead(304).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': '"abc"' }).end('[{"name":"THUNDERBIRD_14_0"}]');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/tags?per_page=100`;
+    const first = await fetchGitHub(url);
+    const second = await fetchGitHub(url);
+    assert.deepEqual(second, first);
+    assert.deepEqual(seen, [null, '"abc"']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,55 @@
+// Validates values against the OpenAPI 3.0 schema subset used in
+// src/openapi.js: type, nullable, enum, required, properties,
+// additionalProperties, items, allOf, $ref and the date-time format.
+
+/**
+ * Collects schema violations of a value.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {Object} document - Document $refs resolve against
+ * @param {string} [at] - Path of the value, for messages
+ * @returns {Array<string>} Violations; empty if valid
+ */
+export function validateSchema(value, schema, document, at = '$') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], document);
+    if (!target) return [`${at}: unresolved ${schema.$ref}`];
+    return validateSchema(value, target, document, at);
+  }
+  if (value === null) return schema.nullable ? [] : [`${at}: null is not allowed`];
+
+  const errors = [];
+  for (const part of schema.allOf || []) errors.push(...validateSchema(value, part, document, at));
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+
+  switch (schema.type) {
+    case undefined:
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return [...errors, `${at}: expected an array`];
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items || {}, document, `${at}[${i}]`)));
+      break;
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return [...errors, `${at}: expected an object`];
+      const properties = schema.properties || {};
+      for (const key of schema.required || []) {
+        if (!Object.hasOwn(value, key)) errors.push(`${at}: missing ${key}`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (properties[key]) errors.push(...validateSchema(item, properties[key], document, `${at}.${key}`));
+        else if (schema.additionalProperties === false) errors.push(`${at}: unexpected ${key}`);
+      }
+      break;
+    }
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`${at}: expected an integer`);
+      break;
+    default:
+      if (typeof value !== schema.type) errors.push(`${at}: expected ${schema.type}, got ${typeof value}`);
+      else if (schema.format === 'date-time' && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+        errors.push(`${at}: ${value} is not a date-time`);
+      }
+  }
+  return errors;
+}
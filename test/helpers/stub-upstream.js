@@ -0,0 +1,54 @@
+// Local stand-in for the upstream services, serving the recorded fixtures in
+// test/fixtures/upstream by URL path. Individual paths can be overridden to
+// simulate outages and bad payloads.
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/upstream/', import.meta.url));
+const manifest = JSON.parse(readFileSync(FIXTURE_DIR + 'manifest.json', 'utf8'));
+
+/**
+ * Starts the stub on a random local port.
+ *
+ * @returns {Promise<Object>} { url(upstreamUrl), override(upstreamUrl, response), reset(), requests, close() }
+ */
+export async function startStubUpstream() {
+  const routes = new Map();
+  for (const [upstream, entry] of Object.entries(manifest)) {
+    const { pathname, search } = new URL(upstream);
+    routes.set(pathname + search, {
+      status: entry.status,
+      headers: entry.headers,
+      body: readFileSync(FIXTURE_DIR + entry.file),
+    });
+  }
+  const overrides = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = overrides.get(req.url) || routes.get(req.url);
+    if (!route) {
+      res.writeHead(404).end('Not found');
+      return;
+    }
+    res.writeHead(route.status || 200, route.headers || {});
+    res.end(route.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const localPath = upstream => { const { pathname, search } = new URL(upstream); return pathname + search; };
+
+  return {
+    /** Maps an upstream URL from the manifest to its stub URL. */
+    url: upstream => base + localPath(upstream),
+    /** Replaces the response for one upstream URL. */
+    override: (upstream, response) => overrides.set(localPath(upstream), response),
+    /** Drops all overrides. */
+    reset: () => overrides.clear(),
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,119 @@
+// Release history: recording the versions the fetcher sees, and backfilling
+// ship dates from product-details' history files and the thunderbird-android
+// GitHub tags, served by the local upstream stub.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { startStubUpstream } from './helpers/stub-upstream.js';
+
+const UPSTREAM = {
+  productDetails: 'https://product-details.mozilla.org/1.0/thunderbird_versions.json',
+  androidTags: 'https://api.github.com/repos/thunderbird/thunderbird-android/tags?per_page=100',
+  androidReleases: 'https://api.github.com/repos/thunderbird/thunderbird-android/releases?per_page=100',
+};
+const HISTORY_FILES = ['thunderbird_history_major_releases', 'thunderbird_history_stability_releases', 'thunderbird_history_development_releases'];
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const json = body => ({ status: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const historyFileUrl = name => new URL(`${name}.json`, UPSTREAM.productDetails).href;
+
+let stub;
+let dataDir;
+let history;
+let getCacheInfo;
+
+before(async () => {
+  stub = await startStubUpstream();
+  dataDir = mkdtempSync(path.join(tmpdir(), 'tracker-history-'));
+  // Configuration and the data directory are read when the modules load.
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    TRACKER_CONFIG: '',
+    PRODUCT_DETAILS_URL: stub.url(UPSTREAM.productDetails),
+    ANDROID_TAGS_URL: stub.url(UPSTREAM.androidTags),
+    ANDROID_RELEASES_URL: stub.url(UPSTREAM.androidReleases),
+  });
+  history = await import('../src/history.js');
+  ({ getCacheInfo } = await import('../src/cache.js'));
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(() => {
+  stub.reset();
+  for (const name of HISTORY_FILES) stub.override(historyFileUrl(name), json(fixture(`history/${name}.json`)));
+  // 12.0.1 was tagged but never released on GitHub.
+  const releases = fixture('upstream/api.github.com_repos_thunderbird_thunderbird-android_releases-6bad809b.json');
+  stub.override(UPSTREAM.androidReleases, json(releases.filter(r => r.tag_name !== 'THUNDERBIRD_12_0_1')));
+});
+
+const stored = () => JSON.parse(readFileSync(path.join(dataDir, 'history.json'), 'utf8'));
+const summarize = entries => entries.map(e => `${e.version} ${e.date.slice(0, 10)} ${e.source}`);
+
+test('recordObservation records each version once, when it was first seen', async () => {
+  const channels = {
+    desktop: { beta: { version: '145.0b2' }, esr_current: { version: '140.3.0esr' }, esr_next: { version: null } },
+    android: { beta: { version: '14.0b1' } },
+  };
+  assert.equal(await history.recordObservation(channels, new Date('2025-10-01T08:00:00Z')), true);
+  assert.equal(await history.recordObservation(channels, new Date('2025-10-02T08:00:00Z')), false);
+  assert.equal(await history.recordObservation({ desktop: { beta: { version: '145.0b9' } } }, new Date('2025-10-03T00:00:00Z')), true);
+
+  const { channels: recorded } = stored();
+  assert.deepEqual(summarize(recorded['desktop.beta']), ['145.0b9 2025-10-03 observed', '145.0b2 2025-10-01 observed']);
+  assert.equal(recorded['desktop.beta'][1].date, '2025-10-01T08:00:00.000Z');
+  // Both ESR channels share one history.
+  assert.deepEqual(summarize(recorded['desktop.esr']), ['140.3.0esr 2025-10-01 observed']);
+  assert.deepEqual(summarize(recorded['android.beta']), ['14.0b1 2025-10-01 observed']);
+});
+
+test('getHistory backfills ship dates and tells ESR from regular dot releases', async () => {
+  const { channels, backfilledAt } = await history.getHistory();
+  assert.ok(backfilledAt);
+  assert.deepEqual(summarize(channels['desktop.release']), [
+    '144.0.1 2025-10-21 product-details',
+    '144.0 2025-10-14 product-details',
+    '141.0 2025-07-22 product-details',
+    // Shipped before 141.0, so a regular dot release.
+    '140.0.1 2025-07-15 product-details',
+    '140.0 2025-07-07 product-details',
+  ]);
+  assert.deepEqual(summarize(channels['desktop.esr']), [
+    '140.4.0esr 2025-10-14 product-details',
+    // Shipped after 141.0, so an ESR dot release; replaces the observed date.
+    '140.3.0esr 2025-09-15 product-details',
+    '128.0esr 2024-07-11 product-details',
+  ]);
+  assert.deepEqual(summarize(channels['desktop.beta']), [
+    '145.0b3 2025-10-16 product-details',
+    '145.0b2 2025-10-15 product-details',
+    '145.0b9 2025-10-03 observed',
+  ]);
+  assert.deepEqual(summarize(channels['android.beta']), ['14.0b2 2025-10-20 github', '14.0b1 2025-10-13 github', '13.0b4 2025-09-22 github']);
+  // The tag without a GitHub release has no ship date and is left out.
+  assert.deepEqual(summarize(channels['android.release']), ['13.0 2025-09-29 github', '12.0 2025-08-25 github']);
+  assert.deepEqual(stored().channels, channels);
+
+  const beta = await history.getHistory('desktop.beta');
+  assert.equal(beta.channel, 'desktop.beta');
+  assert.deepEqual(beta.entries, channels['desktop.beta']);
+  // The backfill is not an upstream source of the status cache info.
+  assert.deepEqual(getCacheInfo(), {});
+});
+
+test('backfillHistory merges what it can and only writes when asked to', async () => {
+  stub.override(UPSTREAM.androidTags, { status: 503, body: 'Service Unavailable' });
+  stub.override(historyFileUrl('thunderbird_history_major_releases'), json({ ...fixture('history/thunderbird_history_major_releases.json'), '145.0': '2025-11-11' }));
+  assert.ok(await history.backfillHistory(false));
+  const { entries } = await history.getHistory('desktop.release');
+  assert.equal(entries[0].version, '145.0');
+  assert.ok(!stored().channels['desktop.release'].some(e => e.version === '145.0'));
+
+  stub.override(historyFileUrl('thunderbird_history_stability_releases'), { status: 500, body: 'Internal Server Error' });
+  await assert.rejects(history.backfillHistory(), /All history backfill sources failed/);
+});
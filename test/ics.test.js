@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parseCalendar, parseContentLine, parseIcsDate, parseDuration, unescapeText, escapeText, foldLine, serializeCalendar } from '../src/ics.js';
+
+const fixture = name => readFileSync(fileURLToPath(new URL(`./fixtures/ics/${name}`, import.meta.url)), 'utf8');
+const WINDOW = { from: '2025-01-01T00:00:00Z', to: '2026-12-31T23:59:59Z' };
+
+test('parseContentLine keeps parameters out of the value', () => {
+  const prop = parseContentLine('DTSTART;TZID="America/Los_Angeles";VALUE=DATE-TIME:20251014T090000');
+  assert.equal(prop.name, 'DTSTART');
+  assert.deepEqual(prop.params, { TZID: 'America/Los_Angeles', VALUE: 'DATE-TIME' });
+  assert.equal(prop.value, '20251014T090000');
+  assert.equal(parseContentLine('URL:https://example.com/a:b').value, 'https://example.com/a:b');
+  assert.equal(parseContentLine('garbage'), null);
+});
+
+test('unescapeText reverses TEXT escapes', () => {
+  assert.equal(unescapeText('a\\, b\\; c\\nd\\\\e'), 'a, b; c\nd\\e');
+});
+
+test('parseIcsDate handles UTC, TZID, floating and date-only values', () => {
+  assert.equal(new Date(parseIcsDate('20251004T120000Z').ms).toISOString(), '2025-10-04T12:00:00.000Z');
+  assert.equal(new Date(parseIcsDate('20251004T120000', { TZID: 'Europe/Berlin' }).ms).toISOString(), '2025-10-04T10:00:00.000Z');
+  assert.equal(new Date(parseIcsDate('20251004T120000', {}, 'America/New_York').ms).toISOString(), '2025-10-04T16:00:00.000Z');
+  const allDay = parseIcsDate('20251004');
+  assert.equal(allDay.allDay, true);
+  assert.equal(new Date(allDay.ms).toISOString(), '2025-10-04T00:00:00.000Z');
+  assert.equal(parseIcsDate('not-a-date'), null);
+});
+
+test('parseDuration converts ICS durations to milliseconds', () => {
+  assert.equal(parseDuration('P1D'), 86400000);
+  assert.equal(parseDuration('PT1H30M'), 5400000);
+  assert.equal(parseDuration('-P1W'), -604800000);
+  assert.equal(parseDuration('bogus'), null);
+});
+
+test('parseCalendar reads text properties, all-day flags and drops cancelled events', () => {
+  const events = parseCalendar(fixture('basic.ics'), WINDOW);
+  assert.deepEqual(events.map(ev => ev.summary), [
+    'Merge Day - 145',
+    'TfA 12.0b1',
+    'Thunderbird 144.0 Release',
+    'Floating standup',
+  ]);
+
+  const release = events.find(ev => ev.uid === 'release-144@example.com');
+  assert.equal(release.allDay, true);
+  assert.equal(release.start, '2025-10-14T00:00:00.000Z');
+  assert.equal(release.end, '2025-10-15T00:00:00.000Z');
+  assert.equal(release.description, 'Release day, see notes:\nhttps://www.thunderbird.net/en-US/thunderbird/144.0/releasenotes/');
+  assert.equal(release.location, 'Online; everywhere');
+  assert.equal(release.url, 'https://www.thunderbird.net/');
+  assert.equal(release.status, 'CONFIRMED');
+
+  const tfa = events.find(ev => ev.summary === 'TfA 12.0b1');
+  assert.equal(tfa.end, '2025-10-12T00:00:00.000Z');
+
+  const floating = events.find(ev => ev.summary === 'Floating standup');
+  assert.equal(floating.allDay, false);
+  assert.equal(floating.start, '2025-10-20T16:00:00.000Z');
+});
+
+test('parseCalendar converts TZID times across DST', () => {
+  const events = parseCalendar(fixture('tzid.ics'), WINDOW);
+  const byUid = Object.fromEntries(events.map(ev => [ev.uid, ev]));
+  assert.equal(byUid['summer@example.com'].start, '2025-07-15T16:00:00.000Z');
+  assert.equal(byUid['summer@example.com'].end, '2025-07-15T17:00:00.000Z');
+  assert.equal(byUid['winter@example.com'].start, '2025-12-15T08:00:00.000Z');
+  // 01:30 occurs twice when DST ends; RFC 5545 picks the first (PDT) one.
+  assert.equal(byUid['dst-end@example.com'].start, '2025-11-02T08:30:00.000Z');
+});
+
+test('parseCalendar expands recurrences with EXDATE and RECURRENCE-ID overrides', () => {
+  const events = parseCalendar(fixture('recurrence.ics'), WINDOW);
+
+  const weekly = events.filter(ev => ev.uid === 'weekly@example.com');
+  assert.deepEqual(weekly.map(ev => [ev.start, ev.summary]), [
+    ['2025-10-07T17:00:00.000Z', 'Release sync'],
+    ['2025-10-14T17:00:00.000Z', 'Release sync'],
+    ['2025-10-28T20:00:00.000Z', 'Release sync (moved)'],
+    ['2025-11-11T18:00:00.000Z', 'Release sync'],
+  ]);
+  assert.equal(weekly[2].recurrenceId, '2025-10-28T17:00:00.000Z');
+  assert.equal(weekly[3].end, '2025-11-11T19:00:00.000Z');
+
+  const monthly = events.filter(ev => ev.uid === 'monthly@example.com');
+  assert.deepEqual(monthly.map(ev => ev.start.slice(0, 10)), ['2025-09-09', '2025-10-14', '2025-11-11', '2025-12-09']);
+  assert.ok(monthly.every(ev => ev.allDay));
+
+  const yearly = events.filter(ev => ev.uid === 'yearly@example.com');
+  assert.deepEqual(yearly.map(ev => ev.start.slice(0, 10)), ['2025-01-01', '2026-01-01']);
+});
+
+test('parseCalendar keeps results sorted by start', () => {
+  const events = parseCalendar(fixture('recurrence.ics'), WINDOW);
+  const starts = events.map(ev => ev.start);
+  assert.deepEqual(starts, [...starts].sort());
+});
+
+test('escapeText and foldLine produce valid content lines', () => {
+  assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  assert.equal(unescapeText(escapeText('a,b;c\\d\ne')), 'a,b;c\\d\ne');
+  const folded = foldLine('SUMMARY:' + 'é'.repeat(60));
+  for (const line of folded.split('\r\n')) assert.ok(Buffer.byteLength(line) <= 75);
+  assert.equal(folded.replace(/\r\n /g, ''), 'SUMMARY:' + 'é'.repeat(60));
+});
+
+test('serializeCalendar round-trips through parseCalendar', () => {
+  const text = serializeCalendar([
+    { uid: 'a@x', summary: 'Thunderbird 146 String Freeze, desktop', start: '2025-10-28T00:00:00.000Z', allDay: true },
+    { uid: 'b@x', summary: 'Thunderbird 145.0b3', description: 'Beta 3', start: '2025-10-14T16:00:00.000Z', end: '2025-10-14T17:00:00.000Z', allDay: false },
+  ], { name: 'Test', alarm: '-P1D', stamp: new Date('2025-10-01T00:00:00Z') });
+  assert.match(text, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(text, /DTSTART;VALUE=DATE:20251028\r\nDTEND;VALUE=DATE:20251029\r\n/);
+  assert.match(text, /BEGIN:VALARM\r\nACTION:DISPLAY\r\nTRIGGER:-P1D\r\n/);
+  const events = parseCalendar(text, WINDOW);
+  assert.deepEqual(events.map(e => [e.uid, e.summary, e.start, e.end, e.allDay]), [
+    ['b@x', 'Thunderbird 145.0b3', '2025-10-14T16:00:00.000Z', '2025-10-14T17:00:00.000Z', false],
+    ['a@x', 'Thunderbird 146 String Freeze, desktop', '2025-10-28T00:00:00.000Z', '2025-10-29T00:00:00.000Z', true],
+  ]);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parseDirectoryListing, classifyArtifact } from '../src/listing.js';
+
+const BASE = 'https://ftp.mozilla.org/pub/thunderbird-mobile/android/nightly/latest-main/';
+const fixture = readFileSync(fileURLToPath(new URL('./fixtures/upstream/ftp.mozilla.org_pub_thunderbird-mobile_android_nightly_latest-main-08d9b7bb.html', import.meta.url)), 'utf8');
+
+test('parseDirectoryListing reads archive.mozilla.org table listings', () => {
+  const entries = parseDirectoryListing(fixture, BASE);
+  assert.equal(entries.length, 8);
+  assert.deepEqual(entries[0], {
+    name: 'thunderbird-15.0a1-arm64-v8a.apk',
+    url: `${BASE}thunderbird-15.0a1-arm64-v8a.apk`,
+    type: 'file',
+    size: 38 * 1024 * 1024,
+    lastModified: '2025-10-21T04:12:00.000Z',
+    kind: 'apk',
+    abi: 'arm64-v8a',
+  });
+  assert.deepEqual(entries.map(e => e.kind), ['apk', 'checksum', 'apk', 'checksum', 'apk', 'checksum', 'aab', 'checksum']);
+  assert.equal(entries[1].size, 97);
+});
+
+test('parseDirectoryListing reads autoindex listings and skips the parent', () => {
+  const html = [
+    '<pre><a href="../">../</a>',
+    '<a href="builds/">builds/</a>                                         20-Oct-2025 10:00       -',
+    '<a href="tb%20nightly.aab">tb nightly.aab</a>                          2025-10-21 04:09:30  1.5G',
+    '<a href="notes.txt">notes.txt</a></pre>',
+  ].join('\n');
+  assert.deepEqual(parseDirectoryListing(html, 'https://mirror.example/android/'), [
+    { name: 'builds', url: 'https://mirror.example/android/builds/', type: 'dir', size: null, lastModified: '2025-10-20T10:00:00.000Z', kind: 'dir', abi: null },
+    { name: 'tb nightly.aab', url: 'https://mirror.example/android/tb%20nightly.aab', type: 'file', size: Math.round(1.5 * 1024 ** 3), lastModified: '2025-10-21T04:09:30.000Z', kind: 'aab', abi: null },
+    { name: 'notes.txt', url: 'https://mirror.example/android/notes.txt', type: 'file', size: null, lastModified: null, kind: 'other', abi: null },
+  ]);
+});
+
+test('parseDirectoryListing skips links with malformed escapes', () => {
+  const html = [
+    '<pre><a href="bad%E0%A4%A.apk">bad.apk</a>',
+    '<a href="100%.txt">100%.txt</a>',
+    '<a href="thunderbird-15.0a1-x86_64.apk">thunderbird-15.0a1-x86_64.apk</a></pre>',
+  ].join('\n');
+  assert.deepEqual(parseDirectoryListing(html, 'https://mirror.example/android/').map(e => e.name), ['thunderbird-15.0a1-x86_64.apk']);
+});
+
+test('classifyArtifact tells builds, checksums and ABIs apart', () => {
+  assert.deepEqual(classifyArtifact('thunderbird-15.0a1-x86_64.apk'), { kind: 'apk', abi: 'x86_64' });
+  assert.deepEqual(classifyArtifact('thunderbird-15.0a1-x86.apk'), { kind: 'apk', abi: 'x86' });
+  assert.deepEqual(classifyArtifact('thunderbird-15.0a1.aab.sha512'), { kind: 'checksum', abi: null });
+  assert.deepEqual(classifyArtifact('thunderbird-15.0a1.apk.asc'), { kind: 'signature', abi: null });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../src/markdown.js';
+
+test('renderMarkdown renders the blocks release notes use', () => {
+  const md = [
+    "## What's new",
+    '',
+    '- Unified inbox is **on by default**',
+    '- Faster sync',
+    '  for large folders',
+    '',
+    '1. First',
+    '2. Second',
+    '',
+    '> Known issue',
+    '',
+    '```',
+    '<b>literal</b>',
+    '```',
+    'Plain paragraph',
+    'second line',
+  ].join('\n');
+  assert.equal(renderMarkdown(md), [
+    "<h4>What's new</h4>",
+    '<ul><li>Unified inbox is <strong>on by default</strong></li><li>Faster sync for large folders</li></ul>',
+    '<ol><li>First</li><li>Second</li></ol>',
+    '<blockquote><p>Known issue</p></blockquote>',
+    '<pre><code>&lt;b&gt;literal&lt;/b&gt;</code></pre>',
+    '<p>Plain paragraph<br>second line</p>',
+  ].join('\n'));
+});
+
+test('renderMarkdown renders inline markup and escapes raw HTML', () => {
+  assert.equal(
+    renderMarkdown('See [the docs](https://example.com/a?b=1&c=2) and https://github.com/x/compare/a...b, `code *here*` _it_ *em* snake_case_name'),
+    '<p>See <a href="https://example.com/a?b=1&amp;c=2">the docs</a> and <a href="https://github.com/x/compare/a...b">https://github.com/x/compare/a...b</a>, <code>code *here*</code> <em>it</em> <em>em</em> snake_case_name</p>'
+  );
+  assert.equal(renderMarkdown('<script>alert(1)</script> [x](javascript:void)'), '<p>&lt;script&gt;alert(1)&lt;/script&gt; x</p>');
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyEvent, buildTimelines, computeCountdowns, isAndroidMilestoneSummary } from '../src/milestones.js';
+
+const event = (summary, start = '2025-10-14T00:00:00.000Z') => ({ uid: summary, summary, start, end: null, allDay: true });
+const classify = summary => classifyEvent(event(summary));
+
+test('classifyEvent recognises desktop milestone kinds', () => {
+  assert.deepEqual(
+    classify('Thunderbird 145.0b3').map(m => [m.platform, m.major, m.version, m.kind, m.beta, m.label]),
+    [['desktop', '145', '145.0b3', 'beta', 3, 'Beta 3']]
+  );
+  assert.equal(classify('Thunderbird 144.0 Release')[0].kind, 'release');
+  assert.equal(classify('Thunderbird 144.0')[0].kind, 'release');
+  assert.equal(classify('Thunderbird 144.0.1')[0].kind, 'dot-release');
+  assert.equal(classify('Thunderbird 145.0a1 Nightly')[0].kind, 'nightly');
+  assert.equal(classify('Thunderbird 145 RC')[0].kind, 'release-candidate');
+  assert.equal(classify('Thunderbird 146 String Freeze')[0].kind, 'string-freeze');
+  assert.equal(classify('Thunderbird 146 Soft Code Freeze')[0].kind, 'soft-freeze');
+
+  const esr = classify('Thunderbird 140.4.0esr')[0];
+  assert.equal(esr.kind, 'esr-release');
+  assert.equal(esr.label, 'ESR release 140.4.0esr');
+});
+
+test('classifyEvent splits merge days across every major they name', () => {
+  const merge = classify('Merge Day: 146 Nightly, 145 Beta');
+  assert.deepEqual(merge.map(m => [m.major, m.kind]), [['146', 'merge-day'], ['145', 'merge-day']]);
+});
+
+test('classifyEvent recognises Android milestones', () => {
+  const [beta] = classify('TfA 12.0b1');
+  assert.equal(beta.platform, 'android');
+  assert.equal(beta.major, '12');
+  assert.equal(beta.kind, 'beta');
+  assert.equal(classify('TfA 12 release')[0].kind, 'release');
+  assert.equal(classify('Thunderbird for Android 11.0')[0].platform, 'android');
+});
+
+test('classifyEvent ignores events without a version', () => {
+  assert.deepEqual(classify('Thunderbird all-hands'), []);
+  assert.deepEqual(classify('Beta 3 sign-off'), []);
+  assert.deepEqual(classifyEvent({ summary: 'Thunderbird 145.0b1', start: null }), []);
+});
+
+test('buildTimelines groups milestones by platform and major in date order', () => {
+  const timelines = buildTimelines([
+    event('Thunderbird 145.0 Release', '2025-11-11T00:00:00.000Z'),
+    event('Thunderbird 145.0b1', '2025-10-14T00:00:00.000Z'),
+    event('TfA 12.0b1', '2025-10-10T00:00:00.000Z'),
+    event('Team dinner', '2025-10-11T00:00:00.000Z'),
+  ]);
+  assert.deepEqual(Object.keys(timelines.desktop), ['145']);
+  assert.deepEqual(timelines.desktop['145'].map(m => m.kind), ['beta', 'release']);
+  assert.deepEqual(timelines.android['12'].map(m => m.label), ['Beta 1']);
+});
+
+test('isAndroidMilestoneSummary matches TfA, TbA and Thunderbird for Android', () => {
+  assert.equal(isAndroidMilestoneSummary('TfA 12.0'), true);
+  assert.equal(isAndroidMilestoneSummary('TbA beta'), true);
+  assert.equal(isAndroidMilestoneSummary('Thunderbird for Android 11'), true);
+  assert.equal(isAndroidMilestoneSummary('Thunderbird 145.0'), false);
+  assert.equal(isAndroidMilestoneSummary(''), false);
+});
+
+test('computeCountdowns picks the next milestone for each channel from the calendar', () => {
+  const timelines = buildTimelines([
+    event('Thunderbird 145.0b3', '2025-10-20T00:00:00.000Z'),
+    event('Thunderbird 145.0b4', '2025-10-27T00:00:00.000Z'),
+    event('Thunderbird 145.0 Release', '2025-11-11T00:00:00.000Z'),
+    event('Thunderbird 140.5.0esr', '2025-11-11T00:00:00.000Z'),
+    event('TfA 13.0 Release', '2025-10-22T00:00:00.000Z'),
+  ]);
+  const channels = {
+    desktop: {
+      release: { version: '144.0', major: '144' },
+      beta: { version: '145.0b3', major: '145' },
+      esr_current: { version: '140.4.0esr', major: '140' },
+    },
+    android: { release: { version: '12.0', major: '12' } },
+  };
+  const countdowns = computeCountdowns(channels, timelines, new Date('2025-10-21T15:00:00Z'));
+  assert.deepEqual(countdowns.map(c => [c.platform, c.channel, c.title, c.kind]), [
+    ['android', 'release', 'Thunderbird for Android 13.0', 'release'],
+    ['desktop', 'beta', 'Thunderbird Beta 145.0b4', 'beta'],
+    ['desktop', 'release', 'Thunderbird 145.0', 'release'],
+    ['desktop', 'esr_current', 'Thunderbird ESR 140.5.0esr', 'esr-release'],
+  ]);
+});
+
+test('computeCountdowns keeps a release that ships today', () => {
+  const timelines = buildTimelines([event('Thunderbird 145.0 Release', '2025-11-11T00:00:00.000Z')]);
+  const channels = { desktop: { release: { version: '145.0', major: '145' } } };
+  const [countdown] = computeCountdowns(channels, timelines, new Date('2025-11-11T18:00:00Z'));
+  assert.equal(countdown.title, 'Thunderbird 145.0');
+  assert.equal(countdown.date, '2025-11-11T00:00:00.000Z');
+});
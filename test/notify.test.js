@@ -0,0 +1,252 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+let sendMail;
+let withRetry;
+let notifyChanges;
+let configuredSinks;
+
+before(async () => {
+  // Read when the modules load.
+  Object.assign(process.env, {
+    DATA_DIR: mkdtempSync(path.join(tmpdir(), 'tracker-notify-')),
+    NOTIFY_RETRIES: '1',
+    NOTIFY_TIMEOUT: '1',
+  });
+  ({ sendMail } = await import('../src/smtp.js'));
+  ({ withRetry, notifyChanges, configuredSinks } = await import('../src/notify.js'));
+});
+
+const change = (id, message = id) => ({ id, platform: 'desktop', channel: 'beta', from: '145.0b2', to: '145.0b3', at: '2025-10-21T12:00:00.000Z', message });
+
+/**
+ * Starts a plain SMTP server, without STARTTLS, that accepts everything
+ * except the commands given in `reject`, and records the session.
+ */
+async function startSmtpStub(reject = {}) {
+  const session = { commands: [], data: '' };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end + 2);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let idx;
+      while (!inData && (idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (reject[verb]) socket.write(`${reject[verb]}\r\n`);
+        else if (verb === 'EHLO') socket.write('250-stub\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') socket.write('235 ok\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, session, port: server.address().port };
+}
+
+/**
+ * Starts an HTTP endpoint that records POSTed JSON, never answers /hang and
+ * answers 503 to the requests whose number (from 1) is in `failing`.
+ */
+async function startHttpStub(failing = []) {
+  const received = [];
+  let count = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/hang') return;
+      if (failing.includes(++count)) {
+        res.writeHead(503).end();
+        return;
+      }
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('sendMail speaks SMTP with bare envelope addresses and safe headers', async () => {
+  const { server, session, port } = await startSmtpStub();
+  try {
+    await sendMail({
+      host: '127.0.0.1',
+      port,
+      user: 'tracker',
+      pass: 'secret',
+      requireTLS: false,
+      from: 'Zug-Tracker Größe <trains@example.org>',
+      to: ['Ops <ops@example.org>', 'dev@example.org'],
+      subject: 'Bêta 145.0b3\r\nBcc: evil@example.org',
+      text: 'Line one\n.hidden line\n',
+    });
+  } finally {
+    server.close();
+  }
+  const token = Buffer.from('\u0000tracker\u0000secret').toString('base64');
+  assert.deepEqual(session.commands.filter(c => !c.startsWith('EHLO')), [
+    `AUTH PLAIN ${token}`,
+    'MAIL FROM:<trains@example.org>',
+    'RCPT TO:<ops@example.org>',
+    'RCPT TO:<dev@example.org>',
+    'DATA',
+    'QUIT',
+  ]);
+
+  const split = session.data.indexOf('\r\n\r\n');
+  const head = session.data.slice(0, split);
+  const body = session.data.slice(split + 4);
+  const headers = head.split('\r\n');
+  assert.ok(!headers.some(line => /^Bcc:/i.test(line)));
+  const subject = head.match(/^Subject: ((?:.|\r\n )*)$/m)[1];
+  const decoded = subject.split('\r\n ').map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString('utf8')).join('');
+  assert.equal(decoded, 'Bêta 145.0b3 Bcc: evil@example.org');
+  assert.match(head, /^From: =\?UTF-8\?B\?[^?]+\?= <trains@example\.org>$/m);
+  assert.match(head, /^To: Ops <ops@example\.org>, dev@example\.org$/m);
+  assert.equal(body, 'Line one\r\n..hidden line\r\n\r\n');
+});
+
+test('sendMail fails when the server rejects a step', async () => {
+  const { server, port } = await startSmtpStub({ RCPT: '550 no such user' });
+  try {
+    await assert.rejects(
+      sendMail({ host: '127.0.0.1', port, from: 'trains@example.org', to: ['nobody@example.org'], subject: 'Hi', text: 'Hi' }),
+      /SMTP RCPT failed: 550 no such user/
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('sendMail does not send credentials without TLS', async () => {
+  const { server, session, port } = await startSmtpStub();
+  try {
+    await assert.rejects(
+      sendMail({ host: '127.0.0.1', port, user: 'tracker', pass: 'secret', from: 'trains@example.org', to: ['ops@example.org'], subject: 'Hi', text: 'Hi' }),
+      /does not offer STARTTLS/
+    );
+  } finally {
+    server.close();
+  }
+  assert.ok(!session.commands.some(c => c.startsWith('AUTH')));
+});
+
+test('withRetry retries until an attempt succeeds, then gives up', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw new Error(`attempt ${calls}`);
+    return 'done';
+  }, 3, 1);
+  assert.equal(result, 'done');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => { throw new Error(`attempt ${++calls}`); }, 2, 1), /attempt 2/);
+  assert.equal(calls, 2);
+});
+
+test('notifyChanges sends each change to a sink once and queues failed ones', async () => {
+  const delivered = [];
+  let failing = true;
+  const good = { id: 'test:good', deliver: async changes => { delivered.push(changes.map(c => c.id)); } };
+  const flaky = {
+    id: 'test:flaky',
+    deliver: async changes => {
+      if (failing) throw new Error('endpoint down');
+      delivered.push(['flaky', ...changes.map(c => c.id)]);
+    },
+  };
+
+  assert.deepEqual(await notifyChanges([change('a'), change('b')], [good, flaky]), { 'test:good': 'sent', 'test:flaky': 'endpoint down' });
+  assert.deepEqual(await notifyChanges([change('a')], [good]), { 'test:good': 'skipped' });
+
+  failing = false;
+  assert.deepEqual(await notifyChanges([change('c')], [good, flaky]), { 'test:good': 'sent', 'test:flaky': 'sent' });
+  assert.deepEqual(delivered, [['a', 'b'], ['c'], ['flaky', 'a', 'b', 'c']]);
+});
+
+test('notifyChanges runs one delivery at a time', async () => {
+  const log = [];
+  const slow = {
+    id: 'test:slow',
+    deliver: async changes => {
+      log.push(`start ${changes[0].id}`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      log.push(`end ${changes[0].id}`);
+    },
+  };
+  const results = await Promise.all([notifyChanges([change('s1')], [slow]), notifyChanges([change('s2')], [slow])]);
+  assert.deepEqual(results, [{ 'test:slow': 'sent' }, { 'test:slow': 'sent' }]);
+  assert.deepEqual(log, ['start s1', 'end s1', 'start s2', 'end s2']);
+  assert.deepEqual(await notifyChanges([change('s1'), change('s2')], [slow]), { 'test:slow': 'skipped' });
+});
+
+test('a webhook retry only resends the changes that did not get through', async () => {
+  const { server, received, url } = await startHttpStub([2, 3]);
+  const saved = { ...process.env };
+  try {
+    process.env.NOTIFY_WEBHOOK_URLS = `${url}/hook`;
+    process.env.NOTIFY_CHAT_WEBHOOK_URLS = '';
+    const [webhook] = configuredSinks();
+    // With one attempt per delivery, the second POST fails and is queued.
+    const first = await notifyChanges([change('w1'), change('w2'), change('w3')], [webhook]);
+    assert.equal(first[webhook.id], 'Webhook responded 503');
+    // The queued changes are sent with the next batch; w1 is not sent again.
+    assert.deepEqual(await notifyChanges([change('w4')], [webhook]), { [webhook.id]: 'Webhook responded 503' });
+    assert.deepEqual(await notifyChanges([change('w5')], [webhook]), { [webhook.id]: 'sent' });
+    assert.deepEqual(received.map(r => r.body.id), ['w1', 'w2', 'w3', 'w4', 'w5']);
+  } finally {
+    process.env = saved;
+    server.close();
+  }
+});
+
+test('webhook and chat sinks POST JSON and time out on hung endpoints', async () => {
+  const { server, received, url } = await startHttpStub();
+  const saved = { ...process.env };
+  try {
+    process.env.NOTIFY_WEBHOOK_URLS = `${url}/hook`;
+    process.env.NOTIFY_CHAT_WEBHOOK_URLS = `${url}/chat,${url}/hang`;
+    const sinks = configuredSinks();
+    assert.deepEqual(sinks.map(s => s.type), ['webhook', 'chat', 'chat']);
+    assert.ok(sinks.every(s => !s.id.includes('127.0.0.1')));
+
+    await sinks[0].deliver([change('d', 'Beta moved'), change('e', 'Release moved')], () => {});
+    await sinks[1].deliver([change('d', 'Beta moved'), change('e', 'Release moved')]);
+    assert.deepEqual(received.map(r => r.url), ['/hook', '/hook', '/chat']);
+    assert.deepEqual(received[0].body, { type: 'version-change', ...change('d', 'Beta moved') });
+    assert.deepEqual(received[2].body, { text: 'Beta moved\nRelease moved' });
+
+    const started = Date.now();
+    await assert.rejects(sinks[2].deliver([change('f')]), { name: 'TimeoutError' });
+    assert.ok(Date.now() - started < 5000);
+  } finally {
+    process.env = saved;
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml, safeUrl } from '../src/sanitize.js';
+
+test('sanitizeHtml keeps formatting and drops scripts, handlers and chrome', () => {
+  const html = [
+    '<nav><a href="/">Home</a></nav>',
+    '<h1 class="title">Notes</h1>',
+    '<div><p onclick="alert(1)">Fixed <strong>crash</strong><img src=x onerror=alert(1)></p></div>',
+    '<script>alert(1)</script><style>p{}</style><!-- hidden -->',
+    '<ul><li>One<li>Two</ul>',
+  ].join('');
+  assert.equal(sanitizeHtml(html), '<h3>Notes</h3><p>Fixed <strong>crash</strong></p><ul><li>One</li><li>Two</li></ul>');
+});
+
+test('sanitizeHtml only keeps http(s) links and resolves relative ones', () => {
+  const base = 'https://www.thunderbird.net/en-US/thunderbird/145.0beta/releasenotes/';
+  assert.equal(
+    sanitizeHtml('<a href="../system-requirements/" title="x">reqs</a>', base),
+    '<a href="https://www.thunderbird.net/en-US/thunderbird/145.0beta/system-requirements/" target="_blank" rel="noopener noreferrer">reqs</a>'
+  );
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a> <a href=" jav&#58;ascript:alert(1)">y</a>', base), 'x y');
+  assert.equal(sanitizeHtml('<a href="/relative">x</a>'), 'x');
+  assert.equal(safeUrl('mailto:a@example.com'), null);
+});
+
+test('sanitizeHtml escapes stray markup and balances tags', () => {
+  assert.equal(sanitizeHtml('a < b > c & d &amp; e'), 'a &lt; b &gt; c &amp; d &amp; e');
+  assert.equal(sanitizeHtml('<em>open <strong>nested</em> tail</p>'), '<em>open <strong>nested</strong></em> tail');
+});
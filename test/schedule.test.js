@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTimelines } from '../src/milestones.js';
+import { learnCadence, projectSchedule, buildSchedule } from '../src/schedule.js';
+
+const event = (summary, day) => ({ uid: summary, summary, start: `${day}T00:00:00.000Z`, allDay: true });
+const timelines = buildTimelines([
+  event('Merge Day - 145 Nightly, 144 Beta', '2025-09-08'),
+  event('Thunderbird 144.0b1', '2025-09-09'),
+  event('Thunderbird 143.0 Release', '2025-09-16'),
+  event('Thunderbird 140.3.0esr', '2025-09-16'),
+  event('Thunderbird 144.0b2', '2025-09-16'),
+  event('Merge Day - 146 Nightly, 145 Beta', '2025-10-06'),
+  event('Thunderbird 145.0b1', '2025-10-07'),
+  event('Thunderbird 144.0 Release', '2025-10-14'),
+  event('Thunderbird 140.4.0esr', '2025-10-14'),
+  event('Thunderbird 145.0b2', '2025-10-14'),
+  event('TfA 12.0 Release', '2025-09-01'),
+  event('TfA 13.0 Release', '2025-09-29'),
+]);
+
+const day = iso => iso.slice(0, 10);
+const find = (train, kind, phase) => train.milestones.find(m => m.kind === kind && (!phase || m.phase === phase));
+
+test('learnCadence measures the cycle, merge and beta offsets from the calendar', () => {
+  const cadence = learnCadence(timelines.desktop);
+  assert.equal(cadence.cycleDays, 28);
+  assert.equal(cadence.mergeToBetaDays, -36);
+  assert.deepEqual(cadence.betaDays, { 1: 1, 2: 8 });
+  assert.equal(cadence.esrAlongside, true);
+  assert.equal(cadence.learned, true);
+
+  const android = learnCadence(timelines.android);
+  assert.equal(android.cycleDays, 28);
+  assert.equal(android.mergeToBetaDays, null);
+  assert.equal(android.esrAlongside, false);
+});
+
+test('learnCadence falls back to four weeks without two releases', () => {
+  const cadence = learnCadence(buildTimelines([event('Thunderbird 144.0 Release', '2025-10-14')]).desktop);
+  assert.equal(cadence.cycleDays, 28);
+  assert.equal(cadence.learned, false);
+});
+
+test('projectSchedule keeps calendar dates and projects the rest', () => {
+  const [t145, t146, t147] = projectSchedule(timelines.desktop, { fromMajor: 145, count: 3 });
+
+  assert.equal(t145.version, '145.0');
+  assert.deepEqual(t145.release, { date: '2025-11-11T00:00:00.000Z', projected: true });
+  assert.equal(find(t145, 'merge-day', 'nightly').projected, false);
+  assert.equal(day(find(t145, 'merge-day', 'nightly').date), '2025-09-08');
+  assert.equal(find(t145, 'merge-day', 'beta').projected, false);
+  assert.deepEqual(t145.milestones.filter(m => m.kind === 'beta').map(m => [m.version, day(m.date), m.projected]), [
+    ['145.0b1', '2025-10-07', false],
+    ['145.0b2', '2025-10-14', false],
+  ]);
+  assert.equal(find(t145, 'esr-release').version, '140.5.0esr');
+
+  assert.equal(day(find(t146, 'merge-day', 'nightly').date), '2025-10-06');
+  assert.equal(find(t146, 'merge-day', 'nightly').projected, false);
+  assert.equal(day(find(t146, 'merge-day', 'beta').date), '2025-11-03');
+  assert.equal(find(t146, 'merge-day', 'beta').projected, true);
+  assert.equal(find(t146, 'beta').version, '146.0b1');
+  assert.equal(day(find(t146, 'beta').date), '2025-11-04');
+
+  assert.equal(day(t147.release.date), '2026-01-06');
+  assert.equal(find(t147, 'esr-release').version, '140.7.0esr');
+  assert.ok(t147.milestones.every(m => m.projected));
+});
+
+test('projectSchedule re-anchors on later confirmed releases', () => {
+  const withLater = buildTimelines([
+    event('Thunderbird 143.0 Release', '2025-09-16'),
+    event('Thunderbird 144.0 Release', '2025-10-14'),
+    event('Thunderbird 145.0 Release', '2025-11-11'),
+    event('Thunderbird 147.0 Release', '2026-01-13'),
+  ]).desktop;
+  const trains = projectSchedule(withLater, { fromMajor: 146, count: 3 });
+  assert.deepEqual(trains.map(t => [t.major, day(t.release.date), t.release.projected]), [
+    ['146', '2025-12-09', true],
+    ['147', '2026-01-13', false],
+    ['148', '2026-02-10', true],
+  ]);
+  // Nothing about merge days was learned, so none are projected.
+  assert.ok(trains.every(t => t.milestones.every(m => m.kind === 'release')));
+});
+
+test('buildSchedule starts after the current release of each platform', () => {
+  const channels = { desktop: { release: { version: '144.0', major: '144' } } };
+  const schedule = buildSchedule(timelines, channels, { count: 2, now: new Date('2025-10-20T00:00:00Z') });
+  assert.equal(schedule.generatedAt, '2025-10-20T00:00:00.000Z');
+  assert.deepEqual(schedule.platforms.desktop.trains.map(t => t.major), ['145', '146']);
+  // Android has no channel record, so the latest shipped major from the calendar is used.
+  assert.deepEqual(schedule.platforms.android.trains.map(t => [t.major, day(t.release.date)]), [
+    ['14', '2025-10-27'],
+    ['15', '2025-11-24'],
+  ]);
+});
+
+test('buildSchedule falls back to the calendar when the release major is unknown', () => {
+  const channels = { desktop: { release: { version: null, major: null } } };
+  const schedule = buildSchedule(timelines, channels, { count: 2, now: new Date('2025-10-20T00:00:00Z') });
+  assert.deepEqual(schedule.platforms.desktop.trains.map(t => t.major), ['145', '146']);
+});
@@ -1,3 +1,6 @@
+// Fetches the live status once and fails if any source is unavailable.
+// Run with FIXTURE_MODE=record to refresh test/fixtures/upstream, or
+// FIXTURE_MODE=replay to check the recorded fixtures offline.
 import { getStatus } from '../src/fetcher.js';
 
 (async () => {
@@ -18,7 +21,9 @@ import { getStatus } from '../src/fetcher.js';
         release: s.channels.android.release.version,
       }
     }, null, 2));
-    process.exit(0);
+    const failed = Object.entries(s.sources).filter(([, source]) => source.status === 'error');
+    for (const [name, source] of failed) console.error(`Source ${name} unavailable: ${source.error}`);
+    process.exit(failed.length ? 1 : 0);
   } catch (err) {
     console.error('Smoke test failed:', err);
     process.exit(2);
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+import { registerAdapter, getAdapter, loadFromAdapter } from '../src/sources/index.js';
+
+const adapter = type => getAdapter(type);
+const normalize = (type, raw, options = {}) => adapter(type).normalize(adapter(type).parse(raw, options), options);
+
+test('built-in adapters normalize upstream payloads', () => {
+  const versions = JSON.stringify({
+    LATEST_THUNDERBIRD_VERSION: '144.0.1',
+    LATEST_THUNDERBIRD_DEVEL_VERSION: '145.0b3',
+    LATEST_THUNDERBIRD_NIGHTLY_VERSION: '146.0a1',
+    THUNDERBIRD_ESR: '140.4.0esr',
+    THUNDERBIRD_ESR_NEXT: '',
+  });
+  assert.deepEqual(normalize('product-details', versions).channels.desktop, {
+    daily: '146.0a1', release: '144.0.1', beta: '145.0b3', esr_current: '140.4.0esr', esr_next: null,
+  });
+
+  const tags = ['THUNDERBIRD_13_0b4', 'THUNDERBIRD_12_0_1', 'THUNDERBIRD_14_0b2', 'THUNDERBIRD_13_0', 'THUNDERBIRD_14_0a1', 'THUNDERBIRD_9_0']
+    .map(name => ({ name }));
+  const releases = [{ tag_name: 'THUNDERBIRD_13_0', published_at: '2025-09-29T13:05:40Z', html_url: 'https://github.com/x/releases/tag/THUNDERBIRD_13_0' }];
+  const android = normalize('github-tags', { tags, releases, commitDates: { THUNDERBIRD_14_0b2: '2025-10-20T10:00:00Z' } });
+  assert.deepEqual(android.channels.android, { release: '13.0', beta: '14.0b2' });
+  assert.deepEqual(android.details.android, {
+    release: { tag: 'THUNDERBIRD_13_0', date: '2025-09-29T13:05:40Z', notesUrl: 'https://github.com/x/releases/tag/THUNDERBIRD_13_0' },
+    beta: { tag: 'THUNDERBIRD_14_0b2', date: '2025-10-20T10:00:00Z', notesUrl: null },
+  });
+  assert.throws(() => normalize('github-tags', { tags: { message: 'rate limited' } }), /Unexpected Android tags payload/);
+
+  const listing = [
+    '<a href="thunderbird-14.0a1.apk">thunderbird-14.0a1.apk</a> 20-Oct-2025 04:10 37M',
+    '<a href="thunderbird-15.0a1.apk">thunderbird-15.0a1.apk</a> 21-Oct-2025 04:12 38M',
+    '<a href="thunderbird-15.0a1.apk.sha256">thunderbird-15.0a1.apk.sha256</a> 21-Oct-2025 04:13 97',
+  ].join('\n');
+  const nightly = normalize('android-nightly', listing, { url: 'https://archive.example/nightly/', staleDays: 5 });
+  assert.deepEqual(nightly.channels, { android: { daily: '15.0a1' } });
+  assert.deepEqual(nightly.details.android.daily, {
+    builtAt: '2025-10-21T04:12:00.000Z',
+    staleAfterDays: 5,
+    listingUrl: 'https://archive.example/nightly/',
+    artifacts: [
+      { name: 'thunderbird-15.0a1.apk', url: 'https://archive.example/nightly/thunderbird-15.0a1.apk', size: 38 * 1024 * 1024, lastModified: '2025-10-21T04:12:00.000Z', kind: 'apk', abi: null },
+      { name: 'thunderbird-15.0a1.apk.sha256', url: 'https://archive.example/nightly/thunderbird-15.0a1.apk.sha256', size: 97, lastModified: '2025-10-21T04:13:00.000Z', kind: 'checksum', abi: null },
+    ],
+  });
+  assert.equal(adapter('android-nightly').health(normalize('android-nightly', '<html>Not found</html>')), 'Android nightly listing has no build');
+
+  const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:a\r\nDTSTART;VALUE=DATE:20251014\r\nSUMMARY:Thunderbird 145.0b3\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n';
+  assert.equal(normalize('ics-calendar', ics).events[0].summary, 'Thunderbird 145.0b3');
+  assert.throws(() => normalize('ics-calendar', '<html>Not found</html>'), /not an iCalendar feed/);
+});
+
+test('desktop builds link shipped versions to the release directory', () => {
+  const archive = 'https://archive.example/pub/thunderbird/';
+  const buildUrl = `${archive}candidates/145.0b3-candidates/build2/`;
+  const installer = (platform, name) => ({ name, url: `${buildUrl}${platform}/en-US/${encodeURIComponent(name)}`, size: 1024 });
+  const raw = {
+    releases: { 'thunderbird-145.0b3': { date: '2025-10-16' } },
+    primaryBuilds: { de: { '145.0b3': {} }, fr: { '145.0b3': {}, '144.0': {} }, ja: { '144.0': {} } },
+    builds: {
+      beta: {
+        version: '145.0b3',
+        buildUrl,
+        buildNumber: 2,
+        installers: { mac: installer('mac', 'Thunderbird 145.0b3.dmg') },
+        buildInfo: { buildid: '20251013180306', moz_source_stamp: 'abc123', moz_source_repo: 'https://hg.mozilla.org/releases/comm-beta' },
+      },
+      release: { version: '144.0.1', error: 'Failed to fetch 144.0.1 candidates: 404' },
+    },
+  };
+  const { details } = normalize('desktop-builds', raw, { url: archive });
+  const beta = details.desktop.beta;
+  assert.equal(beta.version, '145.0b3');
+  assert.equal(beta.build.buildId, '20251013180306');
+  assert.equal(beta.build.releaseDate, '2025-10-16');
+  assert.equal(beta.build.locales, 2);
+  assert.deepEqual(beta.build.platforms.find(p => p.platform === 'mac'), {
+    platform: 'mac', label: 'macOS', available: true, name: 'Thunderbird 145.0b3.dmg',
+    url: `${archive}releases/145.0b3/mac/en-US/Thunderbird%20145.0b3.dmg`, size: 1024,
+  });
+  assert.deepEqual(beta.build.platforms.find(p => p.platform === 'win64'), { platform: 'win64', label: 'Windows 64-bit', available: false });
+  assert.deepEqual(details.desktop.release, { version: '144.0.1', build: { error: 'Failed to fetch 144.0.1 candidates: 404' } });
+  assert.equal(adapter('desktop-builds').health({ details }), null);
+  assert.match(adapter('desktop-builds').health({ details: { desktop: { release: details.desktop.release } } }), /No desktop builds found/);
+});
+
+test('loadFromAdapter runs every step and rejects unhealthy values', async () => {
+  registerAdapter({
+    type: 'test-static',
+    channels: { desktop: ['release'] },
+    fetch: async options => options.body,
+    parse: raw => JSON.parse(raw),
+    normalize: data => ({ channels: { desktop: { release: data.version || null } } }),
+    health: value => (value.channels.desktop.release ? null : 'no version'),
+  });
+  const source = { key: 'static', adapter: getAdapter('test-static') };
+  assert.deepEqual(await loadFromAdapter({ ...source, options: { body: '{"version":"1.0"}' } }), { channels: { desktop: { release: '1.0' } } });
+  await assert.rejects(loadFromAdapter({ ...source, options: { body: '{}' } }), /no version/);
+  assert.throws(() => registerAdapter({ type: 'broken', fetch() {} }), /no parse/);
+});
+
+test('loadConfig layers the config file and environment over the defaults', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'tracker-config-'));
+  const file = path.join(dir, 'config.json');
+  writeFileSync(file, JSON.stringify({
+    sources: {
+      productDetails: { url: 'http://localhost:9000/thunderbird_versions.json' },
+      androidNightly: { enabled: false },
+      extraCalendar: { adapter: 'ics-calendar', url: 'http://localhost:9000/extra.ics', ttl: 60 },
+    },
+  }));
+  const saved = { ...process.env };
+  try {
+    process.env.TRACKER_CONFIG = file;
+    process.env.CALENDAR_ICS_URL = 'http://localhost:9000/basic.ics';
+    process.env.CACHE_TTL_CALENDAR = '5';
+    const { sources } = loadConfig();
+    assert.equal(sources.productDetails.url, 'http://localhost:9000/thunderbird_versions.json');
+    assert.equal(sources.productDetails.ttl, 300);
+    assert.equal(sources.androidNightly.enabled, false);
+    assert.deepEqual([sources.calendar.url, sources.calendar.ttl], ['http://localhost:9000/basic.ics', 5]);
+    assert.deepEqual(sources.extraCalendar, { enabled: true, adapter: 'ics-calendar', url: 'http://localhost:9000/extra.ics', ttl: 60 });
+
+    writeFileSync(file, JSON.stringify({ sources: { mystery: { url: 'http://x' } } }));
+    assert.throws(() => loadConfig(), /has no adapter/);
+    process.env.TRACKER_CONFIG = path.join(dir, 'missing.json');
+    assert.throws(() => loadConfig(), /Failed to read config/);
+  } finally {
+    process.env = saved;
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, readFileSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { upstreamFetch } from '../src/upstream.js';
+
+const PRODUCT_DETAILS_URL = 'https://product-details.mozilla.org/1.0/thunderbird_versions.json';
+
+/**
+ * Runs fn with environment variables set, restoring them afterwards.
+ */
+async function withEnv(vars, fn) {
+  const saved = { ...process.env };
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('replay mode serves recorded fixtures without the network', async () => {
+  await withEnv({ FIXTURE_MODE: 'replay' }, async () => {
+    const res = await upstreamFetch(PRODUCT_DETAILS_URL);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).LATEST_THUNDERBIRD_DEVEL_VERSION, '145.0b3');
+    await assert.rejects(upstreamFetch('https://example.invalid/nothing'), /No fixture recorded/);
+  });
+});
+
+test('record mode saves responses that replay mode then serves', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/calendar', 'ETag': '"v1"' }).end('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/cal/basic.ics`;
+  const dir = mkdtempSync(path.join(tmpdir(), 'tracker-fixtures-'));
+  try {
+    await withEnv({ FIXTURE_MODE: 'record', FIXTURE_DIR: dir }, async () => {
+      assert.match(await (await upstreamFetch(url)).text(), /BEGIN:VCALENDAR/);
+    });
+    const manifest = JSON.parse(readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest[url].status, 200);
+    assert.equal(manifest[url].headers.etag, '"v1"');
+    assert.match(manifest[url].file, /^127\.0\.0\.1_cal_basic-[0-9a-f]{8}\.ics$/);
+    assert.equal(readdirSync(dir).length, 2);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await withEnv({ FIXTURE_MODE: 'replay', FIXTURE_DIR: dir }, async () => {
+    const res = await upstreamFetch(url);
+    assert.equal(res.headers.get('etag'), '"v1"');
+    assert.match(await res.text(), /END:VCALENDAR/);
+  });
+});
+
+test('record and replay mode handle 304 responses without a body', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(304, { 'ETag': '"v1"' }).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/repos/tags`;
+  const dir = mkdtempSync(path.join(tmpdir(), 'tracker-fixtures-'));
+  try {
+    await withEnv({ FIXTURE_MODE: 'record', FIXTURE_DIR: dir }, async () => {
+      const res = await upstreamFetch(url, { headers: { 'If-None-Match': '"v1"' } });
+      assert.equal(res.status, 304);
+      assert.equal(res.headers.get('etag'), '"v1"');
+    });
+    const manifest = JSON.parse(readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest[url].status, 304);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await withEnv({ FIXTURE_MODE: 'replay', FIXTURE_DIR: dir }, async () => {
+    const res = await upstreamFetch(url);
+    assert.equal(res.status, 304);
+    assert.equal(await res.text(), '');
+  });
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVersion, compareVersions, highestVersion, isBetaVersion, isReleaseVersion, parseVersionQuery } from '../src/versions.js';
+
+test('parseVersion reads dotted versions, phases and Android tags', () => {
+  assert.deepEqual(parseVersion('145.0b3'), { version: '145.0b3', major: 145, minor: 0, patch: 0, phase: 'b', phaseNumber: 3 });
+  assert.equal(parseVersion('140.4.1esr').phase, 'esr');
+  assert.equal(parseVersion('140.4.1esr').patch, 1);
+  assert.equal(parseVersion('14.0rc1').phase, 'rc');
+  assert.equal(parseVersion('146.0a1').phase, 'a');
+  assert.equal(parseVersion('THUNDERBIRD_14_0b2').version, '14.0b2');
+  assert.equal(parseVersion('THUNDERBIRD_13_0_1').phase, 'release');
+  assert.equal(parseVersion('nightly'), null);
+  assert.equal(parseVersion(null), null);
+});
+
+test('compareVersions orders by number, then alpha < beta < rc < release', () => {
+  const sorted = ['14.0', '14.0b10', '9.0', '14.0rc1', '14.0b2', '13.0.1', '14.0a1', '13.0'].sort(compareVersions);
+  assert.deepEqual(sorted, ['9.0', '13.0', '13.0.1', '14.0a1', '14.0b2', '14.0b10', '14.0rc1', '14.0']);
+  assert.equal(compareVersions('140.4.0esr', '140.4.0'), 0);
+  assert.ok(compareVersions('THUNDERBIRD_14_0b2', 'THUNDERBIRD_13_0') > 0);
+});
+
+test('highestVersion and the channel predicates', () => {
+  assert.equal(highestVersion(['13.0b4', '14.0b2', '14.0b10', 'junk']), '14.0b10');
+  assert.equal(highestVersion([]), null);
+  assert.equal(isBetaVersion('14.0rc1'), true);
+  assert.equal(isBetaVersion('14.0a1'), false);
+  assert.equal(isReleaseVersion('140.4.0esr'), true);
+  assert.equal(isReleaseVersion('14.0b1'), false);
+});
+
+test('parseVersionQuery reads versions, majors and platform prefixes', () => {
+  assert.deepEqual(parseVersionQuery(' 140.3.1esr '), { version: '140.3.1esr', major: '140', bareMajor: false, platform: null });
+  assert.deepEqual(parseVersionQuery('145.0b2'), { version: '145.0b2', major: '145', bareMajor: false, platform: null });
+  assert.deepEqual(parseVersionQuery('140'), { version: '140', major: '140', bareMajor: true, platform: null });
+  assert.deepEqual(parseVersionQuery('TfA 12'), { version: '12', major: '12', bareMajor: true, platform: 'android' });
+  assert.deepEqual(parseVersionQuery('Thunderbird for Android 13.0b2'), { version: '13.0b2', major: '13', bareMajor: false, platform: 'android' });
+  assert.deepEqual(parseVersionQuery('THUNDERBIRD_14_0b3'), { version: '14.0b3', major: '14', bareMajor: false, platform: 'android' });
+  assert.deepEqual(parseVersionQuery('Thunderbird v145.0'), { version: '145.0', major: '145', bareMajor: false, platform: 'desktop' });
+  assert.equal(parseVersionQuery('TfA'), null);
+  assert.equal(parseVersionQuery('banana'), null);
+  assert.equal(parseVersionQuery(''), null);
+});